@@ -2,10 +2,82 @@
 let currentUser = null;
 let currentDocument = null;
 let documents = [];
+let storageAdapter = null;
+const settingsStore = DocumentStore.createSettingsStore();
 let isEditorActive = false;
 let typingTimer = null;
 let saveTimer = null;
 let ghostUserTimers = [];
+let syncSocket = null;
+let syncedDocId = null;
+let syncShadowModel = null;
+let inflightOperation = null;
+let bufferedOperation = null;
+let documentReplica = null;
+let remoteCursors = new Map();
+let cursorBroadcastTimer = null;
+let lastBroadcastCursor = null;
+let heartbeatTimer = null;
+let lastLocalActivity = Date.now();
+let isLocallyTyping = false;
+let documentPresence = new Map();
+let typingIndicatorTimers = new Map();
+let tabChannel = null;
+let tabBroadcastTimer = null;
+let syncReconnectDelay = 1000;
+let previewedVersionId = null;
+let comparedVersionIds = null;
+let editorHistory = null;
+let historyModel = null;
+let pendingMarks = null;
+let findResults = [];
+let findIndex = -1;
+let findAnchor = 0;
+let dashboardView = null;
+let localFolders = [];
+let isTrashOpen = false;
+let trashPurgeTimer = null;
+let selectedDocumentIds = new Set();
+let selectionAnchorId = null;
+let cardMenuOpener = null;
+
+// App configuration, read from the page URL:
+//   ?demo          enable the simulated ghost collaborators
+//   ?sync=<url>    WebSocket endpoint of the sync server on this host (defaults to /sync)
+//   ?storage=<type> where documents are kept: indexeddb (default), localstorage,
+//                  memory, or rest (the server's shared library, see server/api.js)
+const urlParams = new URLSearchParams(window.location.search);
+const appConfig = {
+    demoMode: urlParams.has('demo'),
+    syncUrl: getSyncUrl(urlParams.get('sync')),
+    storage: urlParams.get('storage')
+};
+
+const SEEDED_KEY = 'collabdocs_seeded';
+const DASHBOARD_VIEW_KEY = 'collabdocs_dashboard_view';
+const LOCAL_FOLDERS_KEY = 'collabdocs_folders';
+const DOCUMENT_DRAG_TYPE = 'application/x-collabdocs-document';
+const TRASH_RETENTION_KEY = 'collabdocs_trash_retention';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_PURGE_INTERVAL = 3600000;
+const DAY = 86400000;
+const DEFAULT_USER_COLOR = '#888888';
+const TEMPLATES_KEY = 'collabdocs_templates';
+
+// Identifies this tab's edits in document CRDTs
+const replicaSiteId = 'site-' + Math.random().toString(36).slice(2, 10);
+
+const SYNC_MIN_RECONNECT_DELAY = 1000;
+const SYNC_MAX_RECONNECT_DELAY = 30000;
+const HEARTBEAT_INTERVAL = 15000;
+const PRESENCE_IDLE_AFTER = 60000;
+const PRESENCE_AWAY_AFTER = 300000;
+const TYPING_TIMEOUT = 1500;
+const TYPING_INDICATOR_TTL = 5000;
+const TAB_BROADCAST_DELAY = 200;
+const TAB_MESSAGE_KEY = 'collabdocs_tab_message';
+const HISTORY_COALESCE_WINDOW = 300000;
+const PREVIEW_BLOCK_LIMIT = 6;
 
 // Sample data with current timestamp
 const sampleDocuments = [
@@ -69,10 +141,44 @@ const dashboard = document.getElementById('dashboard');
 const currentUserName = document.getElementById('currentUserName');
 const changeNameBtn = document.getElementById('changeNameBtn');
 const createDocBtn = document.getElementById('createDocBtn');
+const importDocBtn = document.getElementById('importDocBtn');
+const importFileInput = document.getElementById('importFileInput');
+const exportWorkspaceBtn = document.getElementById('exportWorkspaceBtn');
+const importWorkspaceBtn = document.getElementById('importWorkspaceBtn');
+const workspaceFileInput = document.getElementById('workspaceFileInput');
 const documentsGrid = document.getElementById('documentsGrid');
+const searchInput = document.getElementById('searchInput');
+const searchStatus = document.getElementById('searchStatus');
+const sortSelect = document.getElementById('sortSelect');
+const sortOrderBtn = document.getElementById('sortOrderBtn');
+const ownerFilter = document.getElementById('ownerFilter');
+const collaboratorFilter = document.getElementById('collaboratorFilter');
+const gridViewBtn = document.getElementById('gridViewBtn');
+const listViewBtn = document.getElementById('listViewBtn');
+const newFolderBtn = document.getElementById('newFolderBtn');
+const folderTree = document.getElementById('folderTree');
+const tagList = document.getElementById('tagList');
+const trashItem = document.getElementById('trashItem');
+const trashCount = document.getElementById('trashCount');
+const trashHeader = document.getElementById('trashHeader');
+const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+const dashboardViewControls = document.getElementById('dashboardViewControls');
+const selectionBar = document.getElementById('selectionBar');
+const selectionCount = document.getElementById('selectionCount');
+const selectAllBtn = document.getElementById('selectAllBtn');
+const selectionActions = document.getElementById('selectionActions');
+const trashSelectionActions = document.getElementById('trashSelectionActions');
+const selectionExportBtn = document.getElementById('selectionExportBtn');
+const selectionExportMenu = document.getElementById('selectionExportMenu');
+const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+const cardMenu = document.getElementById('cardMenu');
 const editorContainer = document.getElementById('editorContainer');
 const backToDashboard = document.getElementById('backToDashboard');
 const documentTitle = document.getElementById('documentTitle');
+const documentTagChips = document.getElementById('documentTagChips');
+const tagInput = document.getElementById('tagInput');
+const tagSuggestions = document.getElementById('tagSuggestions');
 const documentEditor = document.getElementById('documentEditor');
 const onlineUsers = document.getElementById('onlineUsers');
 const connectionStatus = document.getElementById('connectionStatus');
@@ -80,25 +186,106 @@ const charCount = document.getElementById('charCount');
 const wordCount = document.getElementById('wordCount');
 const lastSaved = document.getElementById('lastSaved');
 const typingIndicators = document.getElementById('typingIndicators');
+const editorWorkspace = document.getElementById('editorWorkspace');
+const remoteCursorLayer = document.getElementById('remoteCursors');
+const findHighlightLayer = document.getElementById('findHighlights');
+const findBar = document.getElementById('findBar');
+const findInput = document.getElementById('findInput');
+const findCount = document.getElementById('findCount');
+const findCaseBtn = document.getElementById('findCaseBtn');
+const findWordBtn = document.getElementById('findWordBtn');
+const findRegexBtn = document.getElementById('findRegexBtn');
+const findPrevBtn = document.getElementById('findPrevBtn');
+const findNextBtn = document.getElementById('findNextBtn');
+const closeFindBtn = document.getElementById('closeFindBtn');
+const replaceRow = document.getElementById('replaceRow');
+const replaceInput = document.getElementById('replaceInput');
+const replaceBtn = document.getElementById('replaceBtn');
+const replaceAllBtn = document.getElementById('replaceAllBtn');
+const historyPanel = document.getElementById('historyPanel');
+const historyList = document.getElementById('historyList');
+const closeHistoryBtn = document.getElementById('closeHistoryBtn');
+const historyPreview = document.getElementById('historyPreview');
+const historyPreviewLabel = document.getElementById('historyPreviewLabel');
+const historyPreviewContent = document.getElementById('historyPreviewContent');
+const exitPreviewBtn = document.getElementById('exitPreviewBtn');
+const restoreVersionBtn = document.getElementById('restoreVersionBtn');
+const historyCompare = document.getElementById('historyCompare');
+const compareFromSelect = document.getElementById('compareFromSelect');
+const compareToSelect = document.getElementById('compareToSelect');
+const exitCompareBtn = document.getElementById('exitCompareBtn');
+const diffSummary = document.getElementById('diffSummary');
+const historyCompareContent = document.getElementById('historyCompareContent');
 const deleteModal = document.getElementById('deleteModal');
-const deleteDocTitle = document.getElementById('deleteDocTitle');
+const deleteModalTitle = document.getElementById('deleteModalTitle');
+const deleteModalMessage = document.getElementById('deleteModalMessage');
 const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
 const cancelDeleteBtn = document.getElementById('cancelDeleteBtn');
+const linkModal = document.getElementById('linkModal');
+const linkUrlInput = document.getElementById('linkUrlInput');
+const removeLinkBtn = document.getElementById('removeLinkBtn');
+const cancelLinkBtn = document.getElementById('cancelLinkBtn');
+const applyLinkBtn = document.getElementById('applyLinkBtn');
+const moveModal = document.getElementById('moveModal');
+const moveModalMessage = document.getElementById('moveModalMessage');
+const moveFolderSelect = document.getElementById('moveFolderSelect');
+const cancelMoveBtn = document.getElementById('cancelMoveBtn');
+const confirmMoveBtn = document.getElementById('confirmMoveBtn');
+const tagDocumentsModal = document.getElementById('tagDocumentsModal');
+const tagDocumentsMessage = document.getElementById('tagDocumentsMessage');
+const tagDocumentsInput = document.getElementById('tagDocumentsInput');
+const tagDocumentsSuggestions = document.getElementById('tagDocumentsSuggestions');
+const cancelTagDocumentsBtn = document.getElementById('cancelTagDocumentsBtn');
+const confirmTagDocumentsBtn = document.getElementById('confirmTagDocumentsBtn');
+const templateModal = document.getElementById('templateModal');
+const templateGallery = document.getElementById('templateGallery');
+const cancelTemplateBtn = document.getElementById('cancelTemplateBtn');
+const saveTemplateModal = document.getElementById('saveTemplateModal');
+const templateNameInput = document.getElementById('templateNameInput');
+const cancelSaveTemplateBtn = document.getElementById('cancelSaveTemplateBtn');
+const confirmSaveTemplateBtn = document.getElementById('confirmSaveTemplateBtn');
+const restoreModal = document.getElementById('restoreModal');
+const restoreSummary = document.getElementById('restoreSummary');
+const restoreConflictList = document.getElementById('restoreConflictList');
+const cancelRestoreBtn = document.getElementById('cancelRestoreBtn');
+const replaceRestoreBtn = document.getElementById('replaceRestoreBtn');
+const mergeRestoreBtn = document.getElementById('mergeRestoreBtn');
 const toast = document.getElementById('toast');
 const toastMessage = document.getElementById('toastMessage');
 
 // Toolbar elements
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
 const boldBtn = document.getElementById('boldBtn');
 const italicBtn = document.getElementById('italicBtn');
 const underlineBtn = document.getElementById('underlineBtn');
+const strikeBtn = document.getElementById('strikeBtn');
+const inlineCodeBtn = document.getElementById('inlineCodeBtn');
+const linkBtn = document.getElementById('linkBtn');
+const blockTypeSelect = document.getElementById('blockTypeSelect');
+const bulletListBtn = document.getElementById('bulletListBtn');
+const numberedListBtn = document.getElementById('numberedListBtn');
+const quoteBtn = document.getElementById('quoteBtn');
+const codeBlockBtn = document.getElementById('codeBlockBtn');
+const alignLeftBtn = document.getElementById('alignLeftBtn');
+const alignCenterBtn = document.getElementById('alignCenterBtn');
+const alignRightBtn = document.getElementById('alignRightBtn');
 const saveBtn = document.getElementById('saveBtn');
 const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
+const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+const historyBtn = document.getElementById('historyBtn');
 const deleteDocBtn = document.getElementById('deleteDocBtn');
 
 // Initialize Application
-function initApp() {
-    loadDocumentsFromStorage();
+async function initApp() {
     loadCurrentUser();
+    loadLocalFolders();
+    setupEventListeners();
+    setupTabSync();
+    
+    await loadDocumentsFromStorage();
+    startTrashPurge();
     
     if (!currentUser) {
         showNameModal();
@@ -106,23 +293,112 @@ function initApp() {
         showDashboard();
     }
     
-    setupEventListeners();
-    startGhostUserSimulation();
+    connectSync();
+    
+    if (appConfig.demoMode) {
+        startGhostUserSimulation();
+    }
 }
 
-// Local Storage Functions
-function saveDocumentsToStorage() {
-    localStorage.setItem('collabdocs_documents', JSON.stringify(documents));
+// Storage Functions
+// Documents go through a storage adapter (see storage.js), one record each;
+// settings go through its settings store, and the user profile stays in
+// localStorage.
+// Whatever is stored is also what search finds.
+function persistDocument(doc) {
+    indexDocument(doc);
+    return storageAdapter.save(doc).catch(handleStorageError);
 }
 
-function loadDocumentsFromStorage() {
-    const stored = localStorage.getItem('collabdocs_documents');
-    if (stored) {
-        documents = JSON.parse(stored);
+function saveDocumentsToStorage(docs = documents) {
+    docs.forEach(indexDocument);
+    return storageAdapter.saveMany(docs).catch(handleStorageError);
+}
+
+function removeDocumentFromStorage(docId) {
+    searchIndex.remove(docId);
+    return storageAdapter.remove(docId).catch(handleStorageError);
+}
+
+function handleStorageError(error) {
+    if (error instanceof DocumentStore.ConflictError) {
+        // Saved from another machine since we loaded them: merge in the
+        // stored copies, which saves the result again
+        error.documents.forEach(mergeDocumentCopy);
+    } else if (error instanceof DocumentStore.QuotaExceededError) {
+        showToast('Storage is full. Export or delete some documents to keep saving.', 'error');
     } else {
-        documents = [...sampleDocuments];
-        saveDocumentsToStorage();
+        showToast('Could not save your changes to storage', 'error');
+    }
+}
+
+// Returns whether the setting was saved
+function saveSetting(key, value) {
+    try {
+        settingsStore.write(key, value);
+        return true;
+    } catch (error) {
+        handleStorageError(error);
+        return false;
+    }
+}
+
+async function loadDocumentsFromStorage() {
+    storageAdapter = DocumentStore.createAdapter(appConfig.storage);
+    
+    try {
+        documents = await readStoredDocuments();
+    } catch (error) {
+        // IndexedDB can be unavailable, e.g. in some private browsing modes
+        if (storageAdapter.name !== 'indexeddb') {
+            showToast('Could not load your documents', 'error');
+            documents = [];
+            return;
+        }
+        storageAdapter = DocumentStore.createLocalStorageAdapter();
+        documents = await readStoredDocuments().catch(() => {
+            showToast('Could not load your documents', 'error');
+            return [];
+        });
+    }
+    
+    // Newest first, matching the order the old single-array storage kept
+    documents.sort((a, b) => getCreatedAt(b) - getCreatedAt(a));
+    documents.forEach(indexDocument);
+}
+
+// Older documents have no createdAt, but their ids carry the creation time
+function getCreatedAt(doc) {
+    if (doc.createdAt) return doc.createdAt;
+    const timestamp = Number(doc.id.replace('doc-', ''));
+    return timestamp > 1e12 ? timestamp : 0;
+}
+
+async function readStoredDocuments() {
+    let migrated;
+    try {
+        migrated = await DocumentStore.migrateLegacyDocuments(storageAdapter);
+    } catch (error) {
+        if (!(error instanceof DocumentStore.LegacyDocumentsError)) throw error;
+        // The old copy stays in localStorage, and no samples are added over it
+        showToast(`${error.message}. They have been kept in this browser's storage.`, 'error');
+        return storageAdapter.loadAll();
+    }
+    if (migrated !== null) {
+        saveSetting(SEEDED_KEY, true);
+    }
+    
+    // Samples only go into an empty library, so joining a shared server
+    // never overwrites anyone's documents with them
+    const stored = await storageAdapter.loadAll();
+    if (stored.length === 0 && !settingsStore.read(SEEDED_KEY)) {
+        await storageAdapter.saveMany(sampleDocuments);
+        saveSetting(SEEDED_KEY, true);
+        return storageAdapter.loadAll();
     }
+    
+    saveSetting(SEEDED_KEY, true);
+    return stored;
 }
 
 function saveCurrentUser() {
@@ -184,247 +460,3582 @@ function hideNameModal() {
     userNameInput.value = '';
 }
 
-function showDeleteModal(docId) {
-    const doc = documents.find(d => d.id === docId);
-    if (doc) {
-        deleteDocTitle.textContent = doc.title;
-        deleteModal.classList.remove('hidden');
-        deleteModal.dataset.docId = docId;
-    }
+// `mode` is 'trash' to move documents to the trash, 'purge' to delete ones
+// in the trash for good, or 'empty' to empty the trash (with no docIds)
+function showDeleteModal(docIds, mode = 'trash') {
+    const docs = documents.filter(doc => docIds.includes(doc.id));
+    const count = mode === 'empty' ? getTrashedDocuments().length : docs.length;
+    if (count === 0) return;
+    
+    const subject = mode === 'empty'
+        ? (count === 1 ? 'The document in the trash' : `All ${count} documents in the trash`)
+        : (count === 1 ? `"${docs[0].title}"` : `${count} documents`);
+    const retention = getTrashRetentionDays();
+    const content = {
+        trash: ['Move to Trash', `${subject} will be moved to the trash, where ${count === 1 ? 'it' : 'they'} can be restored ${retention ? `for ${retention} days` : 'at any time'}.`],
+        purge: ['Delete Forever', `${subject} will be deleted for good. This action cannot be undone.`],
+        empty: ['Empty Trash', `${subject} will be deleted for good. This action cannot be undone.`]
+    }[mode];
+    deleteModalTitle.textContent = content[0];
+    deleteModalMessage.textContent = content[1];
+    confirmDeleteBtn.textContent = content[0];
+    
+    deleteModal.classList.remove('hidden');
+    deleteModal.dataset.mode = mode;
+    deleteModal.dataset.docIds = JSON.stringify(docs.map(doc => doc.id));
 }
 
 function hideDeleteModal() {
     deleteModal.classList.add('hidden');
-    delete deleteModal.dataset.docId;
+    delete deleteModal.dataset.docIds;
+    delete deleteModal.dataset.mode;
+}
+
+function confirmDelete() {
+    const { docIds, mode } = deleteModal.dataset;
+    hideDeleteModal();
+    if (mode === 'empty') {
+        emptyTrash();
+    } else if (mode === 'purge') {
+        purgeDocuments(JSON.parse(docIds));
+    } else {
+        trashDocuments(JSON.parse(docIds));
+    }
 }
 
 // Dashboard Functions
 function showDashboard() {
+    closeHistoryPanel();
+    purgeExpiredDocuments();
+    hideFindBar({ focusEditor: false });
     dashboard.classList.remove('hidden');
     editorContainer.classList.add('hidden');
     isEditorActive = false;
+    loadDashboardView();
     renderDocuments();
     clearGhostUserTimers();
+    leaveDocumentRoom();
+    
+    // Nothing is saved from here on: the dashboard may rename, merge or
+    // restore the document, and a late save would write the old copy back
+    clearTimeout(saveTimer);
+    currentDocument = null;
 }
 
+// Search results stay in order of relevance; otherwise the chosen sort applies
 function renderDocuments() {
+    hideCardMenu();
     documentsGrid.innerHTML = '';
+    if (!dashboardView) return;
     
-    documents.forEach(doc => {
-        const card = createDocumentCard(doc);
+    renderCollaboratorFilter();
+    renderFolderTree();
+    renderTagList();
+    updateDashboardControls();
+    updateTrashControls();
+    
+    const query = searchInput.value.trim() ? searchInput.value : '';
+    let shown;
+    if (isTrashOpen) {
+        shown = query
+            ? searchDocuments(query).filter(isTrashed)
+            : getTrashedDocuments().sort((a, b) => b.deletedAt - a.deletedAt);
+        updateSearchStatus(query, shown.length, 'The trash is empty');
+    } else {
+        shown = filterDocuments(query
+            ? searchDocuments(query).filter(doc => !isTrashed(doc))
+            : sortDocuments(getActiveDocuments()));
+        updateSearchStatus(query, shown.length, getEmptyViewMessage());
+    }
+    
+    shown.forEach(doc => {
+        const card = createDocumentCard(doc, query);
         documentsGrid.appendChild(card);
     });
+    
+    // What is no longer shown can no longer be acted on
+    const shownIds = new Set(shown.map(doc => doc.id));
+    selectedDocumentIds.forEach(docId => {
+        if (!shownIds.has(docId)) selectedDocumentIds.delete(docId);
+    });
+    updateSelection();
 }
 
-function createDocumentCard(doc) {
+function collaboratorAvatarsHtml(doc) {
+    return doc.collaborators.map(collab => 
+        `<div class="collaborator-avatar ${getPresenceClass(doc, collab)}" 
+              style="background-color: ${safeColor(collab.color)}" 
+              title="${escapeHtml(`${collab.name} (${getCollaboratorStatus(doc, collab)})`)}">
+            ${escapeHtml(collab.name.charAt(0).toUpperCase())}
+         </div>`
+    ).join('');
+}
+
+function createDocumentCard(doc, query = '') {
     const card = document.createElement('div');
-    card.className = 'document-card';
+    card.className = isTrashed(doc) ? 'document-card trashed' : 'document-card';
+    card.draggable = !isTrashed(doc);
+    card.dataset.docId = doc.id;
     
-    const preview = doc.content.replace(/[#*]/g, '').substring(0, 150) + '...';
+    const preview = query
+        ? searchSnippetHtml(doc, query)
+        : RichText.toHTML({ blocks: getDocumentModel(doc).blocks.slice(0, PREVIEW_BLOCK_LIMIT) });
+    const title = query ? highlightHtml(doc.title, Search.highlight(doc.title, query)) : escapeHtml(doc.title);
     const lastModified = new Date(doc.lastModified).toLocaleDateString();
+    const owner = getDocumentOwner(doc);
+    // Lists have room for more than cards
+    const details = dashboardView && dashboardView.layout === 'list' ? `
+            <span class="document-meta-detail">${owner ? escapeHtml(owner.id === currentUser.id ? 'You' : owner.name) : ''}</span>
+            <span class="document-meta-detail">Version ${doc.version || 1}</span>
+            <span class="document-meta-detail">Created ${new Date(getCreatedAt(doc)).toLocaleDateString()}</span>` : '';
+    
+    const tags = Folders.getTags(doc);
     
     card.innerHTML = `
         <div class="document-card-header">
-            <h3 class="document-title-text">${doc.title}</h3>
+            <input type="checkbox" class="document-select" aria-label="Select ${escapeHtml(doc.title)}">
+            <h3 class="document-title-text">${title}</h3>
+            <button class="document-menu-btn" data-card-menu title="More actions" aria-label="More actions for ${escapeHtml(doc.title)}" aria-haspopup="menu">⋯</button>
         </div>
+        ${tags.length ? `<div class="document-card-tags">
+            ${tags.map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show documents tagged ${escapeHtml(tag)}">${escapeHtml(tag)}</button>`).join('')}
+        </div>` : ''}
         <div class="document-preview">${preview}</div>
-        <div class="document-meta">
-            <span>Modified ${lastModified}</span>
-            <div class="document-collaborators">
-                ${doc.collaborators.map(collab => 
-                    `<div class="collaborator-avatar ${collab.isOnline ? 'online' : ''}" 
-                          style="background-color: ${collab.color}" 
-                          title="${collab.name}">
-                        ${collab.name.charAt(0).toUpperCase()}
-                     </div>`
-                ).join('')}
-            </div>
+        <div class="document-meta">${details}
+            <span class="document-meta-detail">${isTrashed(doc) ? trashedLabel(doc) : `Modified ${lastModified}`}</span>
+            <div class="document-collaborators">${collaboratorAvatarsHtml(doc)}</div>
         </div>
     `;
     
+    // Documents in the trash are restored before they can be opened
+    if (isTrashed(doc)) {
+        card.insertAdjacentHTML('beforeend', `
+            <div class="document-card-actions">
+                <button class="toolbar-btn" data-trash-action="restore">Restore</button>
+                <button class="toolbar-btn btn--danger" data-trash-action="purge">Delete forever</button>
+            </div>
+        `);
+    }
+    
     // Fix: Add proper click event listener
     card.addEventListener('click', (e) => {
+        if (e.target.closest('.document-rename-input')) return;
+        if (e.target.closest('.document-select')) {
+            handleSelectionClick(doc.id, e.shiftKey);
+            return;
+        }
+        
+        e.preventDefault();
+        const tag = e.target.closest('[data-tag]');
+        const trashAction = e.target.closest('[data-trash-action]');
+        const menuButton = e.target.closest('[data-card-menu]');
+        if (menuButton) {
+            const rect = menuButton.getBoundingClientRect();
+            showCardMenu(doc.id, rect.left, rect.bottom, menuButton);
+        } else if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            handleSelectionClick(doc.id, e.shiftKey);
+        } else if (trashAction) {
+            if (trashAction.dataset.trashAction === 'restore') {
+                restoreDocument(doc.id);
+            } else {
+                showDeleteModal([doc.id], 'purge');
+            }
+        } else if (tag) {
+            selectTag(tag.dataset.tag);
+        } else if (!isTrashed(doc)) {
+            openDocument(doc.id);
+        }
+    });
+    
+    card.addEventListener('contextmenu', (e) => {
+        if (e.target.closest('.document-rename-input')) return;
         e.preventDefault();
-        openDocument(doc.id);
+        showCardMenu(doc.id, e.clientX, e.clientY);
+    });
+    
+    card.addEventListener('dragstart', (e) => {
+        const docIds = selectedDocumentIds.has(doc.id) ? Array.from(selectedDocumentIds) : [doc.id];
+        e.dataTransfer.setData(DOCUMENT_DRAG_TYPE, docIds.join('\n'));
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+    });
+    
+    card.addEventListener('dragend', () => {
+        card.classList.remove('dragging');
     });
     
     return card;
 }
 
-// Document Management
-function createNewDocument() {
-    const newDoc = {
-        id: 'doc-' + Date.now(),
-        title: 'Untitled Document',
-        content: '',
-        lastModified: Date.now(),
-        collaborators: [{
-            ...currentUser,
-            cursorPosition: 0
-        }],
-        version: 1
-    };
-    
-    documents.unshift(newDoc);
-    saveDocumentsToStorage();
-    openDocument(newDoc.id);
-    showToast('New document created', 'success');
+// Selection
+// Cards are selected with their checkboxes, or by clicking with Ctrl or
+// Shift held, to act on several documents at once. Shift also selects the
+// cards between the one last chosen and this one.
+function getShownDocumentIds() {
+    return Array.from(documentsGrid.querySelectorAll('.document-card'), card => card.dataset.docId);
 }
 
-function openDocument(docId) {
-    const doc = documents.find(d => d.id === docId);
-    if (!doc) {
-        showToast('Document not found', 'error');
-        return;
+function getDocumentCard(docId) {
+    return Array.from(documentsGrid.querySelectorAll('.document-card')).find(card => card.dataset.docId === docId) || null;
+}
+
+function handleSelectionClick(docId, extend) {
+    const shown = getShownDocumentIds();
+    const from = shown.indexOf(selectionAnchorId);
+    const to = shown.indexOf(docId);
+    if (extend && from !== -1 && to !== -1) {
+        shown.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedDocumentIds.add(id));
+    } else if (selectedDocumentIds.has(docId)) {
+        selectedDocumentIds.delete(docId);
+    } else {
+        selectedDocumentIds.add(docId);
     }
+    selectionAnchorId = docId;
+    updateSelection();
+}
+
+// Dashboard shortcuts apply while no modal is open and no field has focus
+function isDashboardShortcut() {
+    return !isEditorActive && !dashboard.classList.contains('hidden') &&
+        !document.querySelector('.modal:not(.hidden)') && !document.activeElement.matches('input:not([type="checkbox"]), textarea, select');
+}
+
+function selectAllDocuments() {
+    getShownDocumentIds().forEach(docId => selectedDocumentIds.add(docId));
+    updateSelection();
+}
+
+function clearSelection() {
+    selectedDocumentIds.clear();
+    selectionAnchorId = null;
+    updateSelection();
+}
+
+function updateSelection() {
+    const count = selectedDocumentIds.size;
+    documentsGrid.classList.toggle('selecting', count > 0);
+    documentsGrid.querySelectorAll('.document-card').forEach(card => {
+        const isSelected = selectedDocumentIds.has(card.dataset.docId);
+        card.classList.toggle('selected', isSelected);
+        card.querySelector('.document-select').checked = isSelected;
+    });
     
-    currentDocument = doc;
-    
-    // Add current user as collaborator if not already present
-    if (!doc.collaborators.find(c => c.id === currentUser.id)) {
-        doc.collaborators.push({
-            ...currentUser,
-            cursorPosition: 0
-        });
-        saveDocumentsToStorage();
-    } else {
-        // Update user online status
-        const userCollab = doc.collaborators.find(c => c.id === currentUser.id);
-        if (userCollab) {
-            userCollab.isOnline = true;
-            userCollab.lastSeen = Date.now();
-        }
+    selectionBar.classList.toggle('hidden', count === 0);
+    selectionCount.textContent = `${count} selected`;
+    selectAllBtn.disabled = count === getShownDocumentIds().length;
+    selectionActions.classList.toggle('hidden', isTrashOpen);
+    trashSelectionActions.classList.toggle('hidden', !isTrashOpen);
+    if (count === 0) {
+        hideSelectionExportMenu();
+    }
+}
+
+function toggleSelectionExportMenu() {
+    const isOpen = selectionExportMenu.classList.toggle('hidden') === false;
+    selectionExportBtn.setAttribute('aria-expanded', String(isOpen));
+}
+
+function hideSelectionExportMenu() {
+    selectionExportMenu.classList.add('hidden');
+    selectionExportBtn.setAttribute('aria-expanded', 'false');
+}
+
+// What the card menu and the selection bar do, to one document or several
+function runDocumentAction(action, docIds, format = null) {
+    switch (action) {
+        case 'open':
+            openDocument(docIds[0]);
+            break;
+        case 'rename':
+            startDocumentRename(docIds[0]);
+            break;
+        case 'duplicate':
+            docIds.forEach(duplicateDocument);
+            break;
+        case 'move':
+            showMoveModal(docIds);
+            break;
+        case 'tag':
+            showTagDocumentsModal(docIds);
+            break;
+        case 'export':
+            exportDocuments(docIds, format);
+            break;
+        case 'trash':
+            showDeleteModal(docIds);
+            break;
+        case 'restore':
+            restoreDocuments(docIds);
+            break;
+        case 'purge':
+            showDeleteModal(docIds, 'purge');
+            break;
     }
+}
+
+// Card Menu
+// A card's own actions, from its ⋯ button or a right click. Documents in
+// the trash can only be restored or deleted for good.
+const CARD_MENU_ITEMS = [
+    { action: 'open', label: 'Open' },
+    { action: 'rename', label: 'Rename' },
+    { action: 'duplicate', label: 'Duplicate' },
+    { action: 'move', label: 'Move to…' },
+    null,
+    { action: 'export', format: 'markdown', label: 'Export as Markdown' },
+    { action: 'export', format: 'html', label: 'Export as web page' },
+    { action: 'export', format: 'pdf', label: 'Export as PDF (print)…' },
+    { action: 'export', format: 'docx', label: 'Export as Word document' },
+    null,
+    { action: 'trash', label: 'Delete', danger: true }
+];
+const TRASHED_CARD_MENU_ITEMS = [
+    { action: 'restore', label: 'Restore' },
+    { action: 'purge', label: 'Delete forever', danger: true }
+];
+
+// Opens at (x, y), kept inside the window. `opener` gets focus back when
+// the menu is closed with Escape.
+function showCardMenu(docId, x, y, opener = null) {
+    const doc = documents.find(d => d.id === docId);
+    if (!doc) return;
     
-    showEditor();
-    loadDocumentContent();
-    updateDocumentStats();
-    renderOnlineUsers();
-    startGhostUserActivity();
+    const items = isTrashed(doc) ? TRASHED_CARD_MENU_ITEMS : CARD_MENU_ITEMS;
+    cardMenu.innerHTML = items.map(item => item
+        ? `<button class="toolbar-menu-item${item.danger ? ' danger' : ''}" role="menuitem" data-card-action="${item.action}"${item.format ? ` data-format="${item.format}"` : ''}>${item.label}</button>`
+        : '<div class="card-menu-separator" role="separator"></div>'
+    ).join('');
+    cardMenu.dataset.docId = docId;
+    cardMenu.classList.remove('hidden');
+    cardMenu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - cardMenu.offsetWidth))}px`;
+    cardMenu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - cardMenu.offsetHeight))}px`;
+    cardMenuOpener = opener;
+    cardMenu.querySelector('[data-card-action]').focus();
 }
 
-function showEditor() {
-    dashboard.classList.add('hidden');
-    editorContainer.classList.remove('hidden');
-    isEditorActive = true;
-    setTimeout(() => {
-        documentEditor.focus();
-    }, 100);
+function hideCardMenu({ restoreFocus = false } = {}) {
+    if (cardMenu.classList.contains('hidden')) return;
+    cardMenu.classList.add('hidden');
+    delete cardMenu.dataset.docId;
+    if (restoreFocus && cardMenuOpener && cardMenuOpener.isConnected) {
+        cardMenuOpener.focus();
+    }
+    cardMenuOpener = null;
 }
 
-function loadDocumentContent() {
-    documentTitle.value = currentDocument.title;
-    documentEditor.innerHTML = formatContentForDisplay(currentDocument.content);
-    updateLastSaved();
+function handleCardMenuClick(e) {
+    const item = e.target.closest('[data-card-action]');
+    if (!item) return;
+    
+    const docId = cardMenu.dataset.docId;
+    hideCardMenu();
+    runDocumentAction(item.dataset.cardAction, [docId], item.dataset.format);
 }
 
-function formatContentForDisplay(content) {
-    return content
-        .replace(/\n/g, '<br>')
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')
-        .replace(/__(.*?)__/g, '<u>$1</u>');
+// The arrow keys move between items, as in other menus
+function handleCardMenuKeydown(e) {
+    const items = Array.from(cardMenu.querySelectorAll('[data-card-action]'));
+    const index = items.indexOf(document.activeElement);
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        items[(index + step + items.length) % items.length].focus();
+    } else if (e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        items[e.key === 'Home' ? 0 : items.length - 1].focus();
+    } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        hideCardMenu({ restoreFocus: true });
+    } else if (e.key === 'Tab') {
+        hideCardMenu();
+    }
 }
 
-function saveDocument() {
-    if (!currentDocument) return;
+// Renaming happens in place, on the card
+function startDocumentRename(docId) {
+    const doc = documents.find(d => d.id === docId);
+    const card = getDocumentCard(docId);
+    if (!doc || !card) return;
     
-    currentDocument.title = documentTitle.value || 'Untitled Document';
-    currentDocument.content = getPlainTextContent();
-    currentDocument.lastModified = Date.now();
-    currentDocument.version++;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'document-rename-input';
+    input.value = doc.title;
+    input.setAttribute('aria-label', 'Document title');
+    card.querySelector('.document-title-text').replaceWith(input);
+    card.draggable = false;
+    input.focus();
+    input.select();
     
-    saveDocumentsToStorage();
-    updateLastSaved();
-    showToast('Document saved', 'success');
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        if (save) {
+            renameDocument(docId, input.value);
+        } else {
+            renderDocuments();
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
 }
 
-function deleteCurrentDocument() {
-    if (!currentDocument) return;
+// A title left empty keeps the one it had
+function renameDocument(docId, title) {
+    const doc = documents.find(d => d.id === docId);
+    const cleaned = title.replace(/\s+/g, ' ').trim();
+    if (!doc || !cleaned || cleaned === doc.title) {
+        renderDocuments();
+        return;
+    }
     
-    const docId = currentDocument.id;
-    documents = documents.filter(d => d.id !== docId);
-    saveDocumentsToStorage();
+    doc.title = cleaned;
+    doc.lastModified = Date.now();
+    persistDocument(doc);
+    broadcastDocumentChange(doc);
+    renderDocuments();
+    showToast(`Renamed to "${cleaned}"`, 'success');
+}
+
+// The copy starts a history of its own, in the same folder with the same tags
+function duplicateDocument(docId) {
+    const doc = documents.find(d => d.id === docId);
+    if (!doc) return;
     
-    hideDeleteModal();
-    showDashboard();
-    showToast('Document deleted', 'success');
+    addDocument(`${doc.title} (copy)`, JSON.parse(JSON.stringify(getDocumentModel(doc))), {
+        folder: Folders.getPath(doc),
+        tags: Folders.getTags(doc)
+    });
+    renderDocuments();
+    showToast(`Duplicated "${doc.title}"`, 'success');
 }
 
-function exportDocument() {
-    if (!currentDocument) return;
+function describeDocuments(docs) {
+    return docs.length === 1 ? `"${docs[0].title}"` : `${docs.length} documents`;
+}
+
+function showMoveModal(docIds) {
+    const docs = documents.filter(doc => docIds.includes(doc.id) && !isTrashed(doc));
+    if (docs.length === 0) return;
     
-    const content = currentDocument.content;
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${currentDocument.title}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const options = [];
+    const addOptions = (node, depth) => {
+        const label = node.path.length ? node.name : 'All documents (no folder)';
+        options.push(`<option value="${escapeHtml(Folders.pathKey(node.path))}">${'\u00a0\u00a0\u00a0'.repeat(depth)}${escapeHtml(label)}</option>`);
+        node.children.forEach(child => addOptions(child, depth + 1));
+    };
+    addOptions(Folders.buildTree(getActiveDocuments(), localFolders), 0);
     
-    showToast('Document exported', 'success');
+    moveModalMessage.textContent = `Move ${describeDocuments(docs)} to:`;
+    moveFolderSelect.innerHTML = options.join('');
+    moveFolderSelect.value = Folders.pathKey(Folders.getPath(docs[0]));
+    moveModal.dataset.docIds = JSON.stringify(docs.map(doc => doc.id));
+    moveModal.classList.remove('hidden');
+    moveFolderSelect.focus();
 }
 
-// Text Editor Functions
-function getPlainTextContent() {
-    return documentEditor.innerText || documentEditor.textContent || '';
+function hideMoveModal() {
+    moveModal.classList.add('hidden');
+    delete moveModal.dataset.docIds;
 }
 
-function updateDocumentStats() {
-    const text = getPlainTextContent();
-    const chars = text.length;
-    const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+function confirmMove() {
+    const docIds = JSON.parse(moveModal.dataset.docIds || '[]');
+    const path = Folders.parsePathKey(moveFolderSelect.value);
+    hideMoveModal();
+    moveDocumentsToFolder(docIds, path);
+}
+
+function showTagDocumentsModal(docIds) {
+    const docs = documents.filter(doc => docIds.includes(doc.id) && !isTrashed(doc));
+    if (docs.length === 0) return;
     
-    charCount.textContent = `${chars} character${chars !== 1 ? 's' : ''}`;
-    wordCount.textContent = `${words} word${words !== 1 ? 's' : ''}`;
+    tagDocumentsMessage.textContent = `Add tags to ${describeDocuments(docs)}, separated by commas.`;
+    tagDocumentsInput.value = '';
+    tagDocumentsSuggestions.innerHTML = Folders.collectTags(getActiveDocuments())
+        .map(({ tag }) => `<option value="${escapeHtml(tag)}"></option>`)
+        .join('');
+    tagDocumentsModal.dataset.docIds = JSON.stringify(docs.map(doc => doc.id));
+    tagDocumentsModal.classList.remove('hidden');
+    tagDocumentsInput.focus();
 }
 
-function updateLastSaved() {
-    const now = new Date();
-    lastSaved.textContent = `Saved at ${now.toLocaleTimeString()}`;
+function hideTagDocumentsModal() {
+    tagDocumentsModal.classList.add('hidden');
+    delete tagDocumentsModal.dataset.docIds;
 }
 
-function applyFormat(command, value = null) {
-    document.execCommand(command, false, value);
-    documentEditor.focus();
+function confirmTagDocuments() {
+    const tags = Folders.parseTags(tagDocumentsInput.value);
+    if (tags.length === 0) {
+        tagDocumentsInput.focus();
+        return;
+    }
     
-    // Update button states
-    updateToolbarState();
+    const docs = documents.filter(doc => JSON.parse(tagDocumentsModal.dataset.docIds || '[]').includes(doc.id));
+    hideTagDocumentsModal();
+    docs.forEach(doc => setDocumentTags(doc, Folders.addTags(Folders.getTags(doc), tags)));
+    renderDocuments();
+    showToast(`Tagged ${describeDocuments(docs)} with ${tags.map(tag => `"${tag}"`).join(', ')}`, 'success');
+}
+
+// Dashboard View
+// How the dashboard sorts, filters and lays out documents. Each user's
+// choice is kept in localStorage, so it outlasts reloads on this device.
+const DEFAULT_DASHBOARD_VIEW = {
+    sort: 'modified',
+    reverse: false,
+    ownership: 'all',
+    collaborator: '',
+    folder: [],
+    tag: '',
+    layout: 'grid'
+};
+
+// Each sort's natural order, and how it reads either way round
+const DOCUMENT_SORTS = {
+    modified: {
+        compare: (a, b) => b.lastModified - a.lastModified,
+        labels: ['Newest first', 'Oldest first']
+    },
+    title: {
+        compare: (a, b) => a.title.localeCompare(b.title, undefined, { numeric: true, sensitivity: 'base' }),
+        labels: ['A–Z', 'Z–A']
+    },
+    created: {
+        compare: (a, b) => getCreatedAt(b) - getCreatedAt(a),
+        labels: ['Newest first', 'Oldest first']
+    },
+    version: {
+        compare: (a, b) => (b.version || 1) - (a.version || 1),
+        labels: ['Highest first', 'Lowest first']
+    }
+};
+
+const DASHBOARD_OWNERSHIPS = ['all', 'mine', 'shared'];
+const DASHBOARD_LAYOUTS = ['grid', 'list'];
+
+function getDashboardViewKey() {
+    return `${DASHBOARD_VIEW_KEY}_${currentUser.id}`;
+}
+
+// Anything stored that this version does not know falls back to the default
+function loadDashboardView() {
+    dashboardView = { ...DEFAULT_DASHBOARD_VIEW };
+    if (!currentUser) return;
     
-    // Save changes
-    clearTimeout(saveTimer);
-    saveTimer = setTimeout(() => {
-        saveDocument();
-        simulateCollaborativeChange();
-    }, 1000);
+    const stored = settingsStore.read(getDashboardViewKey());
+    if (!stored || typeof stored !== 'object') return;
+    
+    if (Object.keys(DOCUMENT_SORTS).includes(stored.sort)) dashboardView.sort = stored.sort;
+    if (typeof stored.reverse === 'boolean') dashboardView.reverse = stored.reverse;
+    if (DASHBOARD_OWNERSHIPS.includes(stored.ownership)) dashboardView.ownership = stored.ownership;
+    if (typeof stored.collaborator === 'string') dashboardView.collaborator = stored.collaborator;
+    if (Array.isArray(stored.folder) && stored.folder.every(name => typeof name === 'string')) {
+        dashboardView.folder = stored.folder;
+    }
+    if (typeof stored.tag === 'string') dashboardView.tag = stored.tag;
+    if (DASHBOARD_LAYOUTS.includes(stored.layout)) dashboardView.layout = stored.layout;
 }
 
-function updateToolbarState() {
-    boldBtn.classList.toggle('active', document.queryCommandState('bold'));
-    italicBtn.classList.toggle('active', document.queryCommandState('italic'));
-    underlineBtn.classList.toggle('active', document.queryCommandState('underline'));
+function setDashboardView(changes) {
+    Object.assign(dashboardView, changes);
+    if (currentUser) {
+        saveSetting(getDashboardViewKey(), dashboardView);
+    }
+    renderDocuments();
 }
 
-// Collaborative Features
-function renderOnlineUsers() {
-    if (!currentDocument) return;
+function updateDashboardControls() {
+    const { sort, reverse, ownership, layout } = dashboardView;
+    sortSelect.value = sort;
+    sortOrderBtn.textContent = DOCUMENT_SORTS[sort].labels[reverse ? 1 : 0];
+    ownerFilter.value = ownership;
     
-    onlineUsers.innerHTML = '';
-    const onlineCollaborators = currentDocument.collaborators.filter(c => c.isOnline);
+    documentsGrid.classList.toggle('list-view', layout === 'list');
+    [[gridViewBtn, 'grid'], [listViewBtn, 'list']].forEach(([button, value]) => {
+        button.classList.toggle('active', layout === value);
+        button.setAttribute('aria-pressed', String(layout === value));
+    });
+}
+
+// Lists everyone who has worked on a document, keeping the chosen
+// collaborator even when none of their documents are left
+function renderCollaboratorFilter() {
+    const people = new Map();
+    getActiveDocuments().forEach(doc => {
+        doc.collaborators.forEach(collab => people.set(collab.id, collab.name));
+    });
     
-    onlineCollaborators.forEach(collab => {
-        const avatar = document.createElement('div');
-        avatar.className = 'collaborator-avatar online';
-        avatar.style.backgroundColor = collab.color;
-        avatar.textContent = collab.name.charAt(0).toUpperCase();
-        avatar.title = collab.name;
-        onlineUsers.appendChild(avatar);
+    const selected = dashboardView.collaborator;
+    const options = Array.from(people, ([id, name]) => ({ id, name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    if (selected && !people.has(selected)) {
+        options.push({ id: selected, name: 'Former collaborator' });
+    }
+    
+    collaboratorFilter.innerHTML = '<option value="">Any collaborator</option>' + options.map(person => `
+        <option value="${escapeHtml(person.id)}">${escapeHtml(person.id === currentUser.id ? `${person.name} (you)` : person.name)}</option>
+    `).join('');
+    collaboratorFilter.value = selected;
+}
+
+// Documents belong to whoever created them. Ones from before owners were
+// recorded belong to their first collaborator, who is the creator too.
+function getDocumentOwner(doc) {
+    const ownerId = doc.ownerId || (doc.collaborators[0] && doc.collaborators[0].id);
+    return doc.collaborators.find(collab => collab.id === ownerId) || null;
+}
+
+function isDashboardFiltered() {
+    const { ownership, collaborator, folder, tag } = dashboardView;
+    return ownership !== 'all' || collaborator !== '' || folder.length > 0 || tag !== '';
+}
+
+function getEmptyViewMessage() {
+    const { ownership, collaborator, folder, tag } = dashboardView;
+    if (folder.length > 0 && ownership === 'all' && !collaborator && !tag) {
+        return 'This folder is empty. Drag documents onto it in the sidebar to move them here.';
+    }
+    return isDashboardFiltered() ? 'No documents match the filters' : null;
+}
+
+// A folder shows the documents in its subfolders too
+function filterDocuments(docs) {
+    const { ownership, collaborator, folder, tag } = dashboardView;
+    return docs.filter(doc => {
+        const owner = getDocumentOwner(doc);
+        const ownedByMe = owner !== null && owner.id === currentUser.id;
+        if (ownership === 'mine' && !ownedByMe) return false;
+        if (ownership === 'shared' && ownedByMe) return false;
+        if (!Folders.isWithin(Folders.getPath(doc), folder)) return false;
+        if (tag && !Folders.hasTag(doc, tag)) return false;
+        return !collaborator || doc.collaborators.some(collab => collab.id === collaborator);
+    });
+}
+
+// Ties go to the most recently modified
+function sortDocuments(docs) {
+    const { compare } = DOCUMENT_SORTS[dashboardView.sort];
+    const direction = dashboardView.reverse ? -1 : 1;
+    return docs.slice().sort((a, b) => direction * compare(a, b) || b.lastModified - a.lastModified);
+}
+
+// Folders and Tags
+// Both are kept on the documents themselves (see folders.js), so moving or
+// tagging a document saves it and reaches other tabs like any other change
+// to it. Empty folders are remembered on this device only.
+function loadLocalFolders() {
+    const stored = settingsStore.read(LOCAL_FOLDERS_KEY);
+    localFolders = Array.isArray(stored)
+        ? stored.filter(path => Array.isArray(path) && path.length && path.every(name => typeof name === 'string'))
+        : [];
+}
+
+function saveLocalFolders() {
+    saveSetting(LOCAL_FOLDERS_KEY, localFolders);
+}
+
+function rememberFolder(path) {
+    if (path.length && !localFolders.some(known => Folders.isSamePath(known, path))) {
+        localFolders.push(path);
+        saveLocalFolders();
+    }
+}
+
+function findFolderNode(path, tree = Folders.buildTree(getActiveDocuments(), localFolders)) {
+    let node = tree;
+    for (const name of path) {
+        node = node.children.find(child => child.name === name);
+        if (!node) return null;
+    }
+    return node;
+}
+
+function folderLabel(path) {
+    return path.length ? path.join(' / ') : 'All documents';
+}
+
+// Moving a document is not an edit to it: `organizedAt` records when its
+// folder or tags last changed, and merged copies keep the newer arrangement
+function saveDocumentOrganization(doc) {
+    doc.organizedAt = Date.now();
+    persistDocument(doc);
+    broadcastDocumentChange(doc);
+}
+
+function renderFolderTree() {
+    const tree = Folders.buildTree(getActiveDocuments(), localFolders);
+    // The selected folder may have been renamed or removed elsewhere
+    if (!findFolderNode(dashboardView.folder, tree)) {
+        dashboardView.folder = [];
+    }
+    
+    const renderNode = (node, depth) => {
+        const selected = !isTrashOpen && Folders.isSamePath(node.path, dashboardView.folder);
+        return `
+            <li role="treeitem" aria-selected="${selected}">
+                <div class="folder-item ${selected ? 'active' : ''}" tabindex="0"
+                     data-folder="${escapeHtml(Folders.pathKey(node.path))}"
+                     style="padding-left: calc(var(--space-8) + ${depth} * var(--space-16))">
+                    <span class="folder-name">${node.path.length ? escapeHtml(node.name) : 'All documents'}</span>
+                    ${node.path.length ? `<span class="folder-actions">
+                        <button class="folder-action" data-folder-action="rename" title="Rename folder">✎</button>
+                        <button class="folder-action" data-folder-action="delete" title="Delete folder, keeping its documents">×</button>
+                    </span>` : ''}
+                    <span class="folder-count">${node.total}</span>
+                </div>
+                ${node.children.length ? `<ul role="group">${node.children.map(child => renderNode(child, depth + 1)).join('')}</ul>` : ''}
+            </li>
+        `;
+    };
+    folderTree.innerHTML = renderNode(tree, 0);
+}
+
+function renderTagList() {
+    const tags = Folders.collectTags(getActiveDocuments());
+    const selected = isTrashOpen ? null : dashboardView.tag.toLowerCase();
+    tagList.innerHTML = tags.length
+        ? tags.map(({ tag, count }) => `
+            <button class="tag-chip ${tag.toLowerCase() === selected ? 'active' : ''}" data-tag="${escapeHtml(tag)}"
+                    aria-pressed="${tag.toLowerCase() === selected}">
+                ${escapeHtml(tag)} <span class="tag-chip-count">${count}</span>
+            </button>
+        `).join('')
+        : '<p class="tag-list-empty">No tags yet</p>';
+}
+
+function getFolderItem(path) {
+    const key = Folders.pathKey(path);
+    return Array.from(folderTree.querySelectorAll('.folder-item')).find(item => item.dataset.folder === key) || null;
+}
+
+function selectFolder(path) {
+    isTrashOpen = false;
+    setDashboardView({ folder: path });
+}
+
+// Choosing the selected tag again shows every document
+function selectTag(tag) {
+    isTrashOpen = false;
+    setDashboardView({ tag: dashboardView.tag.toLowerCase() === tag.toLowerCase() ? '' : tag });
+}
+
+function hasSiblingFolder(path, name) {
+    const parent = findFolderNode(path.slice(0, -1));
+    return Boolean(parent) && parent.children.some(child =>
+        child.name !== path[path.length - 1] && child.name.toLowerCase() === name.toLowerCase());
+}
+
+// Makes a folder inside the selected one and starts naming it
+function createFolder() {
+    const parent = dashboardView.folder;
+    const taken = new Set(findFolderNode(parent).children.map(child => child.name.toLowerCase()));
+    let name = 'New folder';
+    for (let n = 2; taken.has(name.toLowerCase()); n++) {
+        name = `New folder ${n}`;
+    }
+    
+    const path = parent.concat(name);
+    rememberFolder(path);
+    selectFolder(path);
+    startFolderRename(path);
+}
+
+function startFolderRename(path) {
+    const item = getFolderItem(path);
+    if (!item || !path.length) return;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'folder-rename-input';
+    input.value = path[path.length - 1];
+    input.maxLength = Folders.MAX_NAME_LENGTH;
+    input.setAttribute('aria-label', 'Folder name');
+    item.querySelector('.folder-name').replaceWith(input);
+    input.focus();
+    input.select();
+    
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+        if (save) {
+            renameFolder(path, input.value);
+        } else {
+            renderDocuments();
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+function renameFolder(path, name) {
+    let cleaned;
+    try {
+        cleaned = Folders.cleanName(name);
+        if (hasSiblingFolder(path, cleaned)) {
+            throw new Folders.FolderError(`There is already a folder called "${cleaned}" here`);
+        }
+    } catch (error) {
+        if (!(error instanceof Folders.FolderError)) throw error;
+        showToast(error.message, 'error');
+        renderDocuments();
+        return;
+    }
+    
+    moveFolder(path, path.slice(0, -1).concat(cleaned));
+}
+
+// Deleting a folder moves what was in it up into its parent
+function deleteFolder(path) {
+    const parent = path.slice(0, -1);
+    const count = getActiveDocuments().filter(doc => Folders.isWithin(Folders.getPath(doc), path)).length;
+    moveFolder(path, parent);
+    showToast(count
+        ? `Deleted "${path[path.length - 1]}"; its ${count} document${count === 1 ? '' : 's'} moved to ${folderLabel(parent)}`
+        : `Deleted "${path[path.length - 1]}"`, 'success');
+}
+
+// Moves a folder and everything in it, merging it with any folder already at `to`
+function moveFolder(from, to) {
+    if (Folders.isSamePath(from, to)) {
+        renderDocuments();
+        return;
+    }
+    
+    documents.forEach(doc => {
+        const path = Folders.getPath(doc);
+        if (Folders.isWithin(path, from)) {
+            doc.folder = Folders.rebase(path, from, to);
+            saveDocumentOrganization(doc);
+        }
+    });
+    
+    const moved = localFolders.map(path => Folders.rebase(path, from, to)).filter(path => path.length);
+    localFolders = moved.filter((path, i) => moved.findIndex(other => Folders.isSamePath(other, path)) === i);
+    saveLocalFolders();
+    
+    if (Folders.isWithin(dashboardView.folder, from)) {
+        setDashboardView({ folder: Folders.rebase(dashboardView.folder, from, to) });
+    } else {
+        renderDocuments();
+    }
+}
+
+function moveDocumentsToFolder(docIds, path) {
+    const moved = documents.filter(doc => docIds.includes(doc.id) && !Folders.isSamePath(Folders.getPath(doc), path));
+    if (moved.length === 0) return;
+    
+    moved.forEach(doc => {
+        // The folder it leaves stays, even if this emptied it
+        rememberFolder(Folders.getPath(doc));
+        doc.folder = path.slice();
+        saveDocumentOrganization(doc);
+    });
+    renderDocuments();
+    
+    const subject = moved.length === 1 ? `"${moved[0].title}"` : `${moved.length} documents`;
+    showToast(path.length ? `Moved ${subject} to ${folderLabel(path)}` : `Moved ${subject} out of ${moved.length === 1 ? 'its folder' : 'their folders'}`, 'success');
+}
+
+function isDocumentDrag(e) {
+    return Array.from(e.dataTransfer.types).includes(DOCUMENT_DRAG_TYPE);
+}
+
+function setFolderDropTarget(item) {
+    document.querySelectorAll('.dashboard-sidebar .folder-item.drop-target').forEach(target => {
+        if (target !== item) target.classList.remove('drop-target');
+    });
+    if (item) item.classList.add('drop-target');
+}
+
+function handleFolderDragOver(e) {
+    const item = e.target.closest('.folder-item');
+    if (!item || !isDocumentDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setFolderDropTarget(item);
+}
+
+function handleFolderDragLeave(e) {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+        setFolderDropTarget(null);
+    }
+}
+
+// The trash takes drops too, as a quick way to delete
+function handleFolderDrop(e) {
+    const item = e.target.closest('.folder-item');
+    setFolderDropTarget(null);
+    if (!item || !isDocumentDrag(e)) return;
+    e.preventDefault();
+    
+    // Dragging a selected card brings the rest of the selection along
+    const docIds = e.dataTransfer.getData(DOCUMENT_DRAG_TYPE).split('\n');
+    if (item === trashItem) {
+        trashDocuments(docIds);
+    } else {
+        moveDocumentsToFolder(docIds, Folders.parsePathKey(item.dataset.folder));
+    }
+}
+
+function handleFolderTreeClick(e) {
+    const item = e.target.closest('.folder-item');
+    if (!item || e.target.closest('.folder-rename-input')) return;
+    
+    const path = Folders.parsePathKey(item.dataset.folder);
+    const action = e.target.closest('[data-folder-action]');
+    if (!action) {
+        selectFolder(path);
+    } else if (action.dataset.folderAction === 'rename') {
+        startFolderRename(path);
+    } else if (action.dataset.folderAction === 'delete') {
+        deleteFolder(path);
+    }
+}
+
+// Enter opens a folder and F2 renames it, as in file managers
+function handleFolderTreeKeydown(e) {
+    const item = e.target.closest('.folder-item');
+    if (!item || e.target !== item) return;
+    
+    const path = Folders.parsePathKey(item.dataset.folder);
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        selectFolder(path);
+        const selected = getFolderItem(path);
+        if (selected) selected.focus();
+    } else if (e.key === 'F2') {
+        e.preventDefault();
+        startFolderRename(path);
+    }
+}
+
+// Tags of the open document, edited from the editor header
+function renderDocumentTags() {
+    if (!currentDocument) return;
+    
+    documentTagChips.innerHTML = Folders.getTags(currentDocument).map(tag => `
+        <span class="tag-chip">
+            ${escapeHtml(tag)}
+            <button class="tag-chip-remove" data-remove-tag="${escapeHtml(tag)}" aria-label="Remove tag ${escapeHtml(tag)}">×</button>
+        </span>
+    `).join('');
+    tagSuggestions.innerHTML = Folders.collectTags(getActiveDocuments())
+        .filter(({ tag }) => !Folders.hasTag(currentDocument, tag))
+        .map(({ tag }) => `<option value="${escapeHtml(tag)}"></option>`)
+        .join('');
+}
+
+function setDocumentTags(doc, tags) {
+    doc.tags = tags;
+    saveDocumentOrganization(doc);
+    if (doc === currentDocument) {
+        renderDocumentTags();
+    }
+}
+
+function addTagsFromInput() {
+    const tags = Folders.parseTags(tagInput.value);
+    tagInput.value = '';
+    if (!currentDocument || tags.length === 0) return;
+    setDocumentTags(currentDocument, Folders.addTags(Folders.getTags(currentDocument), tags));
+}
+
+function removeDocumentTag(tag) {
+    if (!currentDocument) return;
+    setDocumentTags(currentDocument, Folders.removeTag(Folders.getTags(currentDocument), tag));
+}
+
+// Search
+// Documents are indexed by their title and text (see search.js) whenever
+// they are stored or removed, so the index stays current without rebuilds.
+const searchIndex = Search.createIndex();
+
+function indexDocument(doc) {
+    searchIndex.update(doc.id, { title: doc.title, text: RichText.toText(getDocumentModel(doc)) });
+}
+
+function searchDocuments(query) {
+    const byId = new Map(documents.map(doc => [doc.id, doc]));
+    return searchIndex.search(query)
+        .map(result => byId.get(result.id))
+        .filter(Boolean);
+}
+
+// Escapes text, wrapping the given [start, end] ranges in <mark>
+function highlightHtml(text, ranges) {
+    let html = '';
+    let index = 0;
+    ranges.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(index, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        index = end;
+    });
+    return html + escapeHtml(text.slice(index));
+}
+
+function searchSnippetHtml(doc, query) {
+    const text = RichText.toText(getDocumentModel(doc)).replace(/\n+/g, ' ');
+    const snippet = Search.snippet(text, query);
+    return `<p class="search-snippet">${snippet.before ? '… ' : ''}` +
+        `${highlightHtml(snippet.text, snippet.ranges)}${snippet.after ? ' …' : ''}</p>`;
+}
+
+// Without a query, `emptyMessage` explains why the filters left nothing
+function updateSearchStatus(query, count, emptyMessage = null) {
+    searchStatus.classList.toggle('hidden', !query && (count > 0 || !emptyMessage));
+    if (query) {
+        searchStatus.textContent = count
+            ? `${count} document${count === 1 ? '' : 's'} found`
+            : `No documents match "${query.trim()}"`;
+    } else {
+        searchStatus.textContent = emptyMessage || '';
+    }
+}
+
+function clearSearch() {
+    searchInput.value = '';
+    renderDocuments();
+}
+
+// Document Management
+// New documents go into the folder being shown, unless given a `folder`
+function addDocument(title, model = null, { folder = null, tags = [] } = {}) {
+    // Imports can add several documents within the same millisecond
+    let timestamp = Date.now();
+    while (documents.some(doc => doc.id === 'doc-' + timestamp)) {
+        timestamp++;
+    }
+    
+    const newDoc = {
+        id: 'doc-' + timestamp,
+        title,
+        content: model ? RichText.toText(model) : '',
+        createdAt: Date.now(),
+        lastModified: Date.now(),
+        ownerId: currentUser.id,
+        folder: (folder || (dashboardView ? dashboardView.folder : [])).slice(),
+        collaborators: [{
+            ...currentUser,
+            cursorPosition: 0
+        }],
+        version: 1
+    };
+    if (model) newDoc.model = model;
+    if (tags.length) newDoc.tags = tags.slice();
+    
+    documents.unshift(newDoc);
+    persistDocument(newDoc);
+    broadcastDocumentChange(newDoc);
+    return newDoc;
+}
+
+// Placeholders in the template are filled in as of now, for the current user
+function createNewDocument(template = null) {
+    const { title, model } = template
+        ? Templates.fill(template, Templates.placeholderValues(currentUser))
+        : { title: '', model: null };
+    const newDoc = addDocument(title || 'Untitled Document', model);
+    openDocument(newDoc.id);
+    showToast('New document created', 'success');
+}
+
+function openDocument(docId) {
+    const doc = documents.find(d => d.id === docId);
+    if (!doc) {
+        showToast('Document not found', 'error');
+        return;
+    }
+    
+    currentDocument = doc;
+    isTrashOpen = false;
+    clearSelection();
+    loadDocumentModel(doc);
+    documentReplica = loadDocumentReplica(doc);
+    ensureHistory(doc);
+    
+    // Add current user as collaborator if not already present
+    if (!doc.collaborators.find(c => c.id === currentUser.id)) {
+        doc.collaborators.push({
+            ...currentUser,
+            cursorPosition: 0
+        });
+        persistDocument(doc);
+    } else {
+        // Update user online status
+        const userCollab = doc.collaborators.find(c => c.id === currentUser.id);
+        if (userCollab) {
+            userCollab.isOnline = true;
+            userCollab.lastSeen = Date.now();
+        }
+    }
+    
+    showEditor();
+    loadDocumentContent();
+    inflightOperation = null;
+    bufferedOperation = null;
+    syncShadowModel = getEditorModel();
+    renderDocumentTags();
+    resetEditorHistory();
+    updateDocumentStats();
+    renderOnlineUsers();
+    joinDocumentRoom();
+    
+    if (appConfig.demoMode) {
+        startGhostUserActivity();
+    }
+}
+
+function showEditor() {
+    dashboard.classList.add('hidden');
+    editorContainer.classList.remove('hidden');
+    isEditorActive = true;
+    setTimeout(() => {
+        documentEditor.focus();
+    }, 100);
+}
+
+function loadDocumentContent() {
+    documentTitle.value = currentDocument.title;
+    renderEditorModel(currentDocument.model);
+    updateLastSaved();
+}
+
+// Documents keep their formatting in `model` (see richtext.js) and its
+// plain text in `content`, which is what sync and search work on. Documents
+// without a model hold Markdown, which becomes their model when opened; ones
+// whose text was changed without the model keep what formatting still fits.
+function loadDocumentModel(doc) {
+    let model = doc.model || RichText.fromMarkdown(doc.content);
+    if (RichText.toText(model) !== doc.content && doc.model) {
+        model = RichText.withText(model, doc.content);
+    }
+    doc.model = model;
+    doc.content = RichText.toText(model);
+}
+
+function getDocumentModel(doc) {
+    return doc.model || RichText.fromMarkdown(doc.content);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Colors come from other people's browsers and from backups, so only hex
+// colors make it into markup
+function safeColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{3,8}$/i.test(color) ? color : DEFAULT_USER_COLOR;
+}
+
+// Whether the editor holds anything the stored copy does not
+function hasUnsavedChanges() {
+    if (!currentDocument || !isEditorActive) return false;
+    return (documentTitle.value || 'Untitled Document') !== currentDocument.title ||
+        !RichText.isEqual(getEditorModel(), getDocumentModel(currentDocument));
+}
+
+function saveDocument({ restoredFrom = null } = {}) {
+    if (!currentDocument) return;
+    
+    currentDocument.title = documentTitle.value || 'Untitled Document';
+    currentDocument.model = getEditorModel();
+    currentDocument.content = RichText.toText(currentDocument.model);
+    currentDocument.lastModified = Date.now();
+    
+    // While synced, the server owns the version counter and the CRDT is
+    // advanced by acknowledged operations instead
+    if (!isDocumentSynced()) {
+        currentDocument.version++;
+        CRDT.applyText(documentReplica, currentDocument.content);
+    }
+    currentDocument.crdt = CRDT.encode(documentReplica);
+    recordVersion(currentDocument, restoredFrom);
+    
+    persistDocument(currentDocument);
+    broadcastDocumentChange(currentDocument);
+    updateLastSaved();
+    showToast('Document saved', 'success');
+}
+
+// Templates
+// New documents can start from a built-in template (see templates.js) or
+// one the user saved from a document. Saved templates belong to the user
+// and are kept in localStorage on this device.
+function getTemplatesKey() {
+    return `${TEMPLATES_KEY}_${currentUser.id}`;
+}
+
+// Templates that cannot be read are left out
+function loadUserTemplates() {
+    if (!currentUser) return [];
+    
+    const stored = settingsStore.read(getTemplatesKey());
+    if (!Array.isArray(stored)) return [];
+    
+    return stored.filter(template => template &&
+        typeof template.id === 'string' &&
+        typeof template.name === 'string' &&
+        typeof template.title === 'string' &&
+        template.model && Array.isArray(template.model.blocks));
+}
+
+function saveUserTemplates(templates) {
+    return saveSetting(getTemplatesKey(), templates);
+}
+
+function findTemplate(templateId) {
+    return Templates.BUILT_IN.find(template => template.id === templateId) ||
+        loadUserTemplates().find(template => template.id === templateId) || null;
+}
+
+function createTemplateCard(template, { removable = false } = {}) {
+    const model = template.model || RichText.fromMarkdown(template.markdown);
+    const description = template.description ||
+        `Saved ${new Date(template.createdAt).toLocaleDateString()}`;
+    return `
+        <div class="template-card" role="listitem">
+            <button class="template-choose" data-template-id="${escapeHtml(template.id)}">
+                <span class="document-preview template-preview">${RichText.toHTML({ blocks: model.blocks.slice(0, PREVIEW_BLOCK_LIMIT) })}</span>
+                <span class="template-name">${escapeHtml(template.name)}</span>
+                <span class="template-description">${escapeHtml(description)}</span>
+            </button>
+            ${removable ? `<button class="folder-action template-remove" data-remove-template="${escapeHtml(template.id)}" title="Delete template" aria-label="Delete template ${escapeHtml(template.name)}">×</button>` : ''}
+        </div>
+    `;
+}
+
+function renderTemplateGallery() {
+    const userTemplates = loadUserTemplates().sort((a, b) => b.createdAt - a.createdAt);
+    templateGallery.innerHTML = `
+        <div class="template-grid" role="list">
+            <div class="template-card" role="listitem">
+                <button class="template-choose" data-template-id="">
+                    <span class="document-preview template-preview template-blank">+</span>
+                    <span class="template-name">Blank document</span>
+                    <span class="template-description">Start from nothing</span>
+                </button>
+            </div>
+            ${Templates.BUILT_IN.map(template => createTemplateCard(template)).join('')}
+        </div>
+        <h4 class="template-section-title">Your templates</h4>
+        ${userTemplates.length ? `<div class="template-grid" role="list">
+            ${userTemplates.map(template => createTemplateCard(template, { removable: true })).join('')}
+        </div>` : '<p class="template-empty">Use "Save as template" in the editor to add your own.</p>'}
+    `;
+}
+
+function showTemplateModal() {
+    if (!currentUser) return;
+    renderTemplateGallery();
+    templateModal.classList.remove('hidden');
+    templateGallery.querySelector('.template-choose').focus();
+}
+
+function hideTemplateModal() {
+    templateModal.classList.add('hidden');
+}
+
+function handleTemplateGalleryClick(e) {
+    const remove = e.target.closest('[data-remove-template]');
+    const choose = e.target.closest('[data-template-id]');
+    if (remove) {
+        deleteUserTemplate(remove.dataset.removeTemplate);
+    } else if (choose) {
+        const template = choose.dataset.templateId ? findTemplate(choose.dataset.templateId) : null;
+        hideTemplateModal();
+        createNewDocument(template);
+    }
+}
+
+function deleteUserTemplate(templateId) {
+    const templates = loadUserTemplates();
+    const template = templates.find(t => t.id === templateId);
+    if (!template) return;
+    
+    if (!saveUserTemplates(templates.filter(t => t.id !== templateId))) return;
+    renderTemplateGallery();
+    showToast(`Template "${template.name}" deleted`, 'success');
+}
+
+function showSaveTemplateModal() {
+    if (!currentDocument) return;
+    templateNameInput.value = documentTitle.value || 'Untitled Document';
+    saveTemplateModal.classList.remove('hidden');
+    templateNameInput.focus();
+    templateNameInput.select();
+}
+
+function hideSaveTemplateModal() {
+    saveTemplateModal.classList.add('hidden');
+}
+
+// Saving under the name of an existing template replaces it
+function saveAsTemplate() {
+    const name = templateNameInput.value.replace(/\s+/g, ' ').trim();
+    if (!name) {
+        templateNameInput.focus();
+        return;
+    }
+    
+    const templates = loadUserTemplates();
+    const existing = templates.find(t => t.name.toLowerCase() === name.toLowerCase());
+    const template = {
+        id: existing ? existing.id : `template-${Date.now()}`,
+        name,
+        title: documentTitle.value || 'Untitled Document',
+        model: getEditorModel(),
+        createdAt: Date.now()
+    };
+    if (!saveUserTemplates([template, ...templates.filter(t => t !== existing)])) return;
+    
+    hideSaveTemplateModal();
+    documentEditor.focus();
+    showToast(existing ? `Template "${name}" updated` : `Saved as template "${name}"`, 'success');
+}
+
+// Trash
+// Deleting moves a document to the trash by stamping it with `deletedAt`.
+// It is kept, saved and shared like any other document, but left out of
+// everything but the trash, until it is restored or deleted for good: by
+// hand, or once it has been there longer than the retention period.
+function isTrashed(doc) {
+    return Boolean(doc.deletedAt);
+}
+
+function getActiveDocuments() {
+    return documents.filter(doc => !isTrashed(doc));
+}
+
+function getTrashedDocuments() {
+    return documents.filter(isTrashed);
+}
+
+// Days documents stay in the trash on this device; 0 keeps them until the
+// trash is emptied
+function getTrashRetentionDays() {
+    const stored = settingsStore.read(TRASH_RETENTION_KEY);
+    const days = stored === null ? DEFAULT_TRASH_RETENTION_DAYS : stored;
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+function setTrashRetentionDays(days) {
+    if (saveSetting(TRASH_RETENTION_KEY, days)) {
+        purgeExpiredDocuments();
+    }
+    renderDocuments();
+}
+
+function trashedLabel(doc) {
+    const deleted = `Deleted ${new Date(doc.deletedAt).toLocaleDateString()}`;
+    const retention = getTrashRetentionDays();
+    if (!retention) return deleted;
+    
+    const daysLeft = Math.max(1, Math.ceil((doc.deletedAt + retention * DAY - Date.now()) / DAY));
+    return `${deleted} · deleted for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+}
+
+function showTrash() {
+    isTrashOpen = true;
+    renderDocuments();
+}
+
+function updateTrashControls() {
+    const count = getTrashedDocuments().length;
+    trashCount.textContent = count || '';
+    trashItem.classList.toggle('active', isTrashOpen);
+    trashHeader.classList.toggle('hidden', !isTrashOpen);
+    dashboardViewControls.querySelectorAll('select, #sortOrderBtn').forEach(control => {
+        control.classList.toggle('hidden', isTrashOpen);
+    });
+    trashRetentionSelect.value = String(getTrashRetentionDays());
+    emptyTrashBtn.disabled = count === 0;
+}
+
+function trashDocument(docId) {
+    const doc = documents.find(d => d.id === docId);
+    if (!doc || isTrashed(doc)) return;
+    
+    const isOpen = currentDocument !== null && currentDocument.id === docId && isEditorActive;
+    if (isOpen) {
+        // What was typed since the last save goes into the trash with it
+        clearTimeout(saveTimer);
+        saveDocument();
+    }
+    
+    markDeleted(doc);
+    if (isOpen) {
+        showDashboard();
+    } else {
+        renderDocuments();
+    }
+    showToast(`"${doc.title}" moved to the trash`, 'success');
+}
+
+function markDeleted(doc) {
+    // Its folder stays, even if this was the last thing in it
+    rememberFolder(Folders.getPath(doc));
+    doc.deletedAt = Date.now();
+    saveDocumentOrganization(doc);
+}
+
+function trashDocuments(docIds) {
+    if (docIds.length === 1) {
+        trashDocument(docIds[0]);
+        return;
+    }
+    
+    const trashed = documents.filter(doc => docIds.includes(doc.id) && !isTrashed(doc));
+    trashed.forEach(markDeleted);
+    renderDocuments();
+    showToast(`${trashed.length} documents moved to the trash`, 'success');
+}
+
+function restoreDocument(docId) {
+    restoreDocuments([docId]);
+}
+
+function restoreDocuments(docIds) {
+    const restored = documents.filter(doc => docIds.includes(doc.id) && isTrashed(doc));
+    if (restored.length === 0) return;
+    
+    restored.forEach(doc => {
+        delete doc.deletedAt;
+        saveDocumentOrganization(doc);
+    });
+    renderDocuments();
+    showToast(restored.length === 1 ? `"${restored[0].title}" restored` : `${restored.length} documents restored`, 'success');
+}
+
+// Deletes a document for good, here and in other tabs
+function purgeDocument(docId) {
+    if (!documents.some(d => d.id === docId)) return;
+    
+    documents = documents.filter(d => d.id !== docId);
+    removeDocumentFromStorage(docId);
+    postTabMessage({ type: 'document-deleted', docId });
+    if (currentDocument && currentDocument.id === docId) {
+        currentDocument = null;
+    }
+    refreshDocumentViews();
+}
+
+function purgeDocuments(docIds) {
+    const purged = docIds.filter(docId => documents.some(d => d.id === docId));
+    purged.forEach(purgeDocument);
+    showToast(`Deleted ${purged.length} document${purged.length === 1 ? '' : 's'} for good`, 'success');
+}
+
+function emptyTrash() {
+    purgeDocuments(getTrashedDocuments().map(doc => doc.id));
+}
+
+function purgeExpiredDocuments() {
+    const retention = getTrashRetentionDays();
+    if (!retention) return;
+    
+    const cutoff = Date.now() - retention * DAY;
+    getTrashedDocuments()
+        .filter(doc => doc.deletedAt <= cutoff)
+        .forEach(doc => purgeDocument(doc.id));
+}
+
+// Documents can outstay the retention period while the app is open
+function startTrashPurge() {
+    purgeExpiredDocuments();
+    clearInterval(trashPurgeTimer);
+    trashPurgeTimer = setInterval(purgeExpiredDocuments, TRASH_PURGE_INTERVAL);
+}
+
+// Import
+// Each file becomes a new document titled after the file. HTML is read into
+// a detached document, so none of its scripts run or images load.
+const IMPORT_FORMATS = {
+    txt: 'text',
+    text: 'text',
+    md: 'markdown',
+    markdown: 'markdown',
+    html: 'html',
+    htm: 'html',
+    docx: 'docx'
+};
+const IMPORT_FORMAT_NAMES = {
+    text: 'text',
+    markdown: 'Markdown',
+    html: 'HTML',
+    docx: 'Word'
+};
+const MAX_IMPORT_SIZE = 20 * 1024 * 1024;
+
+function getImportFormat(fileName) {
+    const extension = /\.([^.]+)$/.exec(fileName);
+    return extension ? IMPORT_FORMATS[extension[1].toLowerCase()] || null : null;
+}
+
+function titleFromFileName(fileName) {
+    return fileName.replace(/\.[^.]+$/, '').trim() || 'Untitled Document';
+}
+
+// Text that is not UTF-8 is taken to be Windows-1252, which is what older
+// editors save; a NUL byte means it is not text at all
+function decodeImportedText(bytes) {
+    if (bytes.includes(0)) throw new Error('Not a text file');
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        text = new TextDecoder('windows-1252').decode(bytes);
+    }
+    return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+async function readImportedModel(file, format) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (format === 'docx') {
+        return Docx.toModel(bytes);
+    }
+    
+    const text = decodeImportedText(bytes);
+    if (format === 'markdown') {
+        return RichText.fromMarkdown(text);
+    }
+    if (format === 'html') {
+        const page = new DOMParser().parseFromString(text, 'text/html');
+        return RichText.fromHTML(page.body);
+    }
+    return RichText.fromText(text);
+}
+
+async function importFiles(files) {
+    const imported = [];
+    const failed = [];
+    
+    for (const file of files) {
+        const format = getImportFormat(file.name);
+        if (!format) {
+            failed.push(`${file.name} (unsupported file type)`);
+            continue;
+        }
+        if (file.size > MAX_IMPORT_SIZE) {
+            failed.push(`${file.name} (too large)`);
+            continue;
+        }
+        
+        try {
+            const model = await readImportedModel(file, format);
+            imported.push(addDocument(titleFromFileName(file.name), model));
+        } catch (error) {
+            failed.push(`${file.name} (not a valid ${IMPORT_FORMAT_NAMES[format]} file)`);
+        }
+    }
+    
+    if (imported.length) renderDocuments();
+    
+    const messages = [];
+    if (imported.length === 1) {
+        messages.push(`Imported "${imported[0].title}"`);
+    } else if (imported.length > 1) {
+        messages.push(`Imported ${imported.length} documents`);
+    }
+    if (failed.length) {
+        messages.push(`Could not import ${failed.join(', ')}`);
+    }
+    if (messages.length) {
+        showToast(messages.join('. '), failed.length ? 'error' : 'success');
+    }
+}
+
+function isFileDrag(e) {
+    return Array.from(e.dataTransfer ? e.dataTransfer.types : []).includes('Files');
+}
+
+function handleImportDragOver(e) {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    documentsGrid.classList.add('drop-target');
+}
+
+function handleImportDragLeave(e) {
+    if (!documentsGrid.contains(e.relatedTarget)) {
+        documentsGrid.classList.remove('drop-target');
+    }
+}
+
+function handleImportDrop(e) {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    documentsGrid.classList.remove('drop-target');
+    importFiles(Array.from(e.dataTransfer.files));
+}
+
+// Workspace Backup
+// The whole workspace goes into one archive (see workspace.js). Restoring
+// adds the backup's documents; for ones already here the user chooses
+// between merging the two copies and replacing this one with the backup's.
+let pendingRestore = null;
+
+const RESTORE_LIST_LIMIT = 5;
+
+function exportWorkspace() {
+    const backup = Workspace.create(documents, { exportedBy: currentUser });
+    
+    const usedNames = new Set();
+    const copies = documents.map(doc => ({
+        name: `documents/${uniqueFileName(doc.title, usedNames)}.md`,
+        data: RichText.toMarkdown(getDocumentModel(doc))
+    }));
+    
+    const archive = Zip.create([
+        { name: Workspace.MANIFEST, data: JSON.stringify(backup) },
+        ...copies
+    ]);
+    const date = new Date().toLocaleDateString('en-CA');
+    downloadFile(`collabdocs-workspace-${date}.zip`, archive, 'application/zip');
+    showToast(`Exported ${documents.length} document${documents.length === 1 ? '' : 's'}`, 'success');
+}
+
+async function importWorkspace(file) {
+    let backup;
+    try {
+        backup = await Workspace.read(await file.arrayBuffer());
+    } catch (error) {
+        showToast(error instanceof Workspace.WorkspaceError ? error.message : 'Could not read the backup', 'error');
+        return;
+    }
+    
+    const existing = backup.documents.filter(incoming => documents.some(doc => doc.id === incoming.id));
+    if (existing.length === 0) {
+        restoreWorkspace(backup, 'merge');
+    } else {
+        showRestoreModal(backup, existing);
+    }
+}
+
+function showRestoreModal(backup, existing) {
+    pendingRestore = backup;
+    
+    const count = backup.documents.length;
+    restoreSummary.textContent = `This backup has ${count} document${count === 1 ? '' : 's'}. ` +
+        `${existing.length === 1 ? 'One is' : `${existing.length} are`} already in this workspace:`;
+    const more = existing.length - RESTORE_LIST_LIMIT;
+    restoreConflictList.innerHTML = existing.slice(0, RESTORE_LIST_LIMIT)
+        .map(doc => `<li>${escapeHtml(doc.title || 'Untitled Document')}</li>`)
+        .join('') + (more > 0 ? `<li>and ${more} more</li>` : '');
+    
+    restoreModal.classList.remove('hidden');
+    mergeRestoreBtn.focus();
+}
+
+function hideRestoreModal() {
+    restoreModal.classList.add('hidden');
+    pendingRestore = null;
+}
+
+function confirmRestore(mode) {
+    const backup = pendingRestore;
+    hideRestoreModal();
+    if (backup) restoreWorkspace(backup, mode);
+}
+
+// `mode` decides what happens to documents both have: 'merge' combines the
+// two copies, 'replace' takes the backup's
+function restoreWorkspace(backup, mode) {
+    const counts = { added: 0, merged: 0, replaced: 0 };
+    const stored = [];
+    
+    // The editor, its undo history and the sync room all hold the open
+    // document's text, so it is closed before its copy is swapped out.
+    // Saving first gives unsaved edits a CRDT, so a merge keeps them.
+    if (currentDocument && isEditorActive && backup.documents.some(doc => doc.id === currentDocument.id)) {
+        if (mode !== 'replace' && hasUnsavedChanges()) {
+            saveDocument();
+        }
+        if (mode === 'replace' || !currentDocument.crdt) {
+            showDashboard();
+        }
+    }
+    
+    backup.documents.forEach(incoming => {
+        const index = documents.findIndex(doc => doc.id === incoming.id);
+        if (index === -1) {
+            documents.push(incoming);
+            stored.push(incoming);
+            counts.added++;
+        } else if (mode === 'replace' || !documents[index].crdt) {
+            // A copy never edited here, such as a sample document seeded
+            // again after browser data was cleared, has nothing to merge
+            documents[index] = incoming;
+            stored.push(incoming);
+            counts[mode === 'replace' ? 'replaced' : 'merged']++;
+        } else {
+            mergeDocumentCopy(incoming);
+            broadcastDocumentChange(documents[index]);
+            counts.merged++;
+        }
+    });
+    
+    if (stored.length) {
+        saveDocumentsToStorage(stored);
+        stored.forEach(broadcastDocumentChange);
+    }
+    documents.sort((a, b) => getCreatedAt(b) - getCreatedAt(a));
+    renderDocuments();
+    
+    const summary = Object.keys(counts)
+        .filter(key => counts[key] > 0)
+        .map(key => `${counts[key]} ${key}`)
+        .join(', ');
+    showToast(summary ? `Workspace restored: ${summary}` : 'The backup has no documents', 'success');
+}
+
+// Export
+// Files are made from the editor's model, so they include changes not yet
+// saved. The PDF is printed from the browser's dialog ("Save as PDF").
+const EXPORT_STYLES = `
+body { max-width: 720px; margin: 40px auto; padding: 0 24px; color: #1f2121;
+    font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.25; margin: 1.4em 0 0.5em; }
+p { margin: 0 0 0.6em; }
+a { color: #21808d; }
+code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+code { background: #f2f2f2; padding: 0.1em 0.3em; border-radius: 3px; }
+pre { background: #f2f2f2; margin: 0; padding: 0 12px; white-space: pre-wrap; }
+pre:first-child, :not(pre) + pre { margin-top: 0.6em; padding-top: 10px; border-radius: 6px 6px 0 0; }
+pre:not(:has(+ pre)) { margin-bottom: 0.6em; padding-bottom: 10px; border-radius: 0 0 6px 6px; }
+pre:first-child:not(:has(+ pre)), :not(pre) + pre:not(:has(+ pre)) { border-radius: 6px; }
+pre code { background: none; padding: 0; }
+blockquote { margin: 0; padding: 0 0 0 16px; border-left: 4px solid #d0d0d0; color: #555; }
+ul, ol { margin: 0 0 0.6em; padding-left: 28px; }
+li.list-indent { list-style: none; }
+li[data-checked] { list-style: none; position: relative; }
+li[data-checked]::before { content: "\\2610"; position: absolute; left: -22px; }
+li[data-checked="true"]::before { content: "\\2611"; }
+hr { border: none; border-top: 1px solid #d0d0d0; margin: 1.2em 0; }
+table { border-collapse: collapse; margin: 0 0 0.8em; }
+th, td { border: 1px solid #d0d0d0; padding: 6px 10px; }
+th { background: #f7f7f7; }
+@page { margin: 2cm; }
+@media print { body { margin: 0; padding: 0; max-width: none; } }
+`;
+
+function sanitizeFileName(title) {
+    const name = title
+        // Characters file systems reject, and control characters
+        .replace(/[\/\\?*:|"<>\u0000-\u001F\u007F]/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, 120)
+        .trim();
+    // Names Windows keeps for devices
+    if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(name)) return name + '_';
+    return name || 'Untitled Document';
+}
+
+// Numbers names already in `usedNames`, which it adds the name to
+function uniqueFileName(title, usedNames) {
+    const baseName = sanitizeFileName(title);
+    let name = baseName;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+        name = `${baseName} (${n})`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+function downloadFile(fileName, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function standaloneHtml(title, model) {
+    return `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n` +
+        `<meta name="viewport" content="width=device-width, initial-scale=1">\n` +
+        `<title>${escapeHtml(title)}</title>\n<style>${EXPORT_STYLES}</style>\n</head>\n` +
+        `<body>\n${RichText.toHTML(model)}\n</body>\n</html>\n`;
+}
+
+function printDocument(title, model) {
+    const frame = document.createElement('iframe');
+    frame.className = 'print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+    // Same origin so it can be printed from here, but nothing in it may run
+    frame.setAttribute('sandbox', 'allow-modals allow-same-origin');
+    frame.srcdoc = standaloneHtml(title, model);
+    frame.addEventListener('load', () => {
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    });
+    document.body.appendChild(frame);
+}
+
+// A document as a file in `format`, as { extension, data, type }. PDFs are
+// printed rather than made here.
+function exportFile(title, model, format) {
+    switch (format) {
+        case 'markdown':
+            return { extension: 'md', data: RichText.toMarkdown(model), type: 'text/markdown' };
+        case 'html':
+            return { extension: 'html', data: standaloneHtml(title, model), type: 'text/html' };
+        case 'docx':
+            return { extension: 'docx', data: Docx.fromModel(model, { title, author: currentUser.name }), type: Docx.MIME_TYPE };
+        default:
+            return null;
+    }
+}
+
+function exportModel(title, model, format) {
+    if (format === 'pdf') {
+        printDocument(title, model);
+        return;
+    }
+    
+    const file = exportFile(title, model, format);
+    if (!file) return;
+    downloadFile(`${sanitizeFileName(title)}.${file.extension}`, file.data, file.type);
+    showToast('Document exported', 'success');
+}
+
+function exportDocument(format) {
+    if (!currentDocument) return;
+    
+    hideExportMenu();
+    exportModel(documentTitle.value || currentDocument.title, getEditorModel(), format);
+}
+
+// Several documents download together as one archive
+function exportDocuments(docIds, format) {
+    const docs = documents.filter(doc => docIds.includes(doc.id));
+    if (docs.length <= 1) {
+        if (docs.length) exportModel(docs[0].title, getDocumentModel(docs[0]), format);
+        return;
+    }
+    
+    const usedNames = new Set();
+    const files = docs.map(doc => {
+        const file = exportFile(doc.title, getDocumentModel(doc), format);
+        return { name: `${uniqueFileName(doc.title, usedNames)}.${file.extension}`, data: file.data };
+    });
+    const date = new Date().toLocaleDateString('en-CA');
+    downloadFile(`collabdocs-export-${date}.zip`, Zip.create(files), 'application/zip');
+    showToast(`Exported ${docs.length} documents`, 'success');
+}
+
+function toggleExportMenu() {
+    const isOpen = exportMenu.classList.toggle('hidden') === false;
+    exportBtn.setAttribute('aria-expanded', String(isOpen));
+}
+
+function hideExportMenu() {
+    exportMenu.classList.add('hidden');
+    exportBtn.setAttribute('aria-expanded', 'false');
+}
+
+// Text Editor Functions
+// Offsets into the editor are positions in its text as RichText reads it,
+// which is also the text that operations are made against.
+function getPlainTextContent() {
+    return RichText.getText(documentEditor);
+}
+
+function getEditorModel() {
+    return RichText.fromDOM(documentEditor);
+}
+
+function renderEditorModel(model) {
+    documentEditor.innerHTML = RichText.toHTML(model);
+}
+
+function handleEditorInput() {
+    applyPendingMarks();
+    recordEditorChange({ merge: true });
+    updateDocumentStats();
+    refreshFindMatches();
+    captureLocalEdit();
+    scheduleTabBroadcast();
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveDocument, 2000);
+}
+
+// Task items draw their checkbox in the margin to the left of the text
+function toggleTaskItem(e) {
+    const item = e.target.closest('li[data-checked]');
+    if (!item || e.clientX >= item.getBoundingClientRect().left) return;
+    
+    e.preventDefault();
+    item.dataset.checked = item.dataset.checked === 'true' ? 'false' : 'true';
+    recordEditorChange();
+    handleEditorInput();
+}
+
+function getEditorSelection() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+    
+    const range = selection.getRangeAt(0);
+    if (!documentEditor.contains(range.startContainer) || !documentEditor.contains(range.endContainer)) {
+        return null;
+    }
+    
+    return {
+        start: RichText.getOffset(documentEditor, range.startContainer, range.startOffset),
+        end: RichText.getOffset(documentEditor, range.endContainer, range.endOffset)
+    };
+}
+
+function createEditorRange(start, end = start) {
+    const startPosition = RichText.findPosition(documentEditor, start);
+    const endPosition = RichText.findPosition(documentEditor, end);
+    
+    const range = document.createRange();
+    range.setStart(startPosition.node, startPosition.offset);
+    range.setEnd(endPosition.node, endPosition.offset);
+    return range;
+}
+
+function setEditorSelection(start, end = start) {
+    const range = createEditorRange(start, end);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function updateDocumentStats() {
+    const text = getPlainTextContent();
+    const chars = text.length;
+    const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+    
+    charCount.textContent = `${chars} character${chars !== 1 ? 's' : ''}`;
+    wordCount.textContent = `${words} word${words !== 1 ? 's' : ''}`;
+}
+
+function updateLastSaved() {
+    const now = new Date();
+    lastSaved.textContent = `Saved at ${now.toLocaleTimeString()}`;
+}
+
+// Formatting
+// Toolbar buttons and shortcuts run editor commands (see commands.js) on the
+// model read from the editor, which is then rendered in its place.
+// Collaborators receive the change like any other edit.
+function getEditorState(selection = getEditorSelection()) {
+    if (!selection) return null;
+    
+    const hasPendingMarks = pendingMarks && selection.start === pendingMarks.offset && selection.end === pendingMarks.offset;
+    return EditorCommands.createState(getEditorModel(), selection, hasPendingMarks ? pendingMarks.marks : null);
+}
+
+function runCommand(name, value, selection = getEditorSelection()) {
+    const state = getEditorState(selection);
+    if (!state) return;
+    
+    showEditorState(EditorCommands.execute(name, state, value), state);
+}
+
+// Renders a state made by a command or the undo history, recording the
+// change for undo unless it came from there. Changes made from outside the
+// editor pass `focus: false` to leave focus where it is.
+function showEditorState(next, previous, { record = true, focus = true } = {}) {
+    const { start, end } = next.selection;
+    pendingMarks = next.marks ? { offset: start, marks: next.marks } : null;
+    if (focus) {
+        documentEditor.focus();
+    }
+    
+    if (RichText.isEqual(next.model, previous.model)) {
+        if (focus) {
+            setEditorSelection(start, end);
+        }
+        updateToolbarState();
+        return;
+    }
+    
+    renderEditorModel(next.model);
+    if (focus) {
+        setEditorSelection(start, end);
+    }
+    if (record) {
+        editorHistory.record(previous.model, next.model, {
+            selectionBefore: previous.selection,
+            selectionAfter: next.selection
+        });
+    }
+    historyModel = next.model;
+    updateUndoButtons();
+    handleEditorInput();
+    updateToolbarState();
+    
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+        saveDocument();
+        if (appConfig.demoMode) {
+            simulateCollaborativeChange();
+        }
+    }, 1000);
+}
+
+// Marks chosen with nothing selected format the text typed next at that spot
+function applyPendingMarks() {
+    if (!pendingMarks) return;
+    
+    const { offset, marks } = pendingMarks;
+    pendingMarks = null;
+    const selection = getEditorSelection();
+    if (!selection || selection.start !== selection.end || selection.start <= offset) return;
+    
+    // Only when the input inserted text there and nothing else
+    const model = getEditorModel();
+    const inserted = RichText.toText(model).length - RichText.toText(historyModel).length;
+    if (inserted !== selection.start - offset) return;
+    
+    renderEditorModel(RichText.formatText(model, offset, selection.start, marks));
+    setEditorSelection(selection.start);
+}
+
+function updateToolbarState() {
+    const state = getEditorState();
+    if (!state) return;
+    
+    const format = EditorCommands.getActiveFormat(state);
+    const isList = list => format.type === 'list-item' && format.attrs.list === list;
+    const align = format.attrs.align || 'left';
+    
+    boldBtn.classList.toggle('active', Boolean(format.marks.bold));
+    italicBtn.classList.toggle('active', Boolean(format.marks.italic));
+    underlineBtn.classList.toggle('active', Boolean(format.marks.underline));
+    strikeBtn.classList.toggle('active', Boolean(format.marks.strike));
+    inlineCodeBtn.classList.toggle('active', Boolean(format.marks.code));
+    linkBtn.classList.toggle('active', Boolean(format.marks.link));
+    bulletListBtn.classList.toggle('active', isList('bullet'));
+    numberedListBtn.classList.toggle('active', isList('ordered'));
+    quoteBtn.classList.toggle('active', format.type === 'blockquote');
+    codeBlockBtn.classList.toggle('active', format.type === 'code-block');
+    alignLeftBtn.classList.toggle('active', align === 'left');
+    alignCenterBtn.classList.toggle('active', align === 'center');
+    alignRightBtn.classList.toggle('active', align === 'right');
+    
+    // Smaller headings have no entry, so the dropdown shows none selected
+    if (format.type === 'heading') {
+        blockTypeSelect.value = format.attrs.level <= 3 ? String(format.attrs.level) : '';
+    } else {
+        blockTypeSelect.value = 'paragraph';
+    }
+}
+
+const FORMAT_SHORTCUTS = {
+    'Alt+Digit0': () => runCommand('paragraph'),
+    'Alt+Digit1': () => runCommand('heading', 1),
+    'Alt+Digit2': () => runCommand('heading', 2),
+    'Alt+Digit3': () => runCommand('heading', 3),
+    'Alt+KeyC': () => runCommand('codeBlock'),
+    'Shift+Digit7': () => runCommand('orderedList'),
+    'Shift+Digit8': () => runCommand('bulletList'),
+    'Shift+Digit9': () => runCommand('blockquote'),
+    'Shift+KeyL': () => runCommand('align', 'left'),
+    'Shift+KeyE': () => runCommand('align', 'center'),
+    'Shift+KeyR': () => runCommand('align', 'right'),
+    'Shift+KeyX': () => runCommand('strike')
+};
+
+// Shortcuts that need Shift or Alt as well as Ctrl, looked up by physical
+// key so they work whatever the Shift layer of the keyboard produces
+function getFormatShortcut(e) {
+    return FORMAT_SHORTCUTS[`${e.altKey ? 'Alt+' : ''}${e.shiftKey ? 'Shift+' : ''}${e.code}`] || null;
+}
+
+// Find and Replace
+// Matches are found in the editor's text (see find.js) and drawn over it the
+// way remote selections are. Replacing is an edit like any other, so it
+// reaches collaborators and can be undone; replacing all is one undo step.
+function isFindBarOpen() {
+    return !findBar.classList.contains('hidden');
+}
+
+// Starts from the selection, and looks for it when it is on one line
+function showFindBar(withReplace) {
+    const selection = getEditorSelection();
+    if (selection) {
+        const selected = getPlainTextContent().slice(selection.start, selection.end);
+        if (selected && !selected.includes('\n')) {
+            findInput.value = selected;
+        }
+        findAnchor = selection.start;
+    }
+    
+    findBar.classList.remove('hidden');
+    replaceRow.classList.toggle('hidden', !withReplace);
+    findInput.focus();
+    findInput.select();
+    refreshFindMatches({ reveal: true });
+}
+
+// Returning to the editor selects the current match
+function hideFindBar({ focusEditor = true } = {}) {
+    if (!isFindBarOpen()) return;
+    
+    const match = findResults[findIndex];
+    findBar.classList.add('hidden');
+    findResults = [];
+    findIndex = -1;
+    findHighlightLayer.innerHTML = '';
+    
+    if (focusEditor) {
+        documentEditor.focus();
+        if (match) {
+            setEditorSelection(match.start, match.end);
+        }
+    }
+}
+
+function getFindOptions() {
+    return {
+        caseSensitive: findCaseBtn.classList.contains('active'),
+        wholeWord: findWordBtn.classList.contains('active'),
+        regex: findRegexBtn.classList.contains('active')
+    };
+}
+
+// The current match is the first one at or after `findAnchor`, which follows
+// the text as it is edited
+function refreshFindMatches({ reveal = false } = {}) {
+    if (!isFindBarOpen()) return;
+    
+    let error = null;
+    try {
+        findResults = Find.findMatches(getPlainTextContent(), findInput.value, getFindOptions());
+    } catch (e) {
+        if (!(e instanceof Find.FindError)) throw e;
+        error = e;
+        findResults = [];
+    }
+    
+    findIndex = findResults.findIndex(match => match.start >= findAnchor);
+    if (findIndex === -1 && findResults.length) {
+        findIndex = 0;
+    }
+    
+    updateFindCount(error);
+    renderFindHighlights();
+    if (reveal) {
+        revealFindMatch();
+    }
+}
+
+function updateFindCount(error = null) {
+    const total = findResults.length;
+    if (error) {
+        findCount.textContent = error.message;
+    } else if (!findInput.value) {
+        findCount.textContent = '';
+    } else if (total === 0) {
+        findCount.textContent = 'No results';
+    } else {
+        findCount.textContent = `${findIndex + 1} of ${total}${total >= Find.MAX_MATCHES ? '+' : ''}`;
+    }
+    findCount.title = findCount.textContent;
+    findCount.classList.toggle('error', error !== null);
+    
+    [findPrevBtn, findNextBtn, replaceBtn, replaceAllBtn].forEach(button => {
+        button.disabled = total === 0;
+    });
+}
+
+function renderFindHighlights() {
+    findHighlightLayer.innerHTML = '';
+    if (!isEditorActive || findResults.length === 0) return;
+    
+    const origin = editorWorkspace.getBoundingClientRect();
+    findResults.forEach((match, index) => {
+        Array.from(createEditorRange(match.start, match.end).getClientRects()).forEach(rect => {
+            const highlight = document.createElement('div');
+            highlight.className = index === findIndex ? 'find-match current' : 'find-match';
+            highlight.style.left = `${rect.left - origin.left + editorWorkspace.scrollLeft}px`;
+            highlight.style.top = `${rect.top - origin.top + editorWorkspace.scrollTop}px`;
+            highlight.style.width = `${rect.width}px`;
+            highlight.style.height = `${rect.height}px`;
+            findHighlightLayer.appendChild(highlight);
+        });
+    });
+}
+
+// Scrolls the current match into view without moving focus to the editor
+function revealFindMatch() {
+    const match = findResults[findIndex];
+    if (!match) return;
+    
+    const rect = createEditorRange(match.start, match.end).getBoundingClientRect();
+    const view = editorWorkspace.getBoundingClientRect();
+    if (rect.top < view.top || rect.bottom > view.bottom) {
+        editorWorkspace.scrollTop += rect.top - view.top - view.height / 3;
+    }
+}
+
+function stepFind(direction) {
+    if (findResults.length === 0) return;
+    
+    findIndex = (findIndex + direction + findResults.length) % findResults.length;
+    findAnchor = findResults[findIndex].start;
+    updateFindCount();
+    renderFindHighlights();
+    revealFindMatch();
+}
+
+// `replacements` are [{ start, end, text }] in the editor's current text
+function replaceInEditor(replacements, selectionAfter) {
+    const first = replacements[0];
+    const state = getEditorState({ start: first.start, end: first.end });
+    const model = RichText.replaceText(state.model, replacements);
+    showEditorState(EditorCommands.createState(model, selectionAfter), state, { focus: false });
+}
+
+function replaceCurrentMatch() {
+    const match = findResults[findIndex];
+    if (!match) return;
+    
+    const text = Find.expandReplacement(replaceInput.value, match, getPlainTextContent(), getFindOptions());
+    const end = match.start + text.length;
+    // The search carries on after the replaced text
+    findAnchor = end;
+    replaceInEditor([{ start: match.start, end: match.end, text }], { start: match.start, end });
+    refreshFindMatches({ reveal: true });
+}
+
+// Every match, not only those found for highlighting
+function replaceAllMatches() {
+    if (findResults.length === 0) return;
+    
+    const text = getPlainTextContent();
+    const options = getFindOptions();
+    const matches = Find.findMatches(text, findInput.value, { ...options, limit: Infinity });
+    const count = matches.length;
+    const replacements = matches.map(match => ({
+        start: match.start,
+        end: match.end,
+        text: Find.expandReplacement(replaceInput.value, match, text, options)
+    }));
+    replaceInEditor(replacements, { start: replacements[0].start, end: replacements[0].start });
+    refreshFindMatches();
+    showToast(`Replaced ${count} match${count !== 1 ? 'es' : ''}`, 'success');
+}
+
+// Undo
+// The browser's own undo cannot follow changes rendered from the model, so
+// the editor keeps its history of commands and typing (see commands.js).
+// Only this user's changes are recorded; everyone else's are transformed
+// into it. `historyModel` is the editor's model as of the last change seen.
+function resetEditorHistory() {
+    editorHistory = EditorCommands.createHistory();
+    historyModel = getEditorModel();
+    pendingMarks = null;
+    updateUndoButtons();
+}
+
+function recordEditorChange({ merge = false } = {}) {
+    const model = getEditorModel();
+    editorHistory.record(historyModel, model, { merge });
+    historyModel = model;
+    updateUndoButtons();
+}
+
+// For a change by someone else, already applied to the editor
+function transformEditorHistory(operation, model) {
+    editorHistory.transform(operation);
+    historyModel = model;
+    pendingMarks = null;
+    updateUndoButtons();
+}
+
+function updateUndoButtons() {
+    undoBtn.disabled = !editorHistory.canUndo();
+    redoBtn.disabled = !editorHistory.canRedo();
+}
+
+function undoEdit() {
+    stepEditorHistory(editorHistory.undo);
+}
+
+function redoEdit() {
+    stepEditorHistory(editorHistory.redo);
+}
+
+function stepEditorHistory(step) {
+    const previous = getEditorState() || EditorCommands.createState(getEditorModel());
+    const next = step(previous.model);
+    if (next) {
+        showEditorState(next, previous, { record: false });
+    }
+}
+
+// Undo and redo from the keyboard or the Edit menu arrive as input events
+function handleEditorBeforeInput(e) {
+    if (e.inputType === 'historyUndo') {
+        e.preventDefault();
+        undoEdit();
+    } else if (e.inputType === 'historyRedo') {
+        e.preventDefault();
+        redoEdit();
+    }
+}
+
+// Links
+// The selection is remembered while the dialog has focus. Editing an
+// existing link applies to all of it.
+let linkSelection = null;
+
+function showLinkDialog() {
+    const selection = getEditorSelection();
+    if (!selection) return;
+    
+    const link = RichText.markRange(getEditorModel(), selection.start, 'link');
+    const isInLink = link && selection.end <= link.end;
+    linkSelection = isInLink ? { start: link.start, end: link.end } : selection;
+    linkUrlInput.value = isInLink ? link.value : '';
+    removeLinkBtn.classList.toggle('hidden', !isInLink);
+    linkModal.classList.remove('hidden');
+    linkUrlInput.focus();
+}
+
+function hideLinkDialog() {
+    linkModal.classList.add('hidden');
+    linkSelection = null;
+}
+
+// Addresses typed without a scheme are taken to be web sites
+function normalizeLinkUrl(url) {
+    const trimmed = url.trim();
+    if (!trimmed || /^[a-z][a-z0-9+.-]*:/i.test(trimmed) || /^[/#?]/.test(trimmed)) return trimmed;
+    if (/^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(trimmed)) return 'mailto:' + trimmed;
+    return 'https://' + trimmed;
+}
+
+function applyLink() {
+    const url = normalizeLinkUrl(linkUrlInput.value);
+    if (!url) {
+        linkUrlInput.focus();
+        return;
+    }
+    
+    const selection = linkSelection;
+    hideLinkDialog();
+    runCommand('link', url, selection);
+}
+
+function removeLink() {
+    const selection = linkSelection;
+    hideLinkDialog();
+    runCommand('unlink', null, selection);
+}
+
+// Version History
+// Documents keep snapshots of their past contents in `history`, oldest first.
+// Saves by the same person within a few minutes update one snapshot, so a
+// burst of autosaves shows up as a single version.
+function createVersion(doc, author, timestamp) {
+    return {
+        id: `v-${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+        version: doc.version,
+        title: doc.title,
+        content: doc.content,
+        model: getDocumentModel(doc),
+        author: { id: author.id, name: author.name, color: author.color },
+        startedAt: timestamp,
+        timestamp,
+        restoredFrom: null
+    };
+}
+
+// Documents saved before history existed start with their current contents
+function ensureHistory(doc) {
+    if (doc.history) return;
+    
+    doc.history = [];
+    if (doc.content) {
+        const author = doc.collaborators[0] || { id: null, name: 'Unknown', color: DEFAULT_USER_COLOR };
+        doc.history.push(createVersion(doc, author, doc.lastModified));
+    }
+}
+
+function recordVersion(doc, restoredFrom = null) {
+    ensureHistory(doc);
+    
+    const now = Date.now();
+    const latest = doc.history[doc.history.length - 1];
+    const model = getDocumentModel(doc);
+    if (latest && latest.title === doc.title &&
+        RichText.isEqual(getVersionModel(latest), model)) return;
+    
+    const continuesLatest = latest && !restoredFrom && !latest.restoredFrom &&
+        latest.author.id === currentUser.id &&
+        now - latest.startedAt < HISTORY_COALESCE_WINDOW;
+    
+    if (continuesLatest) {
+        latest.version = doc.version;
+        latest.title = doc.title;
+        latest.content = doc.content;
+        latest.model = model;
+        latest.timestamp = now;
+    } else {
+        const entry = createVersion(doc, currentUser, now);
+        entry.restoredFrom = restoredFrom;
+        doc.history.push(entry);
+        doc.history.splice(0, Math.max(0, doc.history.length - VersionHistory.LIMIT));
+    }
+    
+    if (isHistoryPanelOpen()) {
+        renderHistoryList();
+    }
+}
+
+// Snapshots from before the document model only have their Markdown text
+function getVersionModel(entry) {
+    return entry.model || RichText.fromMarkdown(entry.content);
+}
+
+function isHistoryPanelOpen() {
+    return !historyPanel.classList.contains('hidden');
+}
+
+function toggleHistoryPanel() {
+    if (isHistoryPanelOpen()) {
+        closeHistoryPanel();
+    } else {
+        historyPanel.classList.remove('hidden');
+        historyBtn.classList.add('active');
+        renderHistoryList();
+    }
+}
+
+function closeHistoryPanel() {
+    closeVersionPreview();
+    historyPanel.classList.add('hidden');
+    historyBtn.classList.remove('active');
+}
+
+function findVersion(versionId) {
+    return (currentDocument.history || []).find(entry => entry.id === versionId) || null;
+}
+
+function renderHistoryList() {
+    if (!currentDocument) return;
+    
+    const history = currentDocument.history || [];
+    if (history.length === 0) {
+        historyList.innerHTML = '<p class="history-empty">No saved versions yet</p>';
+        return;
+    }
+    
+    const latestId = history[history.length - 1].id;
+    const selectedIds = comparedVersionIds || [previewedVersionId];
+    historyList.innerHTML = history.slice().reverse().map(entry => `
+        <div class="history-entry ${selectedIds.includes(entry.id) ? 'active' : ''}" data-version-id="${entry.id}">
+            <span class="history-entry-title">
+                Version ${entry.version}
+                ${entry.id === latestId ? '<span class="history-entry-badge">Latest</span>' : ''}
+            </span>
+            <span class="history-entry-meta">
+                <span class="history-author-dot" style="background-color: ${safeColor(entry.author.color)}"></span>
+                ${escapeHtml(entry.author.name)} · ${new Date(entry.timestamp).toLocaleString()}
+            </span>
+            ${entry.restoredFrom !== null ? `<span class="history-entry-note">Restored from version ${entry.restoredFrom}</span>` : ''}
+            ${history.length > 1 ? `<button class="history-compare-btn" data-compare-id="${entry.id}">Compare</button>` : ''}
+        </div>
+    `).join('');
+}
+
+function showHistoryView(view) {
+    historyPreview.classList.toggle('hidden', view !== historyPreview);
+    historyCompare.classList.toggle('hidden', view !== historyCompare);
+    documentEditor.classList.toggle('hidden', view !== null);
+    remoteCursorLayer.classList.toggle('hidden', view !== null);
+    findHighlightLayer.classList.toggle('hidden', view !== null);
+}
+
+function previewVersion(versionId) {
+    const entry = findVersion(versionId);
+    if (!entry) return;
+    
+    previewedVersionId = versionId;
+    comparedVersionIds = null;
+    historyPreviewLabel.textContent =
+        `Version ${entry.version} · ${entry.title} · saved by ${entry.author.name}, ${new Date(entry.timestamp).toLocaleString()}`;
+    historyPreviewContent.innerHTML = RichText.toHTML(getVersionModel(entry));
+    showHistoryView(historyPreview);
+    renderHistoryList();
+}
+
+// Closes the version preview or comparison and returns to the editor
+function closeVersionPreview() {
+    if (previewedVersionId === null && comparedVersionIds === null) return;
+    
+    previewedVersionId = null;
+    comparedVersionIds = null;
+    showHistoryView(null);
+    historyPreviewContent.innerHTML = '';
+    historyCompareContent.innerHTML = '';
+    renderHistoryList();
+    renderRemoteCursors();
+    renderFindHighlights();
+}
+
+// Compares a version with the latest one, or the latest with the one before
+function compareWithLatest(versionId) {
+    const history = currentDocument.history;
+    const index = history.findIndex(entry => entry.id === versionId);
+    if (index === -1 || history.length < 2) return;
+    
+    const latestIndex = history.length - 1;
+    if (index === latestIndex) {
+        compareVersions(history[latestIndex - 1].id, versionId);
+    } else {
+        compareVersions(versionId, history[latestIndex].id);
+    }
+}
+
+function compareVersions(fromId, toId) {
+    const history = currentDocument.history;
+    let fromIndex = history.findIndex(entry => entry.id === fromId);
+    let toIndex = history.findIndex(entry => entry.id === toId);
+    if (fromIndex === -1 || toIndex === -1) return;
+    if (fromIndex > toIndex) {
+        [fromIndex, toIndex] = [toIndex, fromIndex];
+    }
+    
+    previewedVersionId = null;
+    comparedVersionIds = [history[fromIndex].id, history[toIndex].id];
+    
+    const options = history.slice().reverse().map(entry =>
+        `<option value="${entry.id}">Version ${entry.version} · ${escapeHtml(entry.author.name)}</option>`
+    ).join('');
+    compareFromSelect.innerHTML = options;
+    compareToSelect.innerHTML = options;
+    compareFromSelect.value = comparedVersionIds[0];
+    compareToSelect.value = comparedVersionIds[1];
+    
+    renderVersionDiff(history.slice(fromIndex, toIndex + 1));
+    showHistoryView(historyCompare);
+    renderHistoryList();
+}
+
+// Renders the word-level changes across a run of versions, oldest first,
+// with each change in the color of whoever made it
+function renderVersionDiff(versions) {
+    const from = versions[0];
+    const to = versions[versions.length - 1];
+    const segments = Diff.attributeChanges(versions);
+    
+    const authors = new Map();
+    segments.forEach(segment => {
+        if (segment.author) {
+            authors.set(segment.author.id, segment.author);
+        }
+    });
+    
+    const titleChange = from.title !== to.title
+        ? `<span>Title: <del>${escapeHtml(from.title)}</del> → ${escapeHtml(to.title)}</span>`
+        : '';
+    const legend = [...authors.values()].map(author =>
+        `<span class="diff-author"><span class="history-author-dot" style="background-color: ${safeColor(author.color)}"></span>${escapeHtml(author.name)}</span>`
+    ).join('');
+    diffSummary.innerHTML = authors.size === 0 && !titleChange
+        ? '<span>No changes between these versions</span>'
+        : titleChange + legend;
+    
+    historyCompareContent.innerHTML = segments.map(segment => {
+        const text = escapeHtml(segment.text);
+        if (segment.type === 'equal') return text;
+        
+        const tag = segment.type === 'insert' ? 'ins' : 'del';
+        const action = segment.type === 'insert' ? 'Added' : 'Removed';
+        return `<${tag} class="diff-${segment.type}" style="--author-color: ${safeColor(segment.author.color)}" title="${action} by ${escapeHtml(segment.author.name)}">${text}</${tag}>`;
+    }).join('');
+}
+
+// Restoring is an ordinary edit, so collaborators receive it like any other
+// change, and it is saved as a new version rather than rewinding history
+function restoreVersion(versionId) {
+    const entry = findVersion(versionId);
+    if (!entry) return;
+    
+    closeVersionPreview();
+    documentTitle.value = entry.title;
+    renderEditorModel(getVersionModel(entry));
+    recordEditorChange();
+    captureLocalEdit();
+    updateDocumentStats();
+    
+    clearTimeout(saveTimer);
+    saveDocument({ restoredFrom: entry.version });
+    showToast(`Restored version ${entry.version}`, 'success');
+}
+
+// Collaborative Features
+function renderOnlineUsers() {
+    if (!currentDocument) return;
+    
+    onlineUsers.innerHTML = '';
+    const onlineCollaborators = currentDocument.collaborators.filter(c => c.isOnline);
+    
+    onlineCollaborators.forEach(collab => {
+        const avatar = document.createElement('div');
+        avatar.className = `collaborator-avatar ${getPresenceClass(currentDocument, collab)}`;
+        avatar.style.backgroundColor = collab.color;
+        avatar.textContent = collab.name.charAt(0).toUpperCase();
+        avatar.title = `${collab.name} (${getCollaboratorStatus(currentDocument, collab)})`;
+        onlineUsers.appendChild(avatar);
+    });
+}
+
+// Presence
+// The server sends a summary of who has each document open and how long they
+// have been idle; idle and away are worked out here as that time grows.
+function startHeartbeat() {
+    sendHeartbeat();
+    heartbeatTimer = setInterval(() => {
+        sendHeartbeat();
+        refreshPresenceViews();
+    }, HEARTBEAT_INTERVAL);
+}
+
+function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+}
+
+function sendHeartbeat() {
+    sendSyncMessage({ type: 'heartbeat', idleFor: Date.now() - lastLocalActivity });
+}
+
+function recordLocalActivity() {
+    const wasIdle = Date.now() - lastLocalActivity >= PRESENCE_IDLE_AFTER;
+    lastLocalActivity = Date.now();
+    
+    // Let others see we are back without waiting for the next heartbeat
+    if (wasIdle) {
+        sendHeartbeat();
+    }
+}
+
+function updatePresence(summary) {
+    const receivedAt = Date.now();
+    documentPresence = new Map(Object.entries(summary || {}).map(([docId, entries]) => [
+        docId,
+        (Array.isArray(entries) ? entries : []).map(entry => ({ ...entry, user: toRemoteUser(entry.user), receivedAt }))
+    ]));
+    applyPresenceToCollaborators();
+}
+
+function applyPresenceToCollaborators() {
+    const now = Date.now();
+    
+    documents.forEach(doc => {
+        let joined = false;
+        const entries = (documentPresence.get(doc.id) || [])
+            .filter(entry => entry.user && (!currentUser || entry.user.id !== currentUser.id));
+        
+        entries.forEach(entry => {
+            if (!doc.collaborators.find(c => c.id === entry.user.id)) {
+                doc.collaborators.push({ ...entry.user, isOnline: true, lastSeen: now, cursorPosition: 0 });
+                joined = true;
+            }
+        });
+        
+        doc.collaborators.forEach(collab => {
+            // Our own status and the demo ghosts are not reported by the server
+            if ((currentUser && collab.id === currentUser.id) || collab.id.startsWith('ghost-')) return;
+            
+            const isOnline = entries.some(entry => entry.user.id === collab.id);
+            if (isOnline || collab.isOnline) {
+                collab.lastSeen = now;
+            }
+            collab.isOnline = isOnline;
+        });
+        
+        // Who is online is only known live, so only a new collaborator is
+        // saved; saving each status change would write over edits made
+        // meanwhile on other machines
+        if (joined) {
+            persistDocument(doc);
+        }
+    });
+    
+    refreshPresenceViews();
+}
+
+function getCollaboratorStatus(doc, collab) {
+    if (!collab.isOnline) return 'offline';
+    
+    const now = Date.now();
+    const idleTimes = (documentPresence.get(doc.id) || [])
+        .filter(entry => entry.user && entry.user.id === collab.id)
+        .map(entry => entry.idleFor + (now - entry.receivedAt));
+    if (idleTimes.length === 0) return 'active';
+    
+    const idleFor = Math.min(...idleTimes);
+    if (idleFor >= PRESENCE_AWAY_AFTER) return 'away';
+    if (idleFor >= PRESENCE_IDLE_AFTER) return 'idle';
+    return 'active';
+}
+
+function getPresenceClass(doc, collab) {
+    const status = getCollaboratorStatus(doc, collab);
+    return status === 'offline' ? '' : `online ${status}`;
+}
+
+function refreshPresenceViews() {
+    if (isEditorActive) {
+        renderOnlineUsers();
+    } else if (currentUser && !dashboard.classList.contains('hidden')) {
+        updateCardAvatars();
+    }
+}
+
+// Only the avatars change, so open menus and rename inputs on the cards survive
+function updateCardAvatars() {
+    documentsGrid.querySelectorAll('.document-card').forEach(card => {
+        const doc = documents.find(d => d.id === card.dataset.docId);
+        const avatars = card.querySelector('.document-collaborators');
+        if (doc && avatars) {
+            avatars.innerHTML = collaboratorAvatarsHtml(doc);
+        }
+    });
+}
+
+function handleEditorKeydown(e) {
+    const isEditKey = e.key.length === 1 || ['Backspace', 'Delete', 'Enter'].includes(e.key);
+    if (!isEditKey || e.ctrlKey || e.metaKey) return;
+    
+    if (!isLocallyTyping) {
+        isLocallyTyping = true;
+        sendTypingState(true);
+    }
+    
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(stopLocalTyping, TYPING_TIMEOUT);
+}
+
+function stopLocalTyping() {
+    clearTimeout(typingTimer);
+    if (isLocallyTyping) {
+        isLocallyTyping = false;
+        sendTypingState(false);
+    }
+}
+
+function sendTypingState(isTyping) {
+    if (!isDocumentSynced()) return;
+    sendSyncMessage({ type: 'typing', docId: currentDocument.id, isTyping });
+}
+
+function setTypingIndicator(site, user, isTyping) {
+    let indicator = Array.from(typingIndicators.children).find(el => el.dataset.site === site);
+    clearTimeout(typingIndicatorTimers.get(site));
+    typingIndicatorTimers.delete(site);
+    
+    if (!isTyping) {
+        if (indicator) {
+            indicator.remove();
+        }
+        return;
+    }
+    
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.className = 'typing-indicator';
+        indicator.dataset.site = site;
+        
+        const name = document.createElement('span');
+        name.style.color = user.color;
+        name.textContent = user.name;
+        indicator.append(name, ' is typing...');
+        typingIndicators.appendChild(indicator);
+    }
+    
+    // In case the "stopped typing" message never arrives
+    typingIndicatorTimers.set(site, setTimeout(() => setTypingIndicator(site, user, false), TYPING_INDICATOR_TTL));
+}
+
+function clearTypingIndicators() {
+    typingIndicatorTimers.forEach(timer => clearTimeout(timer));
+    typingIndicatorTimers.clear();
+    typingIndicators.innerHTML = '';
+}
+
+// Real-time Sync
+function getDefaultSyncUrl() {
+    const { protocol, host } = window.location;
+    if (protocol !== 'http:' && protocol !== 'https:') return null;
+    return `${protocol === 'https:' ? 'wss:' : 'ws:'}//${host}/sync`;
+}
+
+// Only endpoints on this page's own host are used, so a link cannot send
+// everything typed here to someone else's server
+function getSyncUrl(requested) {
+    const defaultUrl = getDefaultSyncUrl();
+    if (!requested || !defaultUrl) return defaultUrl;
+    
+    try {
+        const url = new URL(requested, defaultUrl);
+        if ((url.protocol === 'ws:' || url.protocol === 'wss:') && url.host === window.location.host) {
+            return url.href;
+        }
+    } catch (e) {
+        // Not a URL; fall through to the default
+    }
+    return defaultUrl;
+}
+
+function connectSync() {
+    if (!appConfig.syncUrl || !('WebSocket' in window)) {
+        updateConnectionStatus('offline');
+        return;
+    }
+    
+    updateConnectionStatus('connecting');
+    syncSocket = new WebSocket(appConfig.syncUrl);
+    
+    syncSocket.addEventListener('open', () => {
+        syncReconnectDelay = SYNC_MIN_RECONNECT_DELAY;
+        updateConnectionStatus('online');
+        startHeartbeat();
+        if (isEditorActive && currentDocument) {
+            joinDocumentRoom();
+        }
+    });
+    
+    syncSocket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            return;
+        }
+        handleSyncMessage(message);
+    });
+    
+    syncSocket.addEventListener('close', () => {
+        // Unacknowledged edits become offline edits, merged on reconnect
+        if (syncedDocId && currentDocument && syncedDocId === currentDocument.id) {
+            CRDT.applyText(documentReplica, getPlainTextContent());
+        }
+        
+        syncSocket = null;
+        syncedDocId = null;
+        updateConnectionStatus('offline');
+        stopHeartbeat();
+        clearTypingIndicators();
+        updatePresence({});
+        
+        // Reconnect with exponential backoff
+        setTimeout(connectSync, syncReconnectDelay);
+        syncReconnectDelay = Math.min(syncReconnectDelay * 2, SYNC_MAX_RECONNECT_DELAY);
+    });
+}
+
+function isSyncConnected() {
+    return syncSocket !== null && syncSocket.readyState === WebSocket.OPEN;
+}
+
+function isDocumentSynced() {
+    return isSyncConnected() && currentDocument !== null && syncedDocId === currentDocument.id;
+}
+
+function sendSyncMessage(message) {
+    if (!isSyncConnected()) return false;
+    syncSocket.send(JSON.stringify(message));
+    return true;
+}
+
+function updateConnectionStatus(state) {
+    const labels = {
+        online: 'Connected',
+        connecting: 'Connecting...',
+        offline: 'Offline'
+    };
+    
+    connectionStatus.innerHTML = `
+        <span class="status-indicator ${state}"></span>
+        <span>${labels[state]}</span>
+    `;
+}
+
+function joinDocumentRoom() {
+    if (!currentDocument || !currentUser || !isSyncConnected()) return;
+    
+    const model = getEditorModel();
+    const content = RichText.toText(model);
+    CRDT.applyText(documentReplica, content);
+    
+    sendSyncMessage({
+        type: 'join',
+        docId: currentDocument.id,
+        user: {
+            id: currentUser.id,
+            name: currentUser.name,
+            color: currentUser.color
+        },
+        site: replicaSiteId,
+        content,
+        delta: RichText.toOperation(model),
+        crdt: CRDT.encode(documentReplica),
+        version: currentDocument.version
+    });
+}
+
+function leaveDocumentRoom() {
+    stopLocalTyping();
+    clearTypingIndicators();
+    if (syncedDocId) {
+        sendSyncMessage({ type: 'leave', docId: syncedDocId });
+    }
+    syncedDocId = null;
+    clearRemoteCursors();
+}
+
+// Turns the latest editor change into an operation. Only one operation is in
+// flight at a time; edits made while waiting for its ack are composed into a
+// buffer and sent once the server confirms.
+function captureLocalEdit() {
+    if (!isDocumentSynced()) return;
+    
+    const model = getEditorModel();
+    const operation = RichText.diff(syncShadowModel, model);
+    syncShadowModel = model;
+    if (OT.isNoop(operation)) return;
+    
+    transformRemoteCursors(operation);
+    renderRemoteCursors();
+    
+    if (inflightOperation) {
+        bufferedOperation = bufferedOperation ? OT.compose(bufferedOperation, operation) : operation;
+    } else {
+        sendOperation(operation);
+    }
+}
+
+function sendOperation(operation) {
+    inflightOperation = operation;
+    sendSyncMessage({
+        type: 'operation',
+        docId: currentDocument.id,
+        version: currentDocument.version,
+        operation
+    });
+}
+
+function handleOperationAck(version) {
+    CRDT.applyOperation(documentReplica, inflightOperation, replicaSiteId);
+    currentDocument.version = version;
+    inflightOperation = null;
+    
+    if (bufferedOperation) {
+        const operation = bufferedOperation;
+        bufferedOperation = null;
+        sendOperation(operation);
+    } else {
+        broadcastCursor();
+    }
+}
+
+function handleSyncMessage(message) {
+    if (message.type === 'presence') {
+        updatePresence(message.documents);
+        return;
+    }
+    if (!currentDocument || message.docId !== currentDocument.id) return;
+    
+    switch (message.type) {
+        case 'joined':
+            syncedDocId = message.docId;
+            resetSyncState(message);
+            message.users.forEach(addRemoteCollaborator);
+            message.cursors.forEach(updateRemoteCursor);
+            renderOnlineUsers();
+            lastBroadcastCursor = null;
+            broadcastCursor();
+            break;
+        case 'resync':
+            // The server could not take our edits; joining again merges
+            // them in through the CRDT instead
+            joinDocumentRoom();
+            break;
+        case 'operation':
+            applyRemoteOperation(message);
+            addRemoteCollaborator(message.user);
+            renderOnlineUsers();
+            break;
+        case 'ack':
+            handleOperationAck(message.version);
+            break;
+        case 'user-joined':
+            if (addRemoteCollaborator(message.user)) {
+                renderOnlineUsers();
+                showToast(`${message.user.name} joined the document`, 'info');
+            }
+            break;
+        case 'cursor':
+            updateRemoteCursor(message);
+            break;
+        case 'typing': {
+            const user = toRemoteUser(message.user);
+            if (user) {
+                setTypingIndicator(message.site, user, message.isTyping);
+            }
+            break;
+        }
+        case 'user-left':
+            removeRemoteCollaborator(message.userId);
+            remoteCursors.delete(message.site);
+            setTypingIndicator(message.site, null, false);
+            renderOnlineUsers();
+            renderRemoteCursors();
+            break;
+    }
+}
+
+// Adopts the server's copy of the document. The text of edits it has not
+// acknowledged reached it through the CRDT merge on join; their formatting
+// is put back on top and sent again.
+function resetSyncState({ content, delta, version, crdt }) {
+    const editorModel = getEditorModel();
+    const pending = getPendingOperation(editorModel);
+    inflightOperation = null;
+    bufferedOperation = null;
+    syncShadowModel = editorModel;
+    currentDocument.version = version;
+    documentReplica = decodeReplica(crdt, content);
+    
+    // Servers that predate formatting only send the text
+    let serverModel = delta ? RichText.fromOperation(delta) : null;
+    if (!serverModel || RichText.toText(serverModel) !== content) {
+        serverModel = RichText.withText(editorModel, content);
+    }
+    const model = pending ? restorePendingFormatting(editorModel, serverModel, pending) : serverModel;
+    if (!RichText.isEqual(model, syncShadowModel)) {
+        applyOperationToEditor(RichText.diff(syncShadowModel, model));
+    }
+    
+    const formatting = RichText.diff(serverModel, model);
+    if (!OT.isNoop(formatting)) {
+        sendOperation(formatting);
+    }
+}
+
+// This tab's edits the server has not acknowledged, as one operation ending
+// at `model`: the one in flight, those waiting, and any made while offline
+function getPendingOperation(model) {
+    if (!syncShadowModel) return null;
+    try {
+        return [inflightOperation, bufferedOperation, RichText.diff(syncShadowModel, model)]
+            .filter(Boolean)
+            .reduce((pending, operation) => OT.compose(pending, operation));
+    } catch (e) {
+        // They no longer line up, e.g. after another tab's edits were merged
+        // in while offline; the text is merged all the same
+        return null;
+    }
+}
+
+// The server's copy, with the formatting the editor has where `pending`
+// inserted or formatted text
+function restorePendingFormatting(editorModel, serverModel, pending) {
+    const touched = [];
+    pending.forEach(component => {
+        if (typeof component.delete === 'number') return;
+        const isInsert = typeof component.insert === 'string';
+        const length = isInsert ? component.insert.length : component.retain;
+        for (let i = 0; i < length; i++) touched.push(isInsert || Boolean(component.attributes));
+    });
+    
+    const editorCharacters = splitCharacters(editorModel);
+    const serverCharacters = splitCharacters(serverModel);
+    if (touched.length !== editorCharacters.length) return serverModel;
+    
+    const characters = [];
+    let editorIndex = 0;
+    let serverIndex = 0;
+    OT.fromDiff(RichText.toText(editorModel), RichText.toText(serverModel)).forEach(component => {
+        if (typeof component.retain === 'number') {
+            for (let i = 0; i < component.retain; i++) {
+                characters.push(touched[editorIndex] ? editorCharacters[editorIndex] : serverCharacters[serverIndex]);
+                editorIndex++;
+                serverIndex++;
+            }
+        } else if (typeof component.insert === 'string') {
+            characters.push(...serverCharacters.slice(serverIndex, serverIndex + component.insert.length));
+            serverIndex += component.insert.length;
+        } else {
+            editorIndex += component.delete;
+        }
+    });
+    return RichText.fromOperation(OT.normalize(characters));
+}
+
+// A document as one insert per character, each with its formatting
+function splitCharacters(model) {
+    return RichText.toOperation(model).flatMap(component =>
+        component.insert.split('').map(char => ({ ...component, insert: char })));
+}
+
+// Rebases pending local operations over an incoming remote one, then applies
+// the transformed remote operation to the editor.
+function applyRemoteOperation({ operation, version, site, crdt }) {
+    // The CRDT follows the server's order, so it takes the operation as sent
+    if (crdt) {
+        documentReplica = decodeReplica(crdt, CRDT.toString(documentReplica));
+    } else {
+        CRDT.applyOperation(documentReplica, operation, site);
+    }
+    
+    let remote = operation;
+    if (inflightOperation) {
+        [inflightOperation, remote] = OT.transform(inflightOperation, remote);
+    }
+    if (bufferedOperation) {
+        [bufferedOperation, remote] = OT.transform(bufferedOperation, remote);
+    }
+    
+    currentDocument.version = version;
+    applyOperationToEditor(remote);
+}
+
+function applyOperationToEditor(operation) {
+    const selection = getEditorSelection();
+    const expected = RichText.applyOperation(getEditorModel(), operation);
+    
+    let index = 0;
+    operation.forEach(component => {
+        if (typeof component.retain === 'number') {
+            index += component.retain;
+        } else if (typeof component.insert === 'string') {
+            insertEditorText(index, component.insert);
+            index += component.insert.length;
+        } else {
+            deleteEditorText(index, component.delete);
+        }
+    });
+    
+    // Formatting changes, and edits across block boundaries, are rendered
+    // from the model rather than patched into the DOM
+    if (!RichText.isEqual(getEditorModel(), expected)) {
+        renderEditorModel(expected);
+    }
+    syncShadowModel = expected;
+    transformRemoteCursors(operation);
+    
+    transformEditorHistory(operation, expected);
+    
+    if (selection) {
+        setEditorSelection(
+            OT.transformIndex(selection.start, operation),
+            OT.transformIndex(selection.end, operation)
+        );
+    }
+    
+    currentDocument.model = expected;
+    currentDocument.content = RichText.toText(expected);
+    currentDocument.crdt = CRDT.encode(documentReplica);
+    currentDocument.lastModified = Date.now();
+    persistDocument(currentDocument);
+    updateDocumentStats();
+    renderRemoteCursors();
+    findAnchor = OT.transformIndex(findAnchor, operation);
+    refreshFindMatches();
+}
+
+// Document CRDTs: `content` stays the readable copy of the text, while `crdt`
+// lets replicas that edited apart merge without losing either side's changes.
+function decodeReplica(crdt, fallbackText) {
+    try {
+        return CRDT.decode(crdt, replicaSiteId);
+    } catch (e) {
+        return CRDT.fromText(fallbackText, replicaSiteId);
+    }
+}
+
+function loadDocumentReplica(doc) {
+    const replica = decodeReplica(doc.crdt, doc.content);
+    
+    // Documents saved before the CRDT existed, or edited by older code
+    if (CRDT.toString(replica) !== doc.content) {
+        CRDT.applyText(replica, doc.content);
+    }
+    return replica;
+}
+
+function insertEditorText(index, text) {
+    const position = RichText.findPosition(documentEditor, index);
+    const fragment = document.createDocumentFragment();
+    
+    text.split('\n').forEach((line, i) => {
+        if (i > 0) {
+            fragment.appendChild(document.createElement('br'));
+        }
+        if (line) {
+            fragment.appendChild(document.createTextNode(line));
+        }
+    });
+    
+    if (position.node.nodeType === Node.TEXT_NODE) {
+        const after = position.node.splitText(position.offset);
+        after.parentNode.insertBefore(fragment, after);
+    } else {
+        position.node.insertBefore(fragment, position.node.childNodes[position.offset] || null);
+    }
+}
+
+function deleteEditorText(index, length) {
+    createEditorRange(index, index + length).deleteContents();
+}
+
+// Remote Cursors
+// Positions are kept in this editor's text coordinates and shifted by every
+// operation applied here, local or remote.
+function scheduleCursorBroadcast() {
+    if (!isDocumentSynced() || cursorBroadcastTimer) return;
+    
+    cursorBroadcastTimer = setTimeout(() => {
+        cursorBroadcastTimer = null;
+        broadcastCursor();
+    }, 50);
+}
+
+function broadcastCursor() {
+    // Our offsets only match the server's text once our edits are acknowledged;
+    // handleOperationAck calls back here when that happens.
+    if (!isDocumentSynced() || inflightOperation || bufferedOperation) return;
+    
+    const selection = getEditorSelection();
+    if (!selection) return;
+    
+    const { start, end } = selection;
+    if (lastBroadcastCursor && lastBroadcastCursor.start === start && lastBroadcastCursor.end === end) return;
+    
+    lastBroadcastCursor = selection;
+    sendSyncMessage({
+        type: 'cursor',
+        docId: currentDocument.id,
+        anchor: start,
+        head: end
+    });
+}
+
+function updateRemoteCursor({ user: sender, site, anchor, head }) {
+    const user = toRemoteUser(sender);
+    if (!user || site === replicaSiteId) return;
+    
+    // Bring server-relative offsets up to date with our unacknowledged edits
+    [inflightOperation, bufferedOperation].forEach(operation => {
+        if (operation) {
+            anchor = OT.transformIndex(anchor, operation);
+            head = OT.transformIndex(head, operation);
+        }
+    });
+    
+    remoteCursors.set(site, { user, anchor, head });
+    
+    const collab = currentDocument.collaborators.find(c => c.id === user.id);
+    if (collab) {
+        collab.cursorPosition = head;
+    }
+    renderRemoteCursors();
+}
+
+function transformRemoteCursors(operation) {
+    remoteCursors.forEach(cursor => {
+        cursor.anchor = OT.transformIndex(cursor.anchor, operation);
+        cursor.head = OT.transformIndex(cursor.head, operation);
+    });
+}
+
+function clearRemoteCursors() {
+    remoteCursors.clear();
+    lastBroadcastCursor = null;
+    renderRemoteCursors();
+}
+
+function renderRemoteCursors() {
+    remoteCursorLayer.innerHTML = '';
+    if (!isEditorActive || remoteCursors.size === 0) return;
+    
+    const textLength = getPlainTextContent().length;
+    const origin = editorWorkspace.getBoundingClientRect();
+    const toLayer = (rect) => ({
+        left: rect.left - origin.left + editorWorkspace.scrollLeft,
+        top: rect.top - origin.top + editorWorkspace.scrollTop
+    });
+    
+    remoteCursors.forEach(({ user, anchor, head }) => {
+        const start = Math.min(anchor, head, textLength);
+        const end = Math.min(Math.max(anchor, head), textLength);
+        
+        if (start !== end) {
+            Array.from(createEditorRange(start, end).getClientRects()).forEach(rect => {
+                const highlight = document.createElement('div');
+                const position = toLayer(rect);
+                highlight.className = 'remote-selection';
+                highlight.style.backgroundColor = user.color;
+                highlight.style.left = `${position.left}px`;
+                highlight.style.top = `${position.top}px`;
+                highlight.style.width = `${rect.width}px`;
+                highlight.style.height = `${rect.height}px`;
+                remoteCursorLayer.appendChild(highlight);
+            });
+        }
+        
+        const caretRange = createEditorRange(Math.min(head, textLength));
+        const caretRect = caretRange.getClientRects()[0] || caretRange.getBoundingClientRect();
+        const position = toLayer(caretRect);
+        
+        const caret = document.createElement('div');
+        caret.className = 'user-cursor';
+        caret.dataset.user = user.name;
+        caret.style.backgroundColor = user.color;
+        caret.style.left = `${position.left}px`;
+        caret.style.top = `${position.top}px`;
+        if (caretRect.height) {
+            caret.style.height = `${caretRect.height}px`;
+        }
+        remoteCursorLayer.appendChild(caret);
+    });
+}
+
+// Cross-tab Sync
+// Tabs of the app share document changes over a BroadcastChannel, or through
+// storage events where that is unavailable. Text is exchanged as CRDT state,
+// so a tab merges another tab's edits into its own unsaved ones.
+function setupTabSync() {
+    if ('BroadcastChannel' in window) {
+        tabChannel = new BroadcastChannel('collabdocs');
+        tabChannel.addEventListener('message', (event) => handleTabMessage(event.data));
+        return;
+    }
+    
+    window.addEventListener('storage', (event) => {
+        if (event.key !== TAB_MESSAGE_KEY || !event.newValue) return;
+        try {
+            handleTabMessage(JSON.parse(event.newValue).message);
+        } catch (e) {
+            // Ignore messages we cannot read
+        }
+    });
+}
+
+function postTabMessage(message) {
+    if (tabChannel) {
+        tabChannel.postMessage(message);
+        return;
+    }
+    
+    // The nonce makes every message a change, so storage events always fire
+    try {
+        localStorage.setItem(TAB_MESSAGE_KEY, JSON.stringify({ message, nonce: Math.random() }));
+    } catch (e) {
+        // Other tabs will pick the change up from storage on their next load
+    }
+}
+
+function broadcastDocumentChange(doc) {
+    postTabMessage({ type: 'document-updated', doc });
+}
+
+// Shares unsaved edits while typing. Documents synced through the server
+// reach other tabs that way, so only offline editing needs this.
+function scheduleTabBroadcast() {
+    clearTimeout(tabBroadcastTimer);
+    tabBroadcastTimer = setTimeout(() => {
+        if (!currentDocument || isDocumentSynced()) return;
+        
+        currentDocument.model = getEditorModel();
+        currentDocument.content = RichText.toText(currentDocument.model);
+        CRDT.applyText(documentReplica, currentDocument.content);
+        currentDocument.crdt = CRDT.encode(documentReplica);
+        broadcastDocumentChange(currentDocument);
+    }, TAB_BROADCAST_DELAY);
+}
+
+function handleTabMessage(message) {
+    if (!message) return;
+    
+    switch (message.type) {
+        case 'document-updated':
+            mergeDocumentCopy(message.doc);
+            break;
+        case 'document-deleted':
+            removeTabDocument(message.docId);
+            break;
+    }
+}
+
+// Merges another copy of a document, from another tab or a workspace
+// backup, into the one here
+function mergeDocumentCopy(incoming) {
+    const doc = documents.find(d => d.id === incoming.id);
+    if (!doc) {
+        // The sending tab has already stored it
+        documents.unshift(incoming);
+        indexDocument(incoming);
+        refreshDocumentViews();
+        return;
+    }
+    
+    const isOpen = currentDocument !== null && currentDocument.id === doc.id && isEditorActive;
+    const incomingReplica = decodeReplica(incoming.crdt, incoming.content);
+    
+    // The CRDT settles the text; formatting comes from the incoming copy when
+    // the text ended up the same as its, and otherwise stays as it was here
+    const mergedModel = (model, text) =>
+        incoming.model && text === incoming.content ? incoming.model : RichText.withText(model, text);
+    
+    if (isOpen && isDocumentSynced()) {
+        // The server already delivers this tab's text; only take the metadata
+    } else if (isOpen) {
+        const editorModel = getEditorModel();
+        CRDT.applyText(documentReplica, RichText.toText(editorModel));
+        documentReplica = CRDT.merge(documentReplica, incomingReplica);
+        const target = mergedModel(editorModel, CRDT.toString(documentReplica));
+        if (!RichText.isEqual(target, editorModel)) {
+            applyOperationToEditor(RichText.diff(editorModel, target));
+        }
+    } else {
+        const merged = CRDT.merge(loadDocumentReplica(doc), incomingReplica);
+        doc.content = CRDT.toString(merged);
+        doc.model = mergedModel(getDocumentModel(doc), doc.content);
+        doc.crdt = CRDT.encode(merged);
+    }
+    
+    if (incoming.lastModified >= doc.lastModified) {
+        doc.title = incoming.title;
+    }
+    if ((incoming.organizedAt || 0) > (doc.organizedAt || 0)) {
+        doc.folder = incoming.folder;
+        doc.tags = incoming.tags;
+        doc.organizedAt = incoming.organizedAt;
+        if (incoming.deletedAt) {
+            doc.deletedAt = incoming.deletedAt;
+        } else {
+            delete doc.deletedAt;
+        }
+    }
+    doc.lastModified = Math.max(doc.lastModified, incoming.lastModified);
+    doc.version = Math.max(doc.version, incoming.version);
+    if (incoming.history) {
+        doc.history = VersionHistory.merge(doc.history, incoming.history);
+    }
+    incoming.collaborators.forEach(collab => {
+        if (!doc.collaborators.find(c => c.id === collab.id)) {
+            doc.collaborators.push(collab);
+        }
+    });
+    
+    persistDocument(doc);
+    if (isOpen && isTrashed(doc)) {
+        showDashboard();
+        showToast('This document was moved to the trash in another tab', 'info');
+        return;
+    }
+    refreshDocumentViews();
+}
+
+function removeTabDocument(docId) {
+    if (!documents.find(d => d.id === docId)) return;
+    
+    documents = documents.filter(d => d.id !== docId);
+    searchIndex.remove(docId);
+    if (currentDocument && currentDocument.id === docId && isEditorActive) {
+        currentDocument = null;
+        showDashboard();
+        showToast('This document was deleted in another tab', 'info');
+    } else {
+        refreshDocumentViews();
+    }
+}
+
+function refreshDocumentViews() {
+    if (isEditorActive && currentDocument) {
+        if (document.activeElement !== documentTitle) {
+            documentTitle.value = currentDocument.title;
+        }
+        renderOnlineUsers();
+        renderDocumentTags();
+        if (isHistoryPanelOpen()) {
+            renderHistoryList();
+        }
+    } else if (currentUser && !dashboard.classList.contains('hidden')) {
+        renderDocuments();
+    }
+}
+
+// Users come from other browsers through the server, so only well-formed
+// ones are shown, with just the fields the app uses
+function toRemoteUser(user) {
+    if (!user || typeof user.id !== 'string' || !user.id || typeof user.name !== 'string') return null;
+    return { id: user.id, name: user.name, color: safeColor(user.color) };
+}
+
+// Returns true when the user was not already shown as online
+function addRemoteCollaborator(sender) {
+    const user = toRemoteUser(sender);
+    if (!user || user.id === currentUser.id) return false;
+    
+    const existing = currentDocument.collaborators.find(c => c.id === user.id);
+    if (existing) {
+        const wasOnline = existing.isOnline;
+        existing.isOnline = true;
+        existing.lastSeen = Date.now();
+        return !wasOnline;
+    }
+    
+    currentDocument.collaborators.push({
+        ...user,
+        isOnline: true,
+        lastSeen: Date.now(),
+        cursorPosition: 0
     });
+    persistDocument(currentDocument);
+    return true;
+}
+
+function removeRemoteCollaborator(userId) {
+    const collab = currentDocument.collaborators.find(c => c.id === userId);
+    if (collab && userId !== currentUser.id) {
+        collab.isOnline = false;
+        collab.lastSeen = Date.now();
+    }
 }
 
+// Demo Mode: simulated ghost collaborators, enabled with ?demo
 function simulateTypingIndicator(userName, color) {
     const indicator = document.createElement('div');
     indicator.className = 'typing-indicator';
@@ -459,7 +4070,7 @@ function simulateCollaborativeChange() {
         const randomChange = changes[Math.floor(Math.random() * changes.length)];
         
         // Add the change
-        documentEditor.innerHTML += randomChange.replace(/\n/g, '<br>');
+        applyGhostEdit(randomChange);
         
         // Highlight the change
         highlightRecentChange();
@@ -469,6 +4080,24 @@ function simulateCollaborativeChange() {
     }, 1000 + Math.random() * 2000);
 }
 
+// The ghost's text is added at the end of the document as someone else's
+// edit, so it keeps the user's selection and stays out of their undo history.
+// It is shared with real collaborators like a local edit.
+function applyGhostEdit(text) {
+    const selection = getEditorSelection();
+    const model = getEditorModel();
+    const operation = OT.normalize([{ retain: RichText.toText(model).length }, { insert: text }]);
+    const changed = RichText.applyOperation(model, operation);
+    
+    renderEditorModel(changed);
+    if (selection) {
+        setEditorSelection(selection.start, selection.end);
+    }
+    transformEditorHistory(operation, changed);
+    captureLocalEdit();
+    scheduleTabBroadcast();
+}
+
 function highlightRecentChange() {
     // This is a simplified version - in a real app, you'd track specific text ranges
     const selection = window.getSelection();
@@ -580,11 +4209,147 @@ function setupEventListeners() {
     
     createDocBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        createNewDocument();
+        showTemplateModal();
+    });
+    
+    importDocBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        importFileInput.click();
+    });
+    
+    importFileInput.addEventListener('change', () => {
+        const files = Array.from(importFileInput.files);
+        // Cleared so choosing the same file again still imports it
+        importFileInput.value = '';
+        importFiles(files);
+    });
+    
+    searchInput.addEventListener('input', renderDocuments);
+    
+    sortSelect.addEventListener('change', () => {
+        setDashboardView({ sort: sortSelect.value, reverse: false });
+    });
+    
+    sortOrderBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        setDashboardView({ reverse: !dashboardView.reverse });
+    });
+    
+    ownerFilter.addEventListener('change', () => {
+        setDashboardView({ ownership: ownerFilter.value });
+    });
+    
+    collaboratorFilter.addEventListener('change', () => {
+        setDashboardView({ collaborator: collaboratorFilter.value });
+    });
+    
+    gridViewBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        setDashboardView({ layout: 'grid' });
+    });
+    
+    listViewBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        setDashboardView({ layout: 'list' });
+    });
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && searchInput.value) {
+            e.stopPropagation();
+            clearSearch();
+        }
+    });
+    
+    newFolderBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        createFolder();
+    });
+    
+    folderTree.addEventListener('click', handleFolderTreeClick);
+    folderTree.addEventListener('keydown', handleFolderTreeKeydown);
+    folderTree.addEventListener('dblclick', (e) => {
+        const item = e.target.closest('.folder-item');
+        if (item && e.target.closest('.folder-name')) {
+            startFolderRename(Folders.parsePathKey(item.dataset.folder));
+        }
+    });
+    folderTree.addEventListener('dragover', handleFolderDragOver);
+    folderTree.addEventListener('dragleave', handleFolderDragLeave);
+    folderTree.addEventListener('drop', handleFolderDrop);
+    
+    trashItem.addEventListener('click', showTrash);
+    trashItem.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            showTrash();
+        }
+    });
+    trashItem.addEventListener('dragover', handleFolderDragOver);
+    trashItem.addEventListener('dragleave', handleFolderDragLeave);
+    trashItem.addEventListener('drop', handleFolderDrop);
+    
+    trashRetentionSelect.addEventListener('change', () => {
+        setTrashRetentionDays(Number(trashRetentionSelect.value));
+    });
+    
+    emptyTrashBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        showDeleteModal([], 'empty');
+    });
+    
+    // Selection and card menus
+    selectAllBtn.addEventListener('click', selectAllDocuments);
+    clearSelectionBtn.addEventListener('click', clearSelection);
+    selectionBar.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-selection-action]');
+        if (action) {
+            runDocumentAction(action.dataset.selectionAction, Array.from(selectedDocumentIds));
+        }
+    });
+    selectionExportBtn.addEventListener('click', toggleSelectionExportMenu);
+    selectionExportMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-format]');
+        if (item) {
+            hideSelectionExportMenu();
+            exportDocuments(Array.from(selectedDocumentIds), item.dataset.format);
+        }
+    });
+    cardMenu.addEventListener('click', handleCardMenuClick);
+    cardMenu.addEventListener('keydown', handleCardMenuKeydown);
+    window.addEventListener('resize', () => hideCardMenu());
+    window.addEventListener('scroll', () => hideCardMenu(), true);
+    
+    tagList.addEventListener('click', (e) => {
+        const tag = e.target.closest('[data-tag]');
+        if (tag) {
+            selectTag(tag.dataset.tag);
+        }
+    });
+    
+    documentsGrid.addEventListener('dragover', handleImportDragOver);
+    documentsGrid.addEventListener('dragleave', handleImportDragLeave);
+    documentsGrid.addEventListener('drop', handleImportDrop);
+    
+    exportWorkspaceBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        exportWorkspace();
+    });
+    
+    importWorkspaceBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        workspaceFileInput.click();
+    });
+    
+    workspaceFileInput.addEventListener('change', () => {
+        const file = workspaceFileInput.files[0];
+        workspaceFileInput.value = '';
+        if (file) importWorkspace(file);
     });
     
     backToDashboard.addEventListener('click', (e) => {
         e.preventDefault();
+        if (hasUnsavedChanges()) {
+            saveDocument();
+        }
         showDashboard();
     });
     
@@ -594,34 +4359,117 @@ function setupEventListeners() {
         saveTimer = setTimeout(saveDocument, 1000);
     });
     
-    documentEditor.addEventListener('input', () => {
-        updateDocumentStats();
-        clearTimeout(saveTimer);
-        saveTimer = setTimeout(saveDocument, 2000);
+    // Enter or a comma adds what was typed; Backspace in an empty field
+    // removes the last tag
+    tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTagsFromInput();
+        } else if (e.key === 'Backspace' && !tagInput.value && currentDocument) {
+            const tags = Folders.getTags(currentDocument);
+            if (tags.length) removeDocumentTag(tags[tags.length - 1]);
+        }
+    });
+    
+    tagInput.addEventListener('blur', addTagsFromInput);
+    
+    documentTagChips.addEventListener('click', (e) => {
+        const remove = e.target.closest('[data-remove-tag]');
+        if (remove) {
+            e.preventDefault();
+            removeDocumentTag(remove.dataset.removeTag);
+        }
     });
     
-    documentEditor.addEventListener('keydown', (e) => {
-        // Simulate typing indicator for current user
-        clearTimeout(typingTimer);
-        typingTimer = setTimeout(() => {
-            // Stop typing indicator
-        }, 1000);
+    documentEditor.addEventListener('beforeinput', handleEditorBeforeInput);
+    documentEditor.addEventListener('input', handleEditorInput);
+    documentEditor.addEventListener('click', toggleTaskItem);
+    documentEditor.addEventListener('keydown', handleEditorKeydown);
+    
+    // Activity tracking for idle/away presence
+    ['keydown', 'mousedown', 'mousemove', 'touchstart'].forEach(eventName => {
+        document.addEventListener(eventName, recordLocalActivity, { passive: true });
     });
     
     // Toolbar
+    undoBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        undoEdit();
+    });
+    
+    redoBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        redoEdit();
+    });
+    
     boldBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        applyFormat('bold');
+        runCommand('bold');
     });
     
     italicBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        applyFormat('italic');
+        runCommand('italic');
     });
     
     underlineBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        applyFormat('underline');
+        runCommand('underline');
+    });
+    
+    strikeBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('strike');
+    });
+    
+    inlineCodeBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('code');
+    });
+    
+    linkBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        showLinkDialog();
+    });
+    
+    blockTypeSelect.addEventListener('change', () => {
+        const level = blockTypeSelect.value === 'paragraph' ? null : blockTypeSelect.value;
+        runCommand('heading', level);
+    });
+    
+    bulletListBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('bulletList');
+    });
+    
+    numberedListBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('orderedList');
+    });
+    
+    quoteBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('blockquote');
+    });
+    
+    codeBlockBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('codeBlock');
+    });
+    
+    alignLeftBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('align', 'left');
+    });
+    
+    alignCenterBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('align', 'center');
+    });
+    
+    alignRightBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        runCommand('align', 'right');
     });
     
     saveBtn.addEventListener('click', (e) => {
@@ -631,20 +4479,78 @@ function setupEventListeners() {
     
     exportBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        exportDocument();
+        toggleExportMenu();
+    });
+    
+    exportMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-format]');
+        if (item) {
+            e.preventDefault();
+            exportDocument(item.dataset.format);
+        }
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.classList.contains('hidden') && !e.target.closest('.toolbar-menu')) {
+            hideExportMenu();
+        }
+        if (!selectionExportMenu.classList.contains('hidden') && !e.target.closest('.toolbar-menu')) {
+            hideSelectionExportMenu();
+        }
+        if (!cardMenu.contains(e.target) && !e.target.closest('[data-card-menu]')) {
+            hideCardMenu();
+        }
+    });
+    
+    saveTemplateBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        showSaveTemplateModal();
+    });
+    
+    // Version history
+    historyBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        toggleHistoryPanel();
+    });
+    
+    closeHistoryBtn.addEventListener('click', closeHistoryPanel);
+    
+    historyList.addEventListener('click', (e) => {
+        const compareBtn = e.target.closest('.history-compare-btn');
+        const entry = e.target.closest('.history-entry');
+        if (compareBtn) {
+            compareWithLatest(compareBtn.dataset.compareId);
+        } else if (entry) {
+            previewVersion(entry.dataset.versionId);
+        }
+    });
+    
+    exitPreviewBtn.addEventListener('click', closeVersionPreview);
+    exitCompareBtn.addEventListener('click', closeVersionPreview);
+    
+    [compareFromSelect, compareToSelect].forEach(select => {
+        select.addEventListener('change', () => {
+            compareVersions(compareFromSelect.value, compareToSelect.value);
+        });
+    });
+    
+    restoreVersionBtn.addEventListener('click', () => {
+        if (previewedVersionId) {
+            restoreVersion(previewedVersionId);
+        }
     });
     
     deleteDocBtn.addEventListener('click', (e) => {
         e.preventDefault();
         if (currentDocument) {
-            showDeleteModal(currentDocument.id);
+            showDeleteModal([currentDocument.id]);
         }
     });
     
     // Delete modal
     confirmDeleteBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        deleteCurrentDocument();
+        confirmDelete();
     });
     
     cancelDeleteBtn.addEventListener('click', (e) => {
@@ -652,51 +4558,205 @@ function setupEventListeners() {
         hideDeleteModal();
     });
     
+    // Link modal
+    applyLinkBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        applyLink();
+    });
+    
+    removeLinkBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        removeLink();
+    });
+    
+    cancelLinkBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        hideLinkDialog();
+        documentEditor.focus();
+    });
+    
+    linkUrlInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyLink();
+        }
+    });
+    
+    // Find and replace
+    findInput.addEventListener('input', () => {
+        refreshFindMatches({ reveal: true });
+    });
+    
+    findInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepFind(e.shiftKey ? -1 : 1);
+        }
+    });
+    
+    replaceInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            replaceCurrentMatch();
+        }
+    });
+    
+    [findCaseBtn, findWordBtn, findRegexBtn].forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            const active = button.classList.toggle('active');
+            button.setAttribute('aria-pressed', String(active));
+            refreshFindMatches({ reveal: true });
+        });
+    });
+    
+    findPrevBtn.addEventListener('click', () => stepFind(-1));
+    findNextBtn.addEventListener('click', () => stepFind(1));
+    replaceBtn.addEventListener('click', replaceCurrentMatch);
+    replaceAllBtn.addEventListener('click', replaceAllMatches);
+    closeFindBtn.addEventListener('click', () => hideFindBar());
+    
+    findBar.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            hideFindBar();
+        }
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && isEditorActive && (e.shiftKey || e.altKey)) {
+            const shortcut = getFormatShortcut(e);
+            if (shortcut) {
+                e.preventDefault();
+                shortcut();
+                return;
+            }
+        }
+        
         if (e.ctrlKey || e.metaKey) {
             switch (e.key) {
                 case 's':
                     e.preventDefault();
-                    if (currentDocument) {
+                    if (currentDocument && isEditorActive) {
                         saveDocument();
                     }
                     break;
+                case 'z':
+                case 'Z':
+                    // Text fields keep their own undo
+                    if (isEditorActive && !document.activeElement.matches('input, textarea')) {
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            redoEdit();
+                        } else {
+                            undoEdit();
+                        }
+                    }
+                    break;
                 case 'b':
                     if (isEditorActive) {
                         e.preventDefault();
-                        applyFormat('bold');
+                        runCommand('bold');
                     }
                     break;
                 case 'i':
                     if (isEditorActive) {
                         e.preventDefault();
-                        applyFormat('italic');
+                        runCommand('italic');
                     }
                     break;
                 case 'u':
                     if (isEditorActive) {
                         e.preventDefault();
-                        applyFormat('underline');
+                        runCommand('underline');
+                    }
+                    break;
+                case 'e':
+                    if (isEditorActive) {
+                        e.preventDefault();
+                        runCommand('code');
+                    }
+                    break;
+                case 'k':
+                    if (isEditorActive) {
+                        e.preventDefault();
+                        showLinkDialog();
+                    }
+                    break;
+                case 'f':
+                    if (isEditorActive) {
+                        e.preventDefault();
+                        showFindBar(false);
+                    }
+                    break;
+                case 'h':
+                    if (isEditorActive) {
+                        e.preventDefault();
+                        showFindBar(true);
                     }
                     break;
                 case 'n':
                     if (!isEditorActive) {
                         e.preventDefault();
-                        createNewDocument();
+                        showTemplateModal();
+                    }
+                    break;
+                case 'a':
+                    if (isDashboardShortcut()) {
+                        e.preventDefault();
+                        selectAllDocuments();
                     }
                     break;
             }
         }
         
-        // ESC key to close modals
+        // "/" jumps to search on the dashboard
+        if (e.key === '/' && !e.ctrlKey && !e.metaKey && !isEditorActive &&
+                !dashboard.classList.contains('hidden') && !document.activeElement.matches('input, textarea')) {
+            e.preventDefault();
+            searchInput.focus();
+        }
+        
+        if (e.key === 'Delete' && selectedDocumentIds.size && isDashboardShortcut()) {
+            e.preventDefault();
+            runDocumentAction(isTrashOpen ? 'purge' : 'trash', Array.from(selectedDocumentIds));
+        }
+        
+        // ESC key to close modals, then menus, then the selection
         if (e.key === 'Escape') {
+            if (selectedDocumentIds.size && cardMenu.classList.contains('hidden') && isDashboardShortcut()) {
+                clearSelection();
+            }
+            hideCardMenu();
+            hideSelectionExportMenu();
             if (!nameModal.classList.contains('hidden') && currentUser) {
                 hideNameModal();
             }
             if (!deleteModal.classList.contains('hidden')) {
                 hideDeleteModal();
             }
+            if (!restoreModal.classList.contains('hidden')) {
+                hideRestoreModal();
+            }
+            if (!linkModal.classList.contains('hidden')) {
+                hideLinkDialog();
+                documentEditor.focus();
+            }
+            if (!templateModal.classList.contains('hidden')) {
+                hideTemplateModal();
+            }
+            if (!moveModal.classList.contains('hidden')) {
+                hideMoveModal();
+            }
+            if (!tagDocumentsModal.classList.contains('hidden')) {
+                hideTagDocumentsModal();
+            }
+            if (!saveTemplateModal.classList.contains('hidden')) {
+                hideSaveTemplateModal();
+                documentEditor.focus();
+            }
+            hideExportMenu();
         }
     });
     
@@ -713,30 +4773,92 @@ function setupEventListeners() {
         }
     });
     
+    linkModal.addEventListener('click', (e) => {
+        if (e.target === linkModal) {
+            hideLinkDialog();
+        }
+    });
+    
+    // Move and tag modals
+    confirmMoveBtn.addEventListener('click', confirmMove);
+    cancelMoveBtn.addEventListener('click', hideMoveModal);
+    moveModal.addEventListener('click', (e) => {
+        if (e.target === moveModal) {
+            hideMoveModal();
+        }
+    });
+    
+    confirmTagDocumentsBtn.addEventListener('click', confirmTagDocuments);
+    cancelTagDocumentsBtn.addEventListener('click', hideTagDocumentsModal);
+    tagDocumentsInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            confirmTagDocuments();
+        }
+    });
+    tagDocumentsModal.addEventListener('click', (e) => {
+        if (e.target === tagDocumentsModal) {
+            hideTagDocumentsModal();
+        }
+    });
+    
+    // Template modals
+    templateGallery.addEventListener('click', handleTemplateGalleryClick);
+    cancelTemplateBtn.addEventListener('click', hideTemplateModal);
+    
+    templateModal.addEventListener('click', (e) => {
+        if (e.target === templateModal) {
+            hideTemplateModal();
+        }
+    });
+    
+    confirmSaveTemplateBtn.addEventListener('click', saveAsTemplate);
+    cancelSaveTemplateBtn.addEventListener('click', () => {
+        hideSaveTemplateModal();
+        documentEditor.focus();
+    });
+    templateNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveAsTemplate();
+        }
+    });
+    
+    saveTemplateModal.addEventListener('click', (e) => {
+        if (e.target === saveTemplateModal) {
+            hideSaveTemplateModal();
+        }
+    });
+    
+    // Restore modal
+    cancelRestoreBtn.addEventListener('click', hideRestoreModal);
+    replaceRestoreBtn.addEventListener('click', () => confirmRestore('replace'));
+    mergeRestoreBtn.addEventListener('click', () => confirmRestore('merge'));
+    
+    restoreModal.addEventListener('click', (e) => {
+        if (e.target === restoreModal) {
+            hideRestoreModal();
+        }
+    });
+    
     // Update toolbar state on selection change
     document.addEventListener('selectionchange', () => {
         if (isEditorActive) {
             updateToolbarState();
+            scheduleCursorBroadcast();
         }
     });
     
+    window.addEventListener('resize', renderRemoteCursors);
+    window.addEventListener('resize', renderFindHighlights);
+    
     // Auto-save on page unload
     window.addEventListener('beforeunload', () => {
-        if (currentDocument) {
+        // Other browsers learn we left from the sync server, so only unsaved
+        // edits need writing
+        if (currentDocument && isEditorActive) {
             saveDocument();
         }
-        
-        // Mark current user as offline
-        if (currentUser) {
-            documents.forEach(doc => {
-                const userCollab = doc.collaborators.find(c => c.id === currentUser.id);
-                if (userCollab) {
-                    userCollab.isOnline = false;
-                    userCollab.lastSeen = Date.now();
-                }
-            });
-            saveDocumentsToStorage();
-        }
     });
 }
 
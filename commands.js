@@ -0,0 +1,275 @@
+// Editor commands
+//
+// Formatting is applied to the document model (see richtext.js) rather than
+// through document.execCommand, so every browser, and jsdom, gives the same
+// result. A command takes the editor state and returns the next one:
+//   { model, selection: { start, end }, marks }
+// where the selection is in text offsets and `marks` holds formatting set
+// while nothing was selected, for the next text typed (null when there is
+// none). Commands never change the state they are given.
+//
+// createHistory() keeps an undo stack of the changes made in the editor.
+//
+// Shared by the browser (window.EditorCommands) and Node
+// (require('./commands')); nothing here touches the DOM.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OT = isNode ? require('./ot') : global.OT;
+    const RichText = isNode ? require('./richtext') : global.RichText;
+
+    const HISTORY_LIMIT = 200;
+    // Typing with pauses shorter than this is undone in one step
+    const TYPING_MERGE_DELAY = 1000;
+
+    function createState(model, selection = { start: 0, end: 0 }, marks = null) {
+        return { model, selection, marks };
+    }
+
+    function isCollapsed(selection) {
+        return selection.start === selection.end;
+    }
+
+    // The formatting at the selection, with any marks set for typing over
+    // those of the text. Returns { type, attrs, marks }.
+    function getActiveFormat(state) {
+        const { start, end } = state.selection;
+        const format = RichText.getFormat(state.model, start, end);
+        const marks = { ...format.marks, ...(state.marks || {}) };
+        Object.keys(marks).forEach(name => {
+            if (marks[name] === null) delete marks[name];
+        });
+        return { ...format, marks };
+    }
+
+    function withModel(state, model, selection = state.selection) {
+        return { ...state, model, selection, marks: null };
+    }
+
+    // Marks
+
+    function toggleMark(name) {
+        return state => {
+            const { start, end } = state.selection;
+            const value = getActiveFormat(state).marks[name] ? null : true;
+            if (isCollapsed(state.selection)) {
+                return { ...state, marks: { ...state.marks, [name]: value } };
+            }
+            return withModel(state, RichText.formatText(state.model, start, end, { [name]: value }));
+        };
+    }
+
+    // With nothing selected, the address itself is inserted as the link text
+    function setLink(state, href) {
+        if (!href) throw new Error('A link needs an address');
+
+        const { start, end } = state.selection;
+        if (!isCollapsed(state.selection)) {
+            return withModel(state, RichText.formatText(state.model, start, end, { link: href }));
+        }
+
+        const marks = { ...getActiveFormat(state).marks, link: href };
+        const caret = start + href.length;
+        return withModel(state, RichText.insertText(state.model, start, href, marks), { start: caret, end: caret });
+    }
+
+    function removeLink(state) {
+        const { start, end } = state.selection;
+        return withModel(state, RichText.formatText(state.model, start, end, { link: null }));
+    }
+
+    // Blocks
+
+    function setBlockType(type, attrs = {}) {
+        return state => {
+            const { start, end } = state.selection;
+            return withModel(state, RichText.setBlockType(state.model, start, end, type, attrs));
+        };
+    }
+
+    // Applying a list, quote or code block to blocks that already all have it
+    // turns them back into paragraphs
+    function toggleBlockType(type, attrs = {}) {
+        return state => {
+            const { start, end } = state.selection;
+            const isApplied = RichText.getBlocks(state.model, start, end).every(block =>
+                block.type === type && Object.keys(attrs).every(key => block.attrs[key] === attrs[key]));
+            return isApplied
+                ? setBlockType('paragraph')(state)
+                : setBlockType(type, attrs)(state);
+        };
+    }
+
+    function setHeading(state, level) {
+        return level
+            ? setBlockType('heading', { level: Number(level) })(state)
+            : setBlockType('paragraph')(state);
+    }
+
+    function setAlignment(state, align) {
+        const { start, end } = state.selection;
+        const value = align === 'left' ? null : align;
+        return withModel(state, RichText.setBlockAttributes(state.model, start, end, { align: value }));
+    }
+
+    const COMMANDS = {
+        bold: toggleMark('bold'),
+        italic: toggleMark('italic'),
+        underline: toggleMark('underline'),
+        strike: toggleMark('strike'),
+        code: toggleMark('code'),
+        link: setLink,
+        unlink: removeLink,
+        paragraph: setBlockType('paragraph'),
+        heading: setHeading,
+        bulletList: toggleBlockType('list-item', { list: 'bullet' }),
+        orderedList: toggleBlockType('list-item', { list: 'ordered' }),
+        blockquote: toggleBlockType('blockquote'),
+        codeBlock: toggleBlockType('code-block'),
+        align: setAlignment
+    };
+
+    function execute(name, state, value) {
+        const command = COMMANDS[name];
+        if (!command) throw new Error(`Unknown editor command: ${name}`);
+        return command(state, value);
+    }
+
+    // History
+
+    // Where to put the caret once an operation has been applied: after the
+    // last text it changes
+    function caretAfter(operation) {
+        let index = 0;
+        let caret = 0;
+        operation.forEach(component => {
+            if (typeof component.insert === 'string') {
+                index += component.insert.length;
+                caret = index;
+            } else if (typeof component.delete === 'number') {
+                caret = index;
+            } else {
+                index += component.retain;
+                if (component.attributes) caret = index;
+            }
+        });
+        return { start: caret, end: caret };
+    }
+
+    // A selected range does not grow to take in text inserted at its edges
+    function transformSelection(selection, operation) {
+        return selection && {
+            start: OT.transformIndex(selection.start, operation, selection.start !== selection.end),
+            end: OT.transformIndex(selection.end, operation)
+        };
+    }
+
+    // Rebases a stack, newest entry first, over an operation made against the
+    // text its top entry applies to. `forward` is the operation each entry
+    // applies from there and `backward` the one that reverses it; the
+    // selections are named the same way. Entries left with nothing to do are
+    // dropped.
+    function transformStack(stack, operation, forward, backward) {
+        let remote = operation;
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const entry = stack[i];
+            const [forwardOperation, remoteBehind] = OT.transform(entry[forward.operation], remote);
+            const [backwardOperation] = OT.transform(entry[backward.operation], remoteBehind);
+
+            if (OT.isNoop(forwardOperation)) {
+                stack.splice(i, 1);
+            } else {
+                entry[forward.operation] = forwardOperation;
+                entry[backward.operation] = backwardOperation;
+                entry[forward.selection] = transformSelection(entry[forward.selection], remote);
+                entry[backward.selection] = transformSelection(entry[backward.selection], remoteBehind);
+            }
+            remote = remoteBehind;
+        }
+    }
+
+    const UNDO = { operation: 'undo', selection: 'selectionAfter' };
+    const REDO = { operation: 'redo', selection: 'selectionBefore' };
+
+    // Each entry holds the operation that takes the document back to before
+    // a change (`undo`) and the one that makes it again (`redo`), with the
+    // selection to restore either way. Changes recorded with `merge` extend
+    // the previous entry when it was also merged and recent, so a burst of
+    // typing is undone at once.
+    //
+    // Only changes made here are recorded. Others' edits are passed to
+    // transform(), which rebases the entries over them, so undoing never
+    // takes back someone else's work.
+    function createHistory({ limit = HISTORY_LIMIT, mergeDelay = TYPING_MERGE_DELAY } = {}) {
+        const undoStack = [];
+        const redoStack = [];
+        let lastRecordedAt = 0;
+
+        function record(before, after, { selectionBefore = null, selectionAfter = null, merge = false, now = Date.now() } = {}) {
+            const redo = RichText.diff(before, after);
+            if (OT.isNoop(redo)) return false;
+            const undo = RichText.diff(after, before);
+
+            const last = undoStack[undoStack.length - 1];
+            if (merge && last && last.merge && now - lastRecordedAt < mergeDelay) {
+                last.redo = OT.compose(last.redo, redo);
+                last.undo = OT.compose(undo, last.undo);
+                last.selectionAfter = selectionAfter;
+            } else {
+                undoStack.push({ undo, redo, selectionBefore, selectionAfter, merge });
+                if (undoStack.length > limit) undoStack.shift();
+            }
+            redoStack.length = 0;
+            lastRecordedAt = now;
+            return true;
+        }
+
+        // Returns the next state, or null when there is nothing to step to
+        function step(from, to, model, operationKey, selectionKey) {
+            const entry = from.pop();
+            if (!entry) return null;
+            to.push(entry);
+            lastRecordedAt = 0;
+
+            const operation = entry[operationKey];
+            return createState(
+                RichText.applyOperation(model, operation),
+                entry[selectionKey] || caretAfter(operation)
+            );
+        }
+
+        // `operation` applies to the current text
+        function transform(operation) {
+            transformStack(undoStack, operation, UNDO, REDO);
+            transformStack(redoStack, operation, REDO, UNDO);
+        }
+
+        return {
+            record,
+            transform,
+            undo: model => step(undoStack, redoStack, model, 'undo', 'selectionBefore'),
+            redo: model => step(redoStack, undoStack, model, 'redo', 'selectionAfter'),
+            canUndo: () => undoStack.length > 0,
+            canRedo: () => redoStack.length > 0,
+            clear() {
+                undoStack.length = 0;
+                redoStack.length = 0;
+            }
+        };
+    }
+
+    const EditorCommands = {
+        createState,
+        getActiveFormat,
+        execute,
+        createHistory,
+        commands: Object.keys(COMMANDS)
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EditorCommands;
+    } else {
+        global.EditorCommands = EditorCommands;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,315 @@
+// Sequence CRDT (RGA) for document text
+//
+// Every character is a node with a unique id { clock, site } and the id of the
+// node it was inserted after (its origin). Deleted characters stay behind as
+// tombstones, so replicas that edited independently can always be merged, and
+// the merge result is the same whatever order the replicas are merged in.
+//
+// Shared by the browser (window.CRDT) and the sync server (require('../crdt')).
+(function (global) {
+    'use strict';
+
+    const ENCODING_VERSION = 1;
+
+    // Site used for text that predates the CRDT, so every replica that
+    // converts the same legacy content produces identical ids.
+    const INITIAL_SITE = '';
+
+    function compareIds(a, b) {
+        if (a.clock !== b.clock) return a.clock - b.clock;
+        if (a.site === b.site) return 0;
+        return a.site < b.site ? -1 : 1;
+    }
+
+    function idKey(id) {
+        return `${id.clock}@${id.site}`;
+    }
+
+    function create(site) {
+        return { site, clock: 0, nodes: [], index: new Map() };
+    }
+
+    function addNode(state, position, node) {
+        state.nodes.splice(position, 0, node);
+        state.index.set(idKey(node.id), node);
+        state.clock = Math.max(state.clock, node.id.clock);
+    }
+
+    // Places a node after its origin, skipping over concurrent inserts at the
+    // same spot that carry a greater id (and, with them, their descendants).
+    function integrate(state, node) {
+        if (state.index.has(idKey(node.id))) return;
+
+        let position = 0;
+        if (node.origin) {
+            const origin = state.index.get(idKey(node.origin));
+            if (!origin) {
+                throw new Error(`Missing origin ${idKey(node.origin)}`);
+            }
+            position = state.nodes.indexOf(origin) + 1;
+        }
+
+        while (position < state.nodes.length && compareIds(state.nodes[position].id, node.id) > 0) {
+            position++;
+        }
+        addNode(state, position, node);
+    }
+
+    // Returns the array position of the visible character at `index`
+    function findVisible(state, index) {
+        let visible = -1;
+        for (let i = 0; i < state.nodes.length; i++) {
+            if (!state.nodes[i].deleted && ++visible === index) return i;
+        }
+        throw new Error(`Index ${index} is out of range`);
+    }
+
+    function insert(state, index, text, site = state.site) {
+        if (!text) return state;
+
+        let position = 0;
+        let origin = null;
+        if (index > 0) {
+            position = findVisible(state, index - 1);
+            origin = state.nodes[position].id;
+            position++;
+        }
+
+        // Fresh clocks are greater than anything seen, so the new characters
+        // go directly after their origin and the skip in integrate() is moot.
+        for (let i = 0; i < text.length; i++) {
+            const node = {
+                id: { clock: state.clock + 1, site },
+                origin,
+                value: text[i],
+                deleted: false
+            };
+            addNode(state, position + i, node);
+            origin = node.id;
+        }
+        return state;
+    }
+
+    function remove(state, index, length) {
+        if (length <= 0) return state;
+
+        let position = findVisible(state, index);
+        let remaining = length;
+        while (remaining > 0) {
+            if (position >= state.nodes.length) {
+                throw new Error('Delete runs past the end of the text');
+            }
+            const node = state.nodes[position++];
+            if (!node.deleted) {
+                node.deleted = true;
+                remaining--;
+            }
+        }
+        return state;
+    }
+
+    // Replays an OT operation (see ot.js) against the CRDT
+    function applyOperation(state, operation, site = state.site) {
+        let index = 0;
+        operation.forEach(component => {
+            if (typeof component.retain === 'number') {
+                index += component.retain;
+            } else if (typeof component.insert === 'string') {
+                insert(state, index, component.insert, site);
+                index += component.insert.length;
+            } else {
+                remove(state, index, component.delete);
+            }
+        });
+        return state;
+    }
+
+    // Records whatever changed between the CRDT's text and `text` as a local edit
+    function applyText(state, text, site = state.site) {
+        const current = toString(state);
+
+        let prefix = 0;
+        const maxPrefix = Math.min(current.length, text.length);
+        while (prefix < maxPrefix && current[prefix] === text[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        const maxSuffix = maxPrefix - prefix;
+        while (suffix < maxSuffix && current[current.length - 1 - suffix] === text[text.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        remove(state, prefix, current.length - prefix - suffix);
+        insert(state, prefix, text.slice(prefix, text.length - suffix), site);
+        return state;
+    }
+
+    function fromText(text, site) {
+        const state = create(site);
+        let origin = null;
+        for (let i = 0; i < text.length; i++) {
+            const node = {
+                id: { clock: i + 1, site: INITIAL_SITE },
+                origin,
+                value: text[i],
+                deleted: false
+            };
+            state.nodes.push(node);
+            state.index.set(idKey(node.id), node);
+            origin = node.id;
+        }
+        state.clock = text.length;
+        return state;
+    }
+
+    function toString(state) {
+        let text = '';
+        state.nodes.forEach(node => {
+            if (!node.deleted) text += node.value;
+        });
+        return text;
+    }
+
+    function clone(state, site = state.site) {
+        const copy = create(site);
+        state.nodes.forEach(node => {
+            const nodeCopy = { ...node };
+            copy.nodes.push(nodeCopy);
+            copy.index.set(idKey(node.id), nodeCopy);
+        });
+        copy.clock = state.clock;
+        return copy;
+    }
+
+    // Returns a new state holding every character and deletion from both
+    // replicas. The result keeps a's site.
+    function merge(a, b) {
+        const result = clone(a);
+
+        // An origin always has a smaller clock than the nodes inserted after
+        // it, so integrating in id order never meets a missing origin.
+        b.nodes
+            .filter(node => !result.index.has(idKey(node.id)))
+            .sort((x, y) => compareIds(x.id, y.id))
+            .forEach(node => integrate(result, { ...node }));
+
+        b.nodes.forEach(node => {
+            if (node.deleted) {
+                result.index.get(idKey(node.id)).deleted = true;
+            }
+        });
+
+        result.clock = Math.max(a.clock, b.clock);
+        return result;
+    }
+
+    // Compact JSON form for localStorage and the wire. Characters typed one
+    // after another by the same site are stored as a single run:
+    //   [clock, site, originClock, originSite, text, deleted]
+    // where sites index into `sites`, originSite is -1 for "start of text" and
+    // deleted is 0 or a string of '0'/'1' flags.
+    function encode(state) {
+        const sites = [];
+        const siteIndexes = new Map();
+        function siteIndex(site) {
+            if (!siteIndexes.has(site)) {
+                siteIndexes.set(site, sites.length);
+                sites.push(site);
+            }
+            return siteIndexes.get(site);
+        }
+
+        const runs = [];
+        let run = null;
+        state.nodes.forEach(node => {
+            const continuesRun = run &&
+                node.id.site === run.site &&
+                node.id.clock === run.lastClock + 1 &&
+                node.origin &&
+                node.origin.site === run.site &&
+                node.origin.clock === run.lastClock;
+
+            if (continuesRun) {
+                run.text += node.value;
+                run.deleted += node.deleted ? '1' : '0';
+                run.lastClock++;
+            } else {
+                run = {
+                    site: node.id.site,
+                    clock: node.id.clock,
+                    lastClock: node.id.clock,
+                    origin: node.origin,
+                    text: node.value,
+                    deleted: node.deleted ? '1' : '0'
+                };
+                runs.push(run);
+            }
+        });
+
+        return {
+            version: ENCODING_VERSION,
+            clock: state.clock,
+            sites,
+            runs: runs.map(r => [
+                r.clock,
+                siteIndex(r.site),
+                r.origin ? r.origin.clock : 0,
+                r.origin ? siteIndex(r.origin.site) : -1,
+                r.text,
+                r.deleted.includes('1') ? r.deleted : 0
+            ])
+        };
+    }
+
+    function decode(data, site) {
+        if (!data || data.version !== ENCODING_VERSION || !Array.isArray(data.runs) || !Array.isArray(data.sites)) {
+            throw new Error('Unsupported CRDT encoding');
+        }
+
+        const state = create(site);
+        data.runs.forEach(([clock, siteIndex, originClock, originSite, text, deleted]) => {
+            const runSite = data.sites[siteIndex];
+            if (typeof runSite !== 'string' || typeof text !== 'string') {
+                throw new Error('Malformed CRDT run');
+            }
+
+            let origin = originSite === -1 ? null : { clock: originClock, site: data.sites[originSite] };
+            for (let i = 0; i < text.length; i++) {
+                const node = {
+                    id: { clock: clock + i, site: runSite },
+                    origin,
+                    value: text[i],
+                    deleted: deleted !== 0 && deleted[i] === '1'
+                };
+                state.nodes.push(node);
+                state.index.set(idKey(node.id), node);
+                state.clock = Math.max(state.clock, node.id.clock);
+                origin = node.id;
+            }
+        });
+
+        state.clock = Math.max(state.clock, data.clock || 0);
+        return state;
+    }
+
+    const CRDT = {
+        create,
+        fromText,
+        toString,
+        insert,
+        remove,
+        applyOperation,
+        applyText,
+        merge,
+        clone,
+        encode,
+        decode
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CRDT;
+    } else {
+        global.CRDT = CRDT;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
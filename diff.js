@@ -0,0 +1,201 @@
+// Word-level text diff
+//
+// Text is split into words and the whitespace between them, and the tokens
+// are compared with Myers' algorithm, so a change never splits a word.
+//
+// Shared by the browser (window.Diff) and Node (require('./diff')); nothing
+// here touches the DOM.
+(function (global) {
+    'use strict';
+
+    // Past this many differing tokens the comparison gives up on finding the
+    // shortest edit and reports the changed middle as replaced wholesale
+    const MAX_EDIT_DISTANCE = 2000;
+
+    function tokenize(text) {
+        return text.match(/\s+|[^\s]+/g) || [];
+    }
+
+    // Myers' O(ND) shortest edit script between a[aStart..aEnd) and
+    // b[bStart..bEnd), appended to `edits` in order. Returns false when the
+    // texts differ by more than MAX_EDIT_DISTANCE tokens.
+    function shortestEdit(a, b, aStart, aEnd, bStart, bEnd, edits) {
+        const n = aEnd - aStart;
+        const m = bEnd - bStart;
+        const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+        const offset = limit + 1;
+        let v = new Int32Array(2 * limit + 3);
+        const trace = [];
+
+        let found = false;
+        for (let d = 0; d <= limit && !found; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+        if (!found) return false;
+
+        const reversed = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            v = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+            const prevX = d === 0 ? 0 : v[offset + prevK];
+            const prevY = d === 0 ? 0 : prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                reversed.push({ type: 'equal', oldIndex: aStart + x, newIndex: bStart + y });
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    reversed.push({ type: 'insert', newIndex: bStart + prevY });
+                } else {
+                    reversed.push({ type: 'delete', oldIndex: aStart + prevX });
+                }
+            }
+            x = prevX;
+            y = prevY;
+        }
+
+        for (let i = reversed.length - 1; i >= 0; i--) {
+            edits.push(reversed[i]);
+        }
+        return true;
+    }
+
+    // Compares two token arrays. Returns one edit per token:
+    //   { type: 'equal', oldIndex, newIndex }
+    //   { type: 'delete', oldIndex }
+    //   { type: 'insert', newIndex }
+    // Deletions come before insertions where both replace the same text.
+    function diffTokens(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+
+        let aEnd = a.length;
+        let bEnd = b.length;
+        while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+            aEnd--;
+            bEnd--;
+        }
+
+        const edits = [];
+        for (let i = 0; i < start; i++) {
+            edits.push({ type: 'equal', oldIndex: i, newIndex: i });
+        }
+
+        if (!shortestEdit(a, b, start, aEnd, start, bEnd, edits)) {
+            for (let i = start; i < aEnd; i++) {
+                edits.push({ type: 'delete', oldIndex: i });
+            }
+            for (let i = start; i < bEnd; i++) {
+                edits.push({ type: 'insert', newIndex: i });
+            }
+        }
+
+        for (let i = 0; aEnd + i < a.length; i++) {
+            edits.push({ type: 'equal', oldIndex: aEnd + i, newIndex: bEnd + i });
+        }
+        return edits;
+    }
+
+    // Appends text to the last segment when it has the same type and author
+    function pushSegment(segments, type, text, author = null) {
+        const last = segments[segments.length - 1];
+        const authorId = author ? author.id : null;
+        if (last && last.type === type && (last.author ? last.author.id : null) === authorId) {
+            last.text += text;
+        } else {
+            segments.push({ type, text, author });
+        }
+    }
+
+    // Returns the changes from oldText to newText as runs of
+    // { type: 'equal' | 'insert' | 'delete', text }
+    function diffWords(oldText, newText) {
+        const a = tokenize(oldText);
+        const b = tokenize(newText);
+        const segments = [];
+        diffTokens(a, b).forEach(edit => {
+            const text = edit.type === 'insert' ? b[edit.newIndex] : a[edit.oldIndex];
+            pushSegment(segments, edit.type, text);
+        });
+        return segments.map(({ type, text }) => ({ type, text }));
+    }
+
+    // Diffs the first and last of a series of versions ({ content, author },
+    // oldest first), crediting each change to the author of the version that
+    // made it. Returns runs of { type, text, author }, where author is null for
+    // unchanged text. Changes that cannot be traced through the intermediate
+    // versions are credited to the author of the last one.
+    function attributeChanges(versions) {
+        if (versions.length === 0) return [];
+
+        const first = tokenize(versions[0].content);
+        const deletedBy = new Array(first.length).fill(null);
+        // Every token of the latest text, with its position in the first
+        // version (-1 when added later) and who added it
+        let tokens = first.map((text, index) => ({ text, origin: index, author: null }));
+
+        for (let i = 1; i < versions.length; i++) {
+            const nextTexts = tokenize(versions[i].content);
+            const next = [];
+            diffTokens(tokens.map(token => token.text), nextTexts).forEach(edit => {
+                if (edit.type === 'equal') {
+                    next.push(tokens[edit.oldIndex]);
+                } else if (edit.type === 'insert') {
+                    next.push({ text: nextTexts[edit.newIndex], origin: -1, author: versions[i].author });
+                } else if (tokens[edit.oldIndex].origin !== -1) {
+                    deletedBy[tokens[edit.oldIndex].origin] = versions[i].author;
+                }
+            });
+            tokens = next;
+        }
+
+        const lastAuthor = versions[versions.length - 1].author;
+        const last = tokens.map(token => token.text);
+        const segments = [];
+        diffTokens(first, last).forEach(edit => {
+            if (edit.type === 'equal') {
+                pushSegment(segments, 'equal', last[edit.newIndex]);
+            } else if (edit.type === 'insert') {
+                pushSegment(segments, 'insert', last[edit.newIndex], tokens[edit.newIndex].author || lastAuthor);
+            } else {
+                pushSegment(segments, 'delete', first[edit.oldIndex], deletedBy[edit.oldIndex] || lastAuthor);
+            }
+        });
+        return segments;
+    }
+
+    const Diff = {
+        tokenize,
+        diffTokens,
+        diffWords,
+        attributeChanges
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Diff;
+    } else {
+        global.Diff = Diff;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
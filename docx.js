@@ -0,0 +1,725 @@
+// Word documents
+//
+// fromModel() writes a rich-text document (see richtext.js) as a .docx file:
+// a ZIP of WordprocessingML parts. Blocks map to Word's built-in styles
+// (Heading 1-6, Quote) or to ones defined here (Code), lists to numbering
+// definitions, and marks to run properties.
+//
+// toModel() reads one back, keeping what the model can hold: headings,
+// quotes, code, lists, tables, links and inline marks. Images, fields,
+// comments and page layout are dropped. Files that are not Word documents
+// reject with a Docx.DocxError.
+//
+// Shared by the browser (window.Docx) and Node (require('./docx')).
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Zip = isNode ? require('./zip') : global.Zip;
+    const RichText = isNode ? require('./richtext') : global.RichText;
+
+    const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    const NS = {
+        w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+        r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+        types: 'http://schemas.openxmlformats.org/package/2006/content-types',
+        officeRel: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        core: 'http://schemas.openxmlformats.org/package/2006/metadata/core-properties'
+    };
+
+    const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const CODE_FONT = 'Courier New';
+    const LIST_LEVELS = 9;
+    // Word measures indents in twentieths of a point
+    const INDENT_STEP = 720;
+    const JUSTIFICATIONS = { center: 'center', right: 'right', justify: 'both' };
+    const BULLETS = ['•', '◦', '▪'];
+    const ORDERED_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+    const BULLET_LIST = 1;
+    const ORDERED_LIST = 2;
+
+    class DocxError extends Error {
+        constructor(message = 'Not a valid Word document') {
+            super(message);
+            this.name = 'DocxError';
+        }
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            // Characters XML 1.0 does not allow at all
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Parts
+
+    function contentTypes() {
+        const main = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+        return XML_HEADER +
+            `<Types xmlns="${NS.types}">` +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            `<Override PartName="/word/document.xml" ContentType="${main}.document.main+xml"/>` +
+            `<Override PartName="/word/styles.xml" ContentType="${main}.styles+xml"/>` +
+            `<Override PartName="/word/numbering.xml" ContentType="${main}.numbering+xml"/>` +
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+            '</Types>';
+    }
+
+    function packageRelationships() {
+        return XML_HEADER +
+            `<Relationships xmlns="${NS.rels}">` +
+            `<Relationship Id="rId1" Type="${NS.officeRel}/officeDocument" Target="word/document.xml"/>` +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+            '</Relationships>';
+    }
+
+    function documentRelationships(links) {
+        const hyperlinks = links.map((href, index) =>
+            `<Relationship Id="rIdLink${index + 1}" Type="${NS.officeRel}/hyperlink" Target="${escapeXml(href)}" TargetMode="External"/>`);
+        return XML_HEADER +
+            `<Relationships xmlns="${NS.rels}">` +
+            `<Relationship Id="rIdStyles" Type="${NS.officeRel}/styles" Target="styles.xml"/>` +
+            `<Relationship Id="rIdNumbering" Type="${NS.officeRel}/numbering" Target="numbering.xml"/>` +
+            hyperlinks.join('') +
+            '</Relationships>';
+    }
+
+    function coreProperties({ title, author, date }) {
+        const created = date.toISOString().replace(/\.\d+Z$/, 'Z');
+        return XML_HEADER +
+            `<cp:coreProperties xmlns:cp="${NS.core}" xmlns:dc="http://purl.org/dc/elements/1.1/" ` +
+            'xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            `<dc:title>${escapeXml(title)}</dc:title>` +
+            `<dc:creator>${escapeXml(author)}</dc:creator>` +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>` +
+            `<dcterms:modified xsi:type="dcterms:W3CDTF">${created}</dcterms:modified>` +
+            '</cp:coreProperties>';
+    }
+
+    function paragraphStyle(id, name, properties, runProperties = '') {
+        return `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/>` +
+            '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+            `<w:pPr>${properties}</w:pPr><w:rPr>${runProperties}</w:rPr></w:style>`;
+    }
+
+    function styles() {
+        const headingSizes = [40, 32, 28, 24, 22, 22];
+        const headings = headingSizes.map((size, index) => paragraphStyle(
+            `Heading${index + 1}`,
+            `heading ${index + 1}`,
+            `<w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${index}"/>`,
+            `<w:b/><w:sz w:val="${size}"/>`
+        ));
+        return XML_HEADER +
+            `<w:styles xmlns:w="${NS.w}">` +
+            '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>' +
+            '<w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+            headings.join('') +
+            paragraphStyle('Quote', 'Quote',
+                `<w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="BFBFBF"/></w:pBdr><w:ind w:left="${INDENT_STEP}"/>`,
+                '<w:i/><w:color w:val="595959"/>') +
+            paragraphStyle('Code', 'Code',
+                '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/>',
+                `<w:rFonts w:ascii="${CODE_FONT}" w:hAnsi="${CODE_FONT}" w:cs="${CODE_FONT}"/><w:sz w:val="20"/>`) +
+            paragraphStyle('ListParagraph', 'List Paragraph', '<w:spacing w:after="60"/><w:contextualSpacing/>') +
+            '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+            '<w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+            '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>' +
+            ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+                .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`).join('') +
+            '</w:tblBorders></w:tblPr></w:style>' +
+            '</w:styles>';
+    }
+
+    function listLevels(ordered) {
+        return Array.from({ length: LIST_LEVELS }, (_, level) => {
+            const format = ordered ? ORDERED_FORMATS[level % ORDERED_FORMATS.length] : 'bullet';
+            const text = ordered ? `%${level + 1}.` : BULLETS[level % BULLETS.length];
+            return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/>` +
+                `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${INDENT_STEP * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+        }).join('');
+    }
+
+    // Every ordered list gets a numbering instance of its own, so each one
+    // starts again from 1
+    function numbering(orderedLists) {
+        const instances = Array.from({ length: orderedLists }, (_, index) =>
+            `<w:num w:numId="${ORDERED_LIST + index + 1}"><w:abstractNumId w:val="${ORDERED_LIST}"/>` +
+            '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>');
+        return XML_HEADER +
+            `<w:numbering xmlns:w="${NS.w}">` +
+            `<w:abstractNum w:abstractNumId="${BULLET_LIST}"><w:multiLevelType w:val="hybridMultilevel"/>${listLevels(false)}</w:abstractNum>` +
+            `<w:abstractNum w:abstractNumId="${ORDERED_LIST}"><w:multiLevelType w:val="hybridMultilevel"/>${listLevels(true)}</w:abstractNum>` +
+            `<w:num w:numId="${BULLET_LIST}"><w:abstractNumId w:val="${BULLET_LIST}"/></w:num>` +
+            instances.join('') +
+            '</w:numbering>';
+    }
+
+    // Body
+
+    function runProperties(marks) {
+        const properties = [];
+        if (marks.link) properties.push('<w:rStyle w:val="Hyperlink"/>');
+        if (marks.code) properties.push(`<w:rFonts w:ascii="${CODE_FONT}" w:hAnsi="${CODE_FONT}" w:cs="${CODE_FONT}"/>`);
+        if (marks.bold) properties.push('<w:b/>');
+        if (marks.italic) properties.push('<w:i/>');
+        if (marks.strike) properties.push('<w:strike/>');
+        if (marks.underline) properties.push('<w:u w:val="single"/>');
+        return properties.length ? `<w:rPr>${properties.join('')}</w:rPr>` : '';
+    }
+
+    function run(text, marks = {}) {
+        return `<w:r>${runProperties(marks)}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+    }
+
+    // Runs of the same link share one hyperlink element
+    function paragraphContent(block, links) {
+        let xml = '';
+        let link = null;
+        block.content.forEach(({ text, marks }) => {
+            if (marks.link !== (link && link.href)) {
+                if (link) xml += '</w:hyperlink>';
+                link = null;
+                if (marks.link) {
+                    let index = links.indexOf(marks.link);
+                    if (index === -1) index = links.push(marks.link) - 1;
+                    link = { href: marks.link };
+                    xml += `<w:hyperlink r:id="rIdLink${index + 1}" w:history="1">`;
+                }
+            }
+            xml += run(text, marks);
+        });
+        if (link) xml += '</w:hyperlink>';
+        return xml;
+    }
+
+    function paragraph(properties, content) {
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+    }
+
+    function alignment(block) {
+        const justification = JUSTIFICATIONS[RichText.alignmentOf(block)];
+        return justification ? `<w:jc w:val="${justification}"/>` : '';
+    }
+
+    function tableXml(cells, links) {
+        const rows = [];
+        cells.forEach((cell, index) => {
+            if (index === 0 || cell.attrs.row !== cells[index - 1].attrs.row) rows.push([]);
+            rows[rows.length - 1].push(cell);
+        });
+        const columns = Math.max(...rows.map(row => row.length));
+        const width = Math.floor(9000 / columns);
+
+        const rowXml = row => '<w:tr>' + Array.from({ length: columns }, (_, i) => {
+            const cell = row[i];
+            const content = cell
+                ? paragraph(alignment(cell), cell.attrs.header
+                    ? paragraphContent({ content: cell.content.map(r => ({ ...r, marks: { ...r.marks, bold: true } })) }, links)
+                    : paragraphContent(cell, links))
+                : paragraph('', '');
+            return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${content}</w:tc>`;
+        }).join('') + '</w:tr>';
+
+        return '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr>' +
+            '<w:tblGrid>' + `<w:gridCol w:w="${width}"/>`.repeat(columns) + '</w:tblGrid>' +
+            rows.map(rowXml).join('') + '</w:tbl>' +
+            // Word needs a paragraph between a table and whatever follows it
+            paragraph('', '');
+    }
+
+    function bodyXml(model, links) {
+        const parts = [];
+        let orderedLists = 0;
+        // Numbering instance of the ordered list at each level
+        let listIds = [];
+        let table = [];
+
+        const flushTable = () => {
+            if (table.length) parts.push(tableXml(table, links));
+            table = [];
+        };
+
+        model.blocks.forEach(block => {
+            if (block.type !== 'table-cell' || (table.length && block.attrs.row < table[table.length - 1].attrs.row)) {
+                flushTable();
+            }
+            if (block.type !== 'list-item') listIds = [];
+
+            const content = paragraphContent(block, links);
+            switch (block.type) {
+                case 'heading':
+                    parts.push(paragraph(`<w:pStyle w:val="Heading${Math.min(block.attrs.level || 1, 6)}"/>${alignment(block)}`, content));
+                    break;
+                case 'blockquote':
+                    parts.push(paragraph(`<w:pStyle w:val="Quote"/>${alignment(block)}`, content));
+                    break;
+                case 'code-block':
+                    parts.push(paragraph('<w:pStyle w:val="Code"/>', run(block.content.map(r => r.text).join(''))));
+                    break;
+                case 'divider':
+                    parts.push(paragraph('<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr>', ''));
+                    break;
+                case 'table-cell':
+                    table.push(block);
+                    break;
+                case 'list-item': {
+                    const level = Math.min(RichText.indentOf(block), LIST_LEVELS - 1);
+                    listIds.length = level + 1;
+                    if (block.attrs.list === 'task') {
+                        // Word has no checkboxes in lists, so the box is a character
+                        const box = run(block.attrs.checked ? '☒ ' : '☐ ');
+                        parts.push(paragraph(`<w:pStyle w:val="ListParagraph"/><w:ind w:left="${INDENT_STEP * (level + 1)}"/>`, box + content));
+                        break;
+                    }
+                    let numId = BULLET_LIST;
+                    if (block.attrs.list === 'ordered') {
+                        if (listIds[level] === undefined) {
+                            orderedLists++;
+                            listIds[level] = ORDERED_LIST + orderedLists;
+                        }
+                        numId = listIds[level];
+                    } else {
+                        listIds[level] = undefined;
+                    }
+                    parts.push(paragraph(
+                        `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>${alignment(block)}`,
+                        content
+                    ));
+                    break;
+                }
+                default:
+                    parts.push(paragraph(alignment(block), content));
+            }
+        });
+        flushTable();
+        return { xml: parts.join(''), orderedLists };
+    }
+
+    function documentXml(body) {
+        return XML_HEADER +
+            `<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}"><w:body>${body}` +
+            '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>' +
+            '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>' +
+            '</w:sectPr></w:body></w:document>';
+    }
+
+    // Returns the .docx file's bytes
+    function fromModel(model, { title = '', author = '', date = new Date() } = {}) {
+        const links = [];
+        const body = bodyXml(model, links);
+        return Zip.create([
+            { name: '[Content_Types].xml', data: contentTypes() },
+            { name: '_rels/.rels', data: packageRelationships() },
+            { name: 'docProps/core.xml', data: coreProperties({ title, author, date }) },
+            { name: 'word/document.xml', data: documentXml(body.xml) },
+            { name: 'word/styles.xml', data: styles() },
+            { name: 'word/numbering.xml', data: numbering(body.orderedLists) },
+            { name: 'word/_rels/document.xml.rels', data: documentRelationships(links) }
+        ], date);
+    }
+
+    // Reading XML
+    //
+    // Enough of XML for WordprocessingML parts: elements, attributes and
+    // text. Names lose their namespace prefix, as Word always writes its
+    // parts with the same namespaces.
+
+    const XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+    const XML_ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+    function localName(name) {
+        return name.slice(name.indexOf(':') + 1);
+    }
+
+    function decodeXml(text) {
+        return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, decimal, name) => {
+            if (name) return XML_ENTITIES[name] || match;
+            const code = hex ? parseInt(hex, 16) : Number(decimal);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        });
+    }
+
+    // Returns the root element as { name, attrs, children }, where children
+    // are elements and strings of text
+    function parseXml(xml) {
+        const root = { name: '', attrs: {}, children: [] };
+        const stack = [root];
+        XML_TOKEN.lastIndex = 0;
+        while (XML_TOKEN.lastIndex < xml.length) {
+            const match = XML_TOKEN.exec(xml);
+            if (!match) throw new DocxError();
+            const [, cdata, closing, opening, attributes, selfClosing, text] = match;
+            const parent = stack[stack.length - 1];
+            if (cdata !== undefined || text !== undefined) {
+                parent.children.push(cdata !== undefined ? cdata : decodeXml(text));
+            } else if (closing) {
+                if (stack.length === 1 || localName(closing) !== parent.name) throw new DocxError();
+                stack.pop();
+            } else if (opening) {
+                const element = { name: localName(opening), attrs: {}, children: [] };
+                for (const [, name, double, single] of attributes.matchAll(XML_ATTRIBUTE)) {
+                    element.attrs[localName(name)] = decodeXml(double !== undefined ? double : single);
+                }
+                parent.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+
+        const element = root.children.find(child => typeof child !== 'string');
+        if (stack.length !== 1 || !element) throw new DocxError();
+        return element;
+    }
+
+    function elements(node, name) {
+        if (!node) return [];
+        return node.children.filter(child => typeof child !== 'string' && (!name || child.name === name));
+    }
+
+    function element(node, name) {
+        return elements(node, name)[0] || null;
+    }
+
+    function attribute(node, name) {
+        return node && name in node.attrs ? node.attrs[name] : null;
+    }
+
+    // <w:b/> turns bold on and <w:b w:val="false"/> turns it off
+    function isOn(property) {
+        return !/^(false|0|off|none)$/.test(property.attrs.val || '');
+    }
+
+    // Reading the package
+
+    // Where a part's relationships are kept: word/document.xml has
+    // word/_rels/document.xml.rels, and the package itself _rels/.rels
+    function relationshipsPath(part) {
+        const slash = part.lastIndexOf('/');
+        return `${part.slice(0, slash + 1)}_rels/${part.slice(slash + 1)}.rels`;
+    }
+
+    function resolvePath(part, target) {
+        if (target.startsWith('/')) return target.slice(1);
+        const path = part.split('/').slice(0, -1);
+        target.split('/').forEach(segment => {
+            if (segment === '..') path.pop();
+            else if (segment !== '.') path.push(segment);
+        });
+        return path.join('/');
+    }
+
+    async function readPart(files, name) {
+        const file = files.find(f => f.name.toLowerCase() === name.toLowerCase());
+        return file ? parseXml(await file.text()) : null;
+    }
+
+    // Relationships by id, as { type, target }. The type is the last part of
+    // its URI, e.g. 'styles' or 'hyperlink'.
+    async function readRelationships(files, part) {
+        const relationships = {};
+        elements(await readPart(files, relationshipsPath(part)), 'Relationship').forEach(relationship => {
+            const { Id, Type = '', Target = '', TargetMode } = relationship.attrs;
+            relationships[Id] = {
+                type: Type.split('/').pop(),
+                target: TargetMode === 'External' ? Target : resolvePath(part, Target)
+            };
+        });
+        return relationships;
+    }
+
+    function readStyles(xml) {
+        const styles = {};
+        elements(xml, 'style').forEach(style => {
+            styles[style.attrs.styleId] = {
+                name: (attribute(element(style, 'name'), 'val') || '').toLowerCase(),
+                basedOn: attribute(element(style, 'basedOn'), 'val'),
+                paragraph: element(style, 'pPr'),
+                run: element(style, 'rPr')
+            };
+        });
+        return styles;
+    }
+
+    // A style and those it is based on, nearest first
+    function styleChain(styles, id) {
+        const chain = [];
+        for (let style = styles[id]; style && !chain.includes(style); style = styles[style.basedOn]) {
+            chain.push(style);
+        }
+        return chain;
+    }
+
+    // The number format of each level of each numbering instance
+    function readNumbering(xml) {
+        const definitions = {};
+        elements(xml, 'abstractNum').forEach(definition => {
+            const formats = {};
+            elements(definition, 'lvl').forEach(level => {
+                formats[level.attrs.ilvl] = attribute(element(level, 'numFmt'), 'val');
+            });
+            definitions[definition.attrs.abstractNumId] = formats;
+        });
+
+        const instances = {};
+        elements(xml, 'num').forEach(instance => {
+            instances[instance.attrs.numId] = definitions[attribute(element(instance, 'abstractNumId'), 'val')] || {};
+        });
+        return instances;
+    }
+
+    // Reading the body
+
+    const HEADING_STYLE = /^heading ([1-6])$/;
+    const CODE_STYLE = /^(code|source code|html preformatted|macro text|plain text)\b/;
+    const MONOSPACE_FONT = /^(courier|consolas|menlo|monaco|lucida console|source code|fira (code|mono)|dejavu sans mono|roboto mono)/i;
+    const RUN_TOGGLES = { b: 'bold', i: 'italic', u: 'underline', strike: 'strike', dstrike: 'strike' };
+    const ALIGNMENTS = { center: 'center', right: 'right', end: 'right', both: 'justify', distribute: 'justify' };
+    const TASK_BOX = /^([☐☑☒])\s?/;
+    // Elements that only wrap content, such as tracked insertions
+    const CONTAINERS = ['ins', 'moveTo', 'smartTag', 'customXml', 'sdt', 'sdtContent', 'fldSimple', 'dir', 'bdo'];
+
+    function blockTypeOf(chain) {
+        for (const style of chain) {
+            const heading = HEADING_STYLE.exec(style.name);
+            if (heading) return { type: 'heading', level: Number(heading[1]) };
+            if (style.name === 'title') return { type: 'heading', level: 1 };
+            if (style.name === 'subtitle') return { type: 'heading', level: 2 };
+            if (style.name.includes('quote')) return { type: 'blockquote' };
+            if (CODE_STYLE.test(style.name)) return { type: 'code-block' };
+            const outline = attribute(element(style.paragraph, 'outlineLvl'), 'val');
+            if (outline !== null && Number(outline) < 6) return { type: 'heading', level: Number(outline) + 1 };
+        }
+        return { type: 'paragraph' };
+    }
+
+    // List attrs from the paragraph's numbering, or its style's
+    function listOf(properties, chain, numbering) {
+        const numPr = element(properties, 'numPr') || chain.map(style => element(style.paragraph, 'numPr')).find(Boolean);
+        const numId = attribute(element(numPr, 'numId'), 'val');
+        if (!numId || numId === '0') return null;
+
+        const level = Number(attribute(element(numPr, 'ilvl'), 'val')) || 0;
+        const format = (numbering[numId] || {})[level];
+        if (format === 'none') return null;
+        return { list: format && format !== 'bullet' ? 'ordered' : 'bullet', indent: level || null };
+    }
+
+    function applyRunProperties(marks, properties) {
+        const result = { ...marks };
+        elements(properties).forEach(property => {
+            const mark = RUN_TOGGLES[property.name];
+            if (!mark) return;
+            if (isOn(property)) {
+                result[mark] = true;
+            } else if (property.name !== 'dstrike') {
+                result[mark] = null;
+            }
+        });
+        const font = attribute(element(properties, 'rFonts'), 'ascii');
+        if (font && MONOSPACE_FONT.test(font)) result.code = true;
+        return result;
+    }
+
+    // Marks from the run's character style, then its own properties. Link
+    // styles are left out, as links already look like links.
+    function runMarks(run, context, marks) {
+        const properties = element(run, 'rPr');
+        const chain = styleChain(context.styles, attribute(element(properties, 'rStyle'), 'val'))
+            .filter(style => !style.name.includes('hyperlink'));
+        const styled = chain.reverse().reduce((result, style) => applyRunProperties(result, style.run), marks);
+        return applyRunProperties(styled, properties);
+    }
+
+    // Adds the runs inside node to `lines`, starting a new line at each break
+    function readRuns(node, context, marks, lines) {
+        const add = (text, runMarks) => lines[lines.length - 1].push({ text, marks: runMarks });
+
+        elements(node).forEach(child => {
+            if (child.name === 'r') {
+                const marksHere = runMarks(child, context, marks);
+                elements(child).forEach(part => {
+                    if (part.name === 't') {
+                        add(part.children.filter(text => typeof text === 'string').join(''), marksHere);
+                    } else if (part.name === 'tab') {
+                        add('\t', marksHere);
+                    } else if (part.name === 'noBreakHyphen') {
+                        add('‑', marksHere);
+                    } else if (part.name === 'cr' || (part.name === 'br' && !['page', 'column'].includes(part.attrs.type))) {
+                        lines.push([]);
+                    }
+                });
+            } else if (child.name === 'hyperlink') {
+                const relationship = context.relationships[child.attrs.id];
+                const href = relationship ? relationship.target : (child.attrs.anchor ? `#${child.attrs.anchor}` : null);
+                readRuns(child, context, href ? { ...marks, link: href } : marks, lines);
+            } else if (CONTAINERS.includes(child.name)) {
+                readRuns(child, context, marks, lines);
+            }
+        });
+    }
+
+    function isEmpty(block) {
+        return block.content.length === 0;
+    }
+
+    // Word has no checkboxes in lists, so task items are marked by a box
+    // character at the start of their text, as fromModel writes them
+    function readTaskBox(block, properties) {
+        const first = block.content[0];
+        const box = first && TASK_BOX.exec(first.text);
+        if (!box || (block.type !== 'paragraph' && block.type !== 'list-item')) return block;
+
+        const indentation = element(properties, 'ind');
+        const left = Number(attribute(indentation, 'left') || attribute(indentation, 'start')) || 0;
+        const indent = block.type === 'list-item' ? block.attrs.indent : Math.round(left / INDENT_STEP) - 1;
+        const task = RichText.createBlock('list-item', {
+            ...block.attrs,
+            list: 'task',
+            indent: indent > 0 ? indent : null,
+            checked: box[1] !== '☐'
+        });
+        task.content = [{ ...first, text: first.text.slice(box[0].length) }, ...block.content.slice(1)]
+            .filter(run => run.text);
+        return task;
+    }
+
+    // One block per line of paragraphs, quotes and code; the lines of
+    // anything else are joined with spaces
+    function readParagraph(paragraph, context) {
+        const properties = element(paragraph, 'pPr');
+        const chain = styleChain(context.styles, attribute(element(properties, 'pStyle'), 'val'));
+        const { type, ...typeAttrs } = blockTypeOf(chain);
+        const list = type === 'paragraph' ? listOf(properties, chain, context.numbering) : null;
+        const attrs = {
+            ...typeAttrs,
+            ...list,
+            align: type === 'code-block' ? null : ALIGNMENTS[attribute(element(properties, 'jc'), 'val')] || null
+        };
+        const blockType = list ? 'list-item' : type;
+
+        const lines = [[]];
+        readRuns(paragraph, context, {}, lines);
+        const splitLines = ['paragraph', 'blockquote', 'code-block'].includes(blockType);
+        const blocks = [];
+        lines.forEach((runs, index) => {
+            if (index === 0 || splitLines) {
+                blocks.push(RichText.createBlock(blockType, attrs));
+            } else {
+                runs.unshift({ text: ' ', marks: {} });
+            }
+            const block = blocks[blocks.length - 1];
+            runs.forEach(run => RichText.appendText(block, run.text, blockType === 'code-block' ? {} : run.marks));
+        });
+
+        // An empty paragraph with a border is a rule
+        const borders = element(properties, 'pBdr');
+        if (blocks.length === 1 && isEmpty(blocks[0]) && (element(borders, 'bottom') || element(borders, 'top'))) {
+            return [RichText.createBlock('divider')];
+        }
+        return blocks.map(block => readTaskBox(block, properties));
+    }
+
+    // Each cell becomes one block, its paragraphs joined with spaces. The
+    // first row is the header, so its bold is dropped.
+    function readTable(table, context, blocks) {
+        elements(table, 'tr').forEach((row, rowIndex) => {
+            const header = rowIndex === 0;
+            elements(row, 'tc').forEach(cell => {
+                const content = [];
+                readBody(cell, context, content);
+                const block = RichText.createBlock('table-cell', {
+                    row: rowIndex,
+                    header,
+                    align: content.length ? content[0].attrs.align : null
+                });
+                content.filter(part => !isEmpty(part)).forEach((part, index) => {
+                    if (index > 0) RichText.appendText(block, ' ');
+                    part.content.forEach(run => {
+                        RichText.appendText(block, run.text, header ? { ...run.marks, bold: null } : run.marks);
+                    });
+                });
+                blocks.push(block);
+            });
+        });
+    }
+
+    function readBody(node, context, blocks) {
+        let afterTable = false;
+        elements(node).forEach(child => {
+            if (child.name === 'p') {
+                const paragraphBlocks = readParagraph(child, context);
+                // Word puts an empty paragraph after a table, which is not
+                // part of the text
+                if (!afterTable || paragraphBlocks.length !== 1 || !isEmpty(paragraphBlocks[0]) ||
+                        paragraphBlocks[0].type !== 'paragraph') {
+                    blocks.push(...paragraphBlocks);
+                }
+                afterTable = false;
+            } else if (child.name === 'tbl') {
+                readTable(child, context, blocks);
+                afterTable = true;
+            } else if (CONTAINERS.includes(child.name)) {
+                readBody(child, context, blocks);
+                afterTable = false;
+            }
+        });
+    }
+
+    async function readDocument(files) {
+        const packageRelationships = Object.values(await readRelationships(files, ''));
+        const main = packageRelationships.find(relationship => relationship.type === 'officeDocument');
+        const mainPart = main ? main.target : 'word/document.xml';
+
+        const documentXml = await readPart(files, mainPart);
+        const body = documentXml && documentXml.name === 'document' && element(documentXml, 'body');
+        if (!body) throw new DocxError();
+
+        const relationships = await readRelationships(files, mainPart);
+        const partOfType = type => {
+            const relationship = Object.values(relationships).find(r => r.type === type);
+            return relationship ? readPart(files, relationship.target) : null;
+        };
+        const context = {
+            relationships,
+            styles: readStyles(await partOfType('styles')),
+            numbering: readNumbering(await partOfType('numbering'))
+        };
+
+        const blocks = [];
+        readBody(body, context, blocks);
+        return blocks.length ? { blocks } : RichText.createDocument();
+    }
+
+    // `bytes` is the .docx file's contents; resolves to a rich-text document
+    async function toModel(bytes) {
+        try {
+            return await readDocument(Zip.read(bytes));
+        } catch (error) {
+            throw error instanceof Zip.ZipError ? new DocxError() : error;
+        }
+    }
+
+    const Docx = {
+        MIME_TYPE,
+        DocxError,
+        fromModel,
+        toModel
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Docx;
+    } else {
+        global.Docx = Docx;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
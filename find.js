@@ -0,0 +1,115 @@
+// Find and replace
+//
+// findMatches() finds every match of a query in a document's text, as
+// { start, end, text, groups, namedGroups }. Options:
+//   caseSensitive  match case (off by default)
+//   wholeWord      only match whole words
+//   regex          read the query as a JavaScript regular expression; ^ and $
+//                  match at the start and end of every line
+//   limit          stop after this many matches (MAX_MATCHES by default)
+// A regular expression that does not compile throws a Find.FindError.
+//
+// expandReplacement() fills in the replacement for one match. With regex
+// on, it understands $&, $1, $<name>, $` and $' the way String.replace
+// does, and \n and \t for a new line and a tab.
+//
+// Shared by the browser (window.Find) and Node (require('./find')).
+(function (global) {
+    'use strict';
+
+    // Beyond this many, matches are not worth showing one by one
+    const MAX_MATCHES = 10000;
+    const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+    class FindError extends Error {
+        constructor(message = 'Invalid regular expression') {
+            super(message);
+            this.name = 'FindError';
+        }
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    }
+
+    function createPattern(query, { caseSensitive = false, wholeWord = false, regex = false } = {}) {
+        let source = regex ? query : escapeRegExp(query);
+        if (wholeWord) {
+            source = `(?<!${WORD_CHARACTER})(?:${source})(?!${WORD_CHARACTER})`;
+        }
+        try {
+            return new RegExp(source, caseSensitive ? 'gmu' : 'gimu');
+        } catch (error) {
+            // V8 and others end the message with the reason
+            const reason = /: ([^:]+)$/.exec(error.message);
+            throw new FindError(reason ? `Invalid regular expression: ${reason[1]}` : undefined);
+        }
+    }
+
+    function findMatches(text, query, options = {}) {
+        if (!query) return [];
+        const pattern = createPattern(query, options);
+        const { limit = MAX_MATCHES } = options;
+
+        const matches = [];
+        let match;
+        while (matches.length < limit && (match = pattern.exec(text)) !== null) {
+            if (match[0] === '') {
+                // Nothing to show or replace; step past it so the search moves on
+                pattern.lastIndex += text.codePointAt(match.index) > 0xffff ? 2 : 1;
+                continue;
+            }
+            matches.push({
+                start: match.index,
+                end: match.index + match[0].length,
+                text: match[0],
+                groups: match.slice(1),
+                namedGroups: match.groups || null
+            });
+        }
+        return matches;
+    }
+
+    const REPLACEMENT_TOKEN = /\$(\$|&|`|'|\d{1,2}|<([^>]*)>)|\\([nt\\])/g;
+    const ESCAPES = { n: '\n', t: '\t', '\\': '\\' };
+
+    // `text` is the text the match was found in
+    function expandReplacement(template, match, text, { regex = false } = {}) {
+        if (!regex) return template;
+
+        return template.replace(REPLACEMENT_TOKEN, (token, dollar, name, escape) => {
+            if (escape) return ESCAPES[escape];
+            if (dollar === '$') return '$';
+            if (dollar === '&') return match.text;
+            if (dollar === '`') return text.slice(0, match.start);
+            if (dollar === "'") return text.slice(match.end);
+            if (name !== undefined) {
+                if (!match.namedGroups) return token;
+                const value = match.namedGroups[name];
+                return value === undefined ? '' : value;
+            }
+
+            // $12 is group 12 when there is one, and otherwise group 1 then "2"
+            const number = Number(dollar);
+            if (dollar.length === 2 && number >= 1 && number <= match.groups.length) {
+                return match.groups[number - 1] || '';
+            }
+            const first = Number(dollar[0]);
+            if (first < 1 || first > match.groups.length) return token;
+            return (match.groups[first - 1] || '') + dollar.slice(1);
+        });
+    }
+
+    const Find = {
+        FindError,
+        MAX_MATCHES,
+        findMatches,
+        expandReplacement
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Find;
+    } else {
+        global.Find = Find;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,176 @@
+// Folders and tags
+//
+// A document's folder is the list of folder names leading to it from the
+// top, kept on the document as `folder`; documents without one are at the
+// top. Its tags are free-form labels in `tags`, matched without regard to
+// case. Folders are made up of the documents in them, so the app keeps the
+// paths of empty ones itself and passes them to buildTree().
+//
+// Shared by the browser (window.Folders) and Node (require('./folders')).
+(function (global) {
+    'use strict';
+
+    const MAX_NAME_LENGTH = 100;
+    const MAX_TAG_LENGTH = 50;
+
+    class FolderError extends Error {
+        constructor(message = 'Invalid folder name') {
+            super(message);
+            this.name = 'FolderError';
+        }
+    }
+
+    function collapseSpaces(text) {
+        return String(text).replace(/\s+/g, ' ').trim();
+    }
+
+    // Throws a FolderError for names that cannot be used
+    function cleanName(name) {
+        const cleaned = collapseSpaces(name);
+        if (!cleaned) throw new FolderError('Folder names cannot be empty');
+        if (cleaned.length > MAX_NAME_LENGTH) {
+            throw new FolderError(`Folder names can be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        return cleaned;
+    }
+
+    function getPath(doc) {
+        return Array.isArray(doc.folder) ? doc.folder : [];
+    }
+
+    // A string that identifies a path, for maps and data attributes
+    function pathKey(path) {
+        return JSON.stringify(path);
+    }
+
+    function parsePathKey(key) {
+        const path = JSON.parse(key);
+        return Array.isArray(path) && path.every(name => typeof name === 'string') ? path : [];
+    }
+
+    function isSamePath(a, b) {
+        return a.length === b.length && a.every((name, i) => name === b[i]);
+    }
+
+    // True for `ancestor` itself as well as everything inside it
+    function isWithin(path, ancestor) {
+        return ancestor.length <= path.length && ancestor.every((name, i) => name === path[i]);
+    }
+
+    // Moves a path along with its folder when that is moved or renamed from
+    // `from` to `to`
+    function rebase(path, from, to) {
+        return isWithin(path, from) ? to.concat(path.slice(from.length)) : path;
+    }
+
+    function compareNames(a, b) {
+        return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    // The folders as a tree of { name, path, children, count, total }, from
+    // a root for the top level. `count` is the documents directly in a
+    // folder and `total` those anywhere inside it.
+    function buildTree(documents, extraPaths = []) {
+        const root = { name: null, path: [], children: [], count: 0, total: 0 };
+        const nodes = new Map([[pathKey([]), root]]);
+
+        function nodeFor(path) {
+            const key = pathKey(path);
+            if (!nodes.has(key)) {
+                const parent = nodeFor(path.slice(0, -1));
+                const node = { name: path[path.length - 1], path, children: [], count: 0, total: 0 };
+                parent.children.push(node);
+                nodes.set(key, node);
+            }
+            return nodes.get(key);
+        }
+
+        extraPaths.forEach(nodeFor);
+        documents.forEach(doc => {
+            const path = getPath(doc);
+            nodeFor(path).count++;
+            for (let i = 0; i <= path.length; i++) {
+                nodes.get(pathKey(path.slice(0, i))).total++;
+            }
+        });
+
+        nodes.forEach(node => node.children.sort((a, b) => compareNames(a.name, b.name)));
+        return root;
+    }
+
+    // Returns '' for tags that are only spaces or a leading #
+    function cleanTag(tag) {
+        return collapseSpaces(tag).replace(/^#+\s*/, '').slice(0, MAX_TAG_LENGTH);
+    }
+
+    // Tags separated by commas, as typed
+    function parseTags(text) {
+        return text.split(',').map(cleanTag).filter(Boolean);
+    }
+
+    function getTags(doc) {
+        return Array.isArray(doc.tags) ? doc.tags : [];
+    }
+
+    function hasTag(doc, tag) {
+        const wanted = tag.toLowerCase();
+        return getTags(doc).some(existing => existing.toLowerCase() === wanted);
+    }
+
+    // `tags` with `added` after them, leaving out any it already has
+    function addTags(tags, added) {
+        const result = tags.slice();
+        const seen = new Set(tags.map(tag => tag.toLowerCase()));
+        added.map(cleanTag).forEach(tag => {
+            if (tag && !seen.has(tag.toLowerCase())) {
+                seen.add(tag.toLowerCase());
+                result.push(tag);
+            }
+        });
+        return result;
+    }
+
+    function removeTag(tags, tag) {
+        return tags.filter(existing => existing.toLowerCase() !== tag.toLowerCase());
+    }
+
+    // Every tag in use, as [{ tag, count }] in name order. A tag written
+    // differently on different documents is listed as it was first seen.
+    function collectTags(documents) {
+        const tags = new Map();
+        documents.forEach(doc => {
+            getTags(doc).forEach(tag => {
+                const key = tag.toLowerCase();
+                if (!tags.has(key)) tags.set(key, { tag, count: 0 });
+                tags.get(key).count++;
+            });
+        });
+        return Array.from(tags.values()).sort((a, b) => compareNames(a.tag, b.tag));
+    }
+
+    const Folders = {
+        FolderError,
+        MAX_NAME_LENGTH,
+        cleanName,
+        getPath,
+        pathKey,
+        parsePathKey,
+        isSamePath,
+        isWithin,
+        rebase,
+        buildTree,
+        cleanTag,
+        parseTags,
+        getTags,
+        hasTag,
+        addTags,
+        removeTag,
+        collectTags
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Folders;
+    } else {
+        global.Folders = Folders;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
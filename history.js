@@ -0,0 +1,39 @@
+// Version history
+//
+// A document's `history` holds snapshots of its past contents, oldest first,
+// each with an `id`, the `startedAt` time it was first recorded and the
+// `timestamp` of its latest update. Copies of a document edited in other
+// tabs or browsers each know of their own snapshots; merge() combines them
+// so none are lost, keeping at most LIMIT.
+//
+// Shared by the browser (window.VersionHistory) and Node (require('./history')).
+(function (global) {
+    'use strict';
+
+    const LIMIT = 100;
+
+    // Where both copies have a snapshot, the more recently updated one wins
+    function merge(a = [], b = []) {
+        const entries = new Map();
+        [...a, ...b].forEach(entry => {
+            const known = entries.get(entry.id);
+            if (!known || entry.timestamp > known.timestamp) {
+                entries.set(entry.id, entry);
+            }
+        });
+        return [...entries.values()]
+            .sort((x, y) => x.startedAt - y.startedAt)
+            .slice(-LIMIT);
+    }
+
+    const VersionHistory = {
+        LIMIT,
+        merge
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VersionHistory;
+    } else {
+        global.VersionHistory = VersionHistory;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
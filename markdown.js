@@ -0,0 +1,903 @@
+// Markdown parser and HTML renderer
+//
+// Follows CommonMark for block and inline structure, plus the GitHub
+// extensions for tables, task list items and ~~strikethrough~~. Raw HTML is
+// not passed through: it shows as the text it was written as, so a document
+// can never inject markup into the page. The one exception is <u>...</u>,
+// which Markdown has no syntax of its own for and which becomes underline.
+//
+// parse() returns a tree of plain objects:
+//   { type: 'paragraph' | 'heading', level, children }   children are inline nodes
+//   { type: 'code', info, text }
+//   { type: 'thematic-break' }
+//   { type: 'blockquote', children }
+//   { type: 'list', ordered, start, tight, items: [{ checked, children }] }
+//   { type: 'table', align, header: [cell], rows: [[cell]] }   a cell is an inline node list
+// Inline nodes:
+//   { type: 'text', text }, { type: 'softbreak' }, { type: 'hardbreak' },
+//   { type: 'code', text },
+//   { type: 'emphasis' | 'strong' | 'strikethrough' | 'underline', children },
+//   { type: 'link', href, title, children }, { type: 'image', src, title, alt }
+//
+// safeUrl() vets link and image targets for rendering; richtext.js uses it
+// too, so there is one rule for both.
+//
+// Shared by the browser (window.Markdown) and Node (require('./markdown')).
+(function (global) {
+    'use strict';
+
+    const BLANK = /^[ \t]*$/;
+    const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+    const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+    const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+    const BLOCKQUOTE = /^ {0,3}>/;
+    const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+    const LIST_MARKER = /^( {0,3})([*+-]|(\d{1,9})([.)]))(?= |$)/;
+    const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+    const TASK_MARKER = /^\[([ xX])\][ \t]+/;
+    const REFERENCE_DEFINITION = /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*(<[^<>\n]*>|\S+)(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/;
+
+    const ASCII_PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+    const PUNCTUATION = /[\p{P}\p{S}]/u;
+    const WHITESPACE = /\s/;
+    const AUTOLINK = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*)>/;
+    const EMAIL_AUTOLINK = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+    const UNDERLINE_TAG = /^<(\/?)u>/i;
+    const ENTITY = /^&(?:#[xX]([0-9a-fA-F]{1,6})|#(\d{1,7})|([a-zA-Z][a-zA-Z0-9]{1,31}));/;
+
+    // The named character references documents are likely to use
+    const NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+        copy: '©', reg: '®', trade: '™', hellip: '…',
+        mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+        ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+        bull: '•', middot: '·', times: '×', divide: '÷',
+        deg: '°', plusmn: '±', para: '¶', sect: '§',
+        euro: '€', pound: '£', yen: '¥', cent: '¢',
+        larr: '←', rarr: '→', uarr: '↑', darr: '↓'
+    };
+
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function expandTabs(line) {
+        let result = '';
+        for (const ch of line) {
+            result += ch === '\t' ? ' '.repeat(4 - (result.length % 4)) : ch;
+        }
+        return result;
+    }
+
+    function indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    function stripIndent(line, count) {
+        return line.slice(Math.min(count, indentOf(line)));
+    }
+
+    function decodeEntity(match) {
+        if (match[3]) {
+            return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, match[3]) ? NAMED_ENTITIES[match[3]] : null;
+        }
+        const code = match[1] ? parseInt(match[1], 16) : parseInt(match[2], 10);
+        return code === 0 || code > 0x10ffff ? '�' : String.fromCodePoint(code);
+    }
+
+    function decodeEntities(text) {
+        return text.replace(/&(?:#[xX][0-9a-fA-F]{1,6}|#\d{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/g, (whole) => {
+            const decoded = decodeEntity(whole.match(ENTITY));
+            return decoded === null ? whole : decoded;
+        });
+    }
+
+    // Links and images may only use these schemes, or none for relative URLs
+    const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+    // Browsers ignore control characters and white space inside a scheme, and
+    // entities can spell one out, so both are undone before it is checked.
+    // Anything else that could be read as a scheme becomes '#'.
+    function safeUrl(url) {
+        const cleaned = decodeEntities(String(url)).replace(/[\u0000-\u0020\u007f]/g, '');
+        const colon = cleaned.indexOf(':');
+        if (colon === -1 || /[/?#]/.test(cleaned.slice(0, colon))) return url;
+        return SAFE_URL_SCHEMES.includes(cleaned.slice(0, colon).toLowerCase()) ? url : '#';
+    }
+
+    // Resolves backslash escapes and entities in link targets and titles
+    function unescapeString(text) {
+        return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])|&(?:#[xX][0-9a-fA-F]{1,6}|#\d{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/g,
+            (whole, escaped) => {
+                if (escaped) return escaped;
+                const decoded = decodeEntity(whole.match(ENTITY));
+                return decoded === null ? whole : decoded;
+            });
+    }
+
+    function normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Blocks
+
+    function matchFence(line) {
+        const match = line.match(FENCE);
+        if (!match) return null;
+        const marker = match[2];
+        if (marker[0] === '`' && match[3].includes('`')) return null;
+        return { indent: match[1].length, char: marker[0], length: marker.length, info: match[3].trim() };
+    }
+
+    function isClosingFence(line, fence) {
+        const match = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        return Boolean(match) && match[1][0] === fence.char && match[1].length >= fence.length;
+    }
+
+    function matchListItem(line) {
+        const match = line.match(LIST_MARKER);
+        if (!match) return null;
+
+        const markerEnd = match[0].length;
+        const rest = line.slice(markerEnd);
+        const spaces = indentOf(rest);
+        const empty = BLANK.test(rest);
+        // Content indented five or more past the marker is an indented code block
+        const padding = empty || spaces > 4 ? 1 : spaces;
+        return {
+            ordered: Boolean(match[3]),
+            start: match[3] ? parseInt(match[3], 10) : null,
+            kind: match[4] || match[2],
+            contentIndent: markerEnd + padding,
+            firstLine: empty ? '' : rest.slice(padding),
+            empty
+        };
+    }
+
+    function interruptsParagraph(line) {
+        if (ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line) || matchFence(line)) {
+            return true;
+        }
+        const item = matchListItem(line);
+        return Boolean(item) && !item.empty && (!item.ordered || item.start === 1);
+    }
+
+    function takeReferenceDefinition(line, refs) {
+        const match = line.match(REFERENCE_DEFINITION);
+        if (!match) return false;
+
+        const label = normalizeLabel(match[1]);
+        if (!label) return false;
+        if (!refs[label]) {
+            const href = match[2].startsWith('<') ? match[2].slice(1, -1) : match[2];
+            refs[label] = {
+                href: unescapeString(href),
+                title: match[3] ? unescapeString(match[3].slice(1, -1)) : null
+            };
+        }
+        return true;
+    }
+
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += row[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    // A table is a header row, a delimiter row with as many cells, then rows
+    // up to the first blank line or other block
+    function parseTable(lines, start) {
+        const delimiter = lines[start + 1];
+        if (delimiter === undefined || !TABLE_DELIMITER.test(delimiter)) return null;
+        if (!lines[start].includes('|') && !delimiter.includes('|')) return null;
+
+        const header = splitTableRow(lines[start]);
+        const align = splitTableRow(delimiter).map(cell => {
+            if (cell.startsWith(':')) return cell.endsWith(':') ? 'center' : 'left';
+            return cell.endsWith(':') ? 'right' : null;
+        });
+        if (header.length !== align.length) return null;
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && !BLANK.test(lines[i]) && !interruptsParagraph(lines[i])) {
+            const cells = splitTableRow(lines[i]).slice(0, header.length);
+            while (cells.length < header.length) cells.push('');
+            rows.push(cells);
+            i++;
+        }
+        return { table: { type: 'table', align, header, rows }, end: i };
+    }
+
+    function collectListItem(lines, start, item) {
+        const itemLines = [item.firstLine];
+        let i = start + 1;
+        while (i < lines.length) {
+            const line = lines[i];
+            const previous = itemLines[itemLines.length - 1];
+            if (BLANK.test(line)) {
+                // An item can start with at most one blank line
+                if (itemLines.length === 1 && item.empty) break;
+                itemLines.push('');
+            } else if (indentOf(line) >= item.contentIndent) {
+                itemLines.push(line.slice(item.contentIndent));
+            } else if (previous && !matchListItem(line) && !interruptsParagraph(line)) {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(line);
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        let endsBlank = false;
+        while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+            itemLines.pop();
+            endsBlank = true;
+        }
+        const hasInnerBlank = itemLines.slice(1).includes('');
+        return { lines: itemLines, end: i, endsBlank, hasInnerBlank };
+    }
+
+    function parseList(lines, start, refs) {
+        const first = matchListItem(lines[start]);
+        const list = { type: 'list', ordered: first.ordered, start: first.start, tight: true, items: [] };
+        let i = start;
+        let previousEndsBlank = false;
+
+        while (i < lines.length && !THEMATIC_BREAK.test(lines[i])) {
+            const item = matchListItem(lines[i]);
+            if (!item || item.ordered !== first.ordered || item.kind !== first.kind) break;
+
+            const collected = collectListItem(lines, i, item);
+            const children = parseBlocks(collected.lines, refs);
+            if (previousEndsBlank || (collected.hasInnerBlank && children.length > 1)) {
+                list.tight = false;
+            }
+
+            let checked = null;
+            const paragraph = children[0];
+            const task = paragraph && paragraph.type === 'paragraph' && paragraph.text.match(TASK_MARKER);
+            if (task) {
+                checked = task[1] !== ' ';
+                paragraph.text = paragraph.text.slice(task[0].length);
+            }
+
+            list.items.push({ checked, children });
+            previousEndsBlank = collected.endsBlank;
+            i = collected.end;
+        }
+        return { list, end: i };
+    }
+
+    function parseBlocks(lines, refs) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (BLANK.test(line)) {
+                i++;
+                continue;
+            }
+
+            if (indentOf(line) >= 4) {
+                const code = [];
+                while (i < lines.length && (BLANK.test(lines[i]) || indentOf(lines[i]) >= 4)) {
+                    code.push(stripIndent(lines[i], 4));
+                    i++;
+                }
+                while (BLANK.test(code[code.length - 1])) code.pop();
+                blocks.push({ type: 'code', info: '', text: code.join('\n') + '\n' });
+                continue;
+            }
+
+            const fence = matchFence(line);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !isClosingFence(lines[i], fence)) {
+                    code.push(stripIndent(lines[i], fence.indent));
+                    i++;
+                }
+                i++;
+                blocks.push({
+                    type: 'code',
+                    info: unescapeString(fence.info),
+                    text: code.length ? code.join('\n') + '\n' : ''
+                });
+                continue;
+            }
+
+            const heading = line.match(ATX_HEADING);
+            if (heading) {
+                blocks.push({
+                    type: 'heading',
+                    level: heading[1].length,
+                    text: heading[2].trim().replace(/(?:^|[ \t]+)#+$/, '').trim()
+                });
+                i++;
+                continue;
+            }
+
+            if (THEMATIC_BREAK.test(line)) {
+                blocks.push({ type: 'thematic-break' });
+                i++;
+                continue;
+            }
+
+            if (BLOCKQUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length) {
+                    const current = lines[i];
+                    if (BLOCKQUOTE.test(current)) {
+                        quoted.push(current.replace(/^ {0,3}> ?/, ''));
+                    } else if (!BLANK.test(current) && !BLANK.test(quoted[quoted.length - 1]) && !interruptsParagraph(current)) {
+                        quoted.push(current);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                blocks.push({ type: 'blockquote', children: parseBlocks(quoted, refs) });
+                continue;
+            }
+
+            if (matchListItem(line)) {
+                const { list, end } = parseList(lines, i, refs);
+                blocks.push(list);
+                i = end;
+                continue;
+            }
+
+            const table = parseTable(lines, i);
+            if (table) {
+                blocks.push(table.table);
+                i = table.end;
+                continue;
+            }
+
+            const paragraph = [line];
+            let level = 0;
+            i++;
+            while (i < lines.length && !BLANK.test(lines[i])) {
+                const underline = lines[i].match(SETEXT_UNDERLINE);
+                if (underline) {
+                    level = underline[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (interruptsParagraph(lines[i])) break;
+                paragraph.push(lines[i]);
+                i++;
+            }
+
+            while (paragraph.length && takeReferenceDefinition(paragraph[0], refs)) {
+                paragraph.shift();
+            }
+            if (!paragraph.length) continue;
+
+            const text = paragraph.map(l => l.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, '');
+            blocks.push(level ? { type: 'heading', level, text } : { type: 'paragraph', text });
+        }
+        return blocks;
+    }
+
+    // Inlines
+
+    function isFlanking(before, after) {
+        const left = !WHITESPACE.test(after) &&
+            (!PUNCTUATION.test(after) || WHITESPACE.test(before) || PUNCTUATION.test(before));
+        const right = !WHITESPACE.test(before) &&
+            (!PUNCTUATION.test(before) || WHITESPACE.test(after) || PUNCTUATION.test(after));
+        return { left, right };
+    }
+
+    function findClosingBackticks(text, from, length) {
+        const pattern = /`+/g;
+        pattern.lastIndex = from;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0].length === length) return match.index;
+        }
+        return -1;
+    }
+
+    function skipSpace(text, pos) {
+        let newlines = 0;
+        while (pos < text.length && /[ \t\n]/.test(text[pos])) {
+            if (text[pos] === '\n' && ++newlines > 1) break;
+            pos++;
+        }
+        return pos;
+    }
+
+    // Reads what follows a closing bracket: an inline (destination "title"),
+    // or a full, collapsed or shortcut reference. Returns null for none.
+    function parseLinkTarget(text, pos, label, refs) {
+        if (text[pos] === '(') {
+            const target = parseInlineTarget(text, pos + 1);
+            if (target) return target;
+        }
+
+        let end = pos;
+        let reference = label;
+        const full = text.slice(pos).match(/^\[((?:[^\\[\]]|\\.){0,999})\]/);
+        if (full) {
+            if (full[1].trim()) reference = full[1];
+            end = pos + full[0].length;
+        }
+        const definition = refs[normalizeLabel(reference)];
+        return definition ? { href: definition.href, title: definition.title, end } : null;
+    }
+
+    function parseInlineTarget(text, pos) {
+        let i = skipSpace(text, pos);
+        let href;
+        if (text[i] === '<') {
+            const close = text.slice(i + 1).search(/[<>\n]/);
+            if (close === -1 || text[i + 1 + close] !== '>') return null;
+            href = text.slice(i + 1, i + 1 + close);
+            i += close + 2;
+        } else {
+            const start = i;
+            let depth = 0;
+            while (i < text.length) {
+                const ch = text[i];
+                if (ch === '\\' && ASCII_PUNCTUATION.test(text[i + 1] || '')) {
+                    i += 2;
+                    continue;
+                }
+                if (WHITESPACE.test(ch) || ch.charCodeAt(0) < 0x20) break;
+                if (ch === '(') depth++;
+                if (ch === ')' && depth-- === 0) break;
+                i++;
+            }
+            if (depth > 0) return null;
+            href = text.slice(start, i);
+        }
+
+        const beforeTitle = i;
+        i = skipSpace(text, i);
+        let title = null;
+        const open = text[i];
+        if (i > beforeTitle && (open === '"' || open === '\'' || open === '(')) {
+            const close = open === '(' ? ')' : open;
+            let j = i + 1;
+            while (j < text.length && text[j] !== close) {
+                if (text[j] === '\\') j++;
+                j++;
+            }
+            if (j >= text.length) return null;
+            title = text.slice(i + 1, j);
+            i = skipSpace(text, j + 1);
+        }
+
+        if (text[i] !== ')') return null;
+        return { href: unescapeString(href), title: title === null ? null : unescapeString(title), end: i + 1 };
+    }
+
+    // Matches emphasis openers and closers on the delimiter stack above
+    // `bottom`, wrapping the nodes between them. Unmatched runs stay as text.
+    function processEmphasis(nodes, delimiters, bottom) {
+        let c = bottom;
+        while (c < delimiters.length) {
+            const closer = delimiters[c];
+            if (closer.bracket || !closer.canClose) {
+                c++;
+                continue;
+            }
+
+            let o = c - 1;
+            for (; o >= bottom; o--) {
+                const candidate = delimiters[o];
+                if (candidate.bracket || candidate.char !== closer.char || !candidate.canOpen) continue;
+                if (closer.char === '~') {
+                    if (candidate.length === closer.length) break;
+                    continue;
+                }
+                // The "rule of three" keeps *foo**bar* from pairing up wrongly
+                const total = candidate.originalLength + closer.originalLength;
+                const bothMultiplesOfThree = candidate.originalLength % 3 === 0 && closer.originalLength % 3 === 0;
+                if ((candidate.canClose || closer.canOpen) && total % 3 === 0 && !bothMultiplesOfThree) continue;
+                break;
+            }
+
+            if (o < bottom) {
+                if (closer.canOpen) {
+                    c++;
+                } else {
+                    delimiters.splice(c, 1);
+                }
+                continue;
+            }
+
+            const opener = delimiters[o];
+            const used = closer.char === '~' ? closer.length : Math.min(2, opener.length, closer.length);
+            const type = closer.char === '~' ? 'strikethrough' : (used === 2 ? 'strong' : 'emphasis');
+            opener.length -= used;
+            closer.length -= used;
+            opener.node.text = opener.node.text.slice(used);
+            closer.node.text = closer.node.text.slice(used);
+
+            const start = nodes.indexOf(opener.node) + 1;
+            const children = nodes.splice(start, nodes.indexOf(closer.node) - start);
+            nodes.splice(start, 0, { type, children });
+
+            delimiters.splice(o + 1, c - o - 1);
+            c = o + 1;
+            if (opener.length === 0) {
+                nodes.splice(nodes.indexOf(opener.node), 1);
+                delimiters.splice(o, 1);
+                c--;
+            }
+            if (closer.length === 0) {
+                nodes.splice(nodes.indexOf(closer.node), 1);
+                delimiters.splice(c, 1);
+            }
+        }
+        delimiters.splice(bottom);
+    }
+
+    function mergeText(nodes) {
+        const merged = [];
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                if (!node.text) return;
+                const last = merged[merged.length - 1];
+                if (last && last.type === 'text') {
+                    last.text += node.text;
+                    return;
+                }
+                merged.push({ type: 'text', text: node.text });
+            } else if (node.children) {
+                merged.push({ ...node, children: mergeText(node.children) });
+            } else {
+                merged.push(node);
+            }
+        });
+        return merged;
+    }
+
+    function plainText(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'text' || node.type === 'code') return node.text;
+            if (node.type === 'image') return node.alt;
+            if (node.children) return plainText(node.children);
+            return node.type === 'softbreak' || node.type === 'hardbreak' ? '\n' : '';
+        }).join('');
+    }
+
+    function parseInline(text, refs) {
+        const nodes = [];
+        // Emphasis runs and link brackets, in the order they appear
+        const delimiters = [];
+        let buffer = '';
+        let pos = 0;
+
+        const flush = () => {
+            if (buffer) nodes.push({ type: 'text', text: buffer });
+            buffer = '';
+        };
+
+        while (pos < text.length) {
+            const ch = text[pos];
+
+            if (ch === '\\') {
+                const next = text[pos + 1];
+                if (next === '\n') {
+                    flush();
+                    nodes.push({ type: 'hardbreak' });
+                    pos += 2;
+                    while (text[pos] === ' ') pos++;
+                } else if (next !== undefined && ASCII_PUNCTUATION.test(next)) {
+                    buffer += next;
+                    pos += 2;
+                } else {
+                    buffer += ch;
+                    pos++;
+                }
+                continue;
+            }
+
+            if (ch === '`') {
+                let end = pos;
+                while (text[end] === '`') end++;
+                const close = findClosingBackticks(text, end, end - pos);
+                if (close === -1) {
+                    buffer += text.slice(pos, end);
+                    pos = end;
+                    continue;
+                }
+                let code = text.slice(end, close).replace(/\n/g, ' ');
+                if (/^ [^]* $/.test(code) && /[^ ]/.test(code)) {
+                    code = code.slice(1, -1);
+                }
+                flush();
+                nodes.push({ type: 'code', text: code });
+                pos = close + (end - pos);
+                continue;
+            }
+
+            if (ch === '*' || ch === '_' || ch === '~') {
+                let end = pos;
+                while (text[end] === ch) end++;
+                const run = text.slice(pos, end);
+                if (ch === '~' && run.length > 2) {
+                    buffer += run;
+                    pos = end;
+                    continue;
+                }
+
+                const before = pos === 0 ? ' ' : text[pos - 1];
+                const after = end >= text.length ? ' ' : text[end];
+                const { left, right } = isFlanking(before, after);
+                const canOpen = ch === '_' ? left && (!right || PUNCTUATION.test(before)) : left;
+                const canClose = ch === '_' ? right && (!left || PUNCTUATION.test(after)) : right;
+
+                flush();
+                const node = { type: 'text', text: run };
+                nodes.push(node);
+                delimiters.push({ node, char: ch, length: run.length, originalLength: run.length, canOpen, canClose });
+                pos = end;
+                continue;
+            }
+
+            if (ch === '[' || (ch === '!' && text[pos + 1] === '[')) {
+                flush();
+                const image = ch === '!';
+                const node = { type: 'text', text: image ? '![' : '[' };
+                nodes.push(node);
+                delimiters.push({ node, bracket: true, image, active: true, start: pos + node.text.length });
+                pos += node.text.length;
+                continue;
+            }
+
+            if (ch === ']') {
+                let index = delimiters.length - 1;
+                while (index >= 0 && !delimiters[index].bracket) index--;
+                const opener = index >= 0 ? delimiters[index] : null;
+                const target = opener && opener.active
+                    ? parseLinkTarget(text, pos + 1, text.slice(opener.start, pos), refs)
+                    : null;
+                if (!target) {
+                    if (opener) delimiters.splice(index, 1);
+                    buffer += ch;
+                    pos++;
+                    continue;
+                }
+
+                flush();
+                processEmphasis(nodes, delimiters, index + 1);
+                const children = nodes.splice(nodes.indexOf(opener.node) + 1);
+                nodes.pop();
+                if (opener.image) {
+                    nodes.push({ type: 'image', src: target.href, title: target.title, alt: plainText(children) });
+                } else {
+                    nodes.push({ type: 'link', href: target.href, title: target.title, children });
+                    // Links cannot contain other links
+                    delimiters.forEach(delimiter => {
+                        if (delimiter.bracket && !delimiter.image) delimiter.active = false;
+                    });
+                }
+                delimiters.splice(index);
+                pos = target.end;
+                continue;
+            }
+
+            if (ch === '<') {
+                const rest = text.slice(pos);
+                const tag = rest.match(UNDERLINE_TAG);
+                if (tag && !tag[1]) {
+                    flush();
+                    const node = { type: 'text', text: tag[0] };
+                    nodes.push(node);
+                    delimiters.push({ node, underline: true });
+                    pos += tag[0].length;
+                    continue;
+                }
+                // A closing tag without an opening one stays text
+                let index = delimiters.length - 1;
+                while (tag && index >= 0 && !delimiters[index].underline) index--;
+                if (tag && index >= 0) {
+                    flush();
+                    processEmphasis(nodes, delimiters, index + 1);
+                    const opener = delimiters[index];
+                    const children = nodes.splice(nodes.indexOf(opener.node) + 1);
+                    nodes.pop();
+                    nodes.push({ type: 'underline', children });
+                    delimiters.splice(index);
+                    pos += tag[0].length;
+                    continue;
+                }
+
+                const url = rest.match(AUTOLINK);
+                const email = !url && rest.match(EMAIL_AUTOLINK);
+                if (url || email) {
+                    flush();
+                    const address = (url || email)[1];
+                    nodes.push({
+                        type: 'link',
+                        href: email ? 'mailto:' + address : address,
+                        title: null,
+                        children: [{ type: 'text', text: address }]
+                    });
+                    pos += (url || email)[0].length;
+                    continue;
+                }
+            }
+
+            if (ch === '&') {
+                const entity = text.slice(pos).match(ENTITY);
+                const decoded = entity && decodeEntity(entity);
+                if (decoded !== null && entity) {
+                    buffer += decoded;
+                    pos += entity[0].length;
+                    continue;
+                }
+            }
+
+            if (ch === '\n') {
+                const hard = / {2,}$/.test(buffer);
+                buffer = buffer.replace(/ +$/, '');
+                flush();
+                nodes.push({ type: hard ? 'hardbreak' : 'softbreak' });
+                pos++;
+                while (text[pos] === ' ') pos++;
+                continue;
+            }
+
+            buffer += ch;
+            pos++;
+        }
+
+        flush();
+        processEmphasis(nodes, delimiters, 0);
+        return mergeText(nodes);
+    }
+
+    function parseInlines(blocks, refs) {
+        blocks.forEach(block => {
+            if (block.type === 'paragraph' || block.type === 'heading') {
+                block.children = parseInline(block.text, refs);
+                delete block.text;
+            } else if (block.type === 'blockquote') {
+                parseInlines(block.children, refs);
+            } else if (block.type === 'list') {
+                block.items.forEach(item => parseInlines(item.children, refs));
+            } else if (block.type === 'table') {
+                block.header = block.header.map(cell => parseInline(cell, refs));
+                block.rows = block.rows.map(row => row.map(cell => parseInline(cell, refs)));
+            }
+        });
+    }
+
+    function parse(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n').map(expandTabs);
+        const refs = {};
+        const blocks = parseBlocks(lines, refs);
+        parseInlines(blocks, refs);
+        return blocks;
+    }
+
+    // Rendering
+
+    function renderInline(nodes) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return escapeHtml(node.text);
+                case 'softbreak':
+                    return '\n';
+                case 'hardbreak':
+                    return '<br>\n';
+                case 'code':
+                    return `<code>${escapeHtml(node.text)}</code>`;
+                case 'emphasis':
+                    return `<em>${renderInline(node.children)}</em>`;
+                case 'strong':
+                    return `<strong>${renderInline(node.children)}</strong>`;
+                case 'strikethrough':
+                    return `<del>${renderInline(node.children)}</del>`;
+                case 'underline':
+                    return `<u>${renderInline(node.children)}</u>`;
+                case 'link': {
+                    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                    return `<a href="${escapeHtml(safeUrl(node.href))}"${title}>${renderInline(node.children)}</a>`;
+                }
+                case 'image': {
+                    const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                    return `<img src="${escapeHtml(safeUrl(node.src))}" alt="${escapeHtml(node.alt)}"${title}>`;
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    function renderTableRow(cells, align, tag) {
+        return '<tr>' + cells.map((cell, index) => {
+            const style = align[index] ? ` style="text-align: ${align[index]}"` : '';
+            return `<${tag}${style}>${renderInline(cell)}</${tag}>`;
+        }).join('') + '</tr>';
+    }
+
+    function render(blocks, tight = false) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'paragraph':
+                    return tight ? renderInline(block.children) : `<p>${renderInline(block.children)}</p>`;
+                case 'heading':
+                    return `<h${block.level}>${renderInline(block.children)}</h${block.level}>`;
+                case 'code': {
+                    const language = block.info.split(/\s/)[0];
+                    const attribute = language ? ` class="language-${escapeHtml(language)}"` : '';
+                    return `<pre><code${attribute}>${escapeHtml(block.text)}</code></pre>`;
+                }
+                case 'thematic-break':
+                    return '<hr>';
+                case 'blockquote':
+                    return `<blockquote>\n${render(block.children)}\n</blockquote>`;
+                case 'list': {
+                    const tag = block.ordered ? 'ol' : 'ul';
+                    const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                    const items = block.items.map(item => {
+                        const checkbox = item.checked === null
+                            ? ''
+                            : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+                        const className = item.checked === null ? '' : ' class="task-list-item"';
+                        return `<li${className}>${checkbox}${render(item.children, block.tight)}</li>`;
+                    });
+                    return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+                }
+                case 'table': {
+                    const head = `<thead>${renderTableRow(block.header, block.align, 'th')}</thead>`;
+                    const body = block.rows.length
+                        ? `<tbody>${block.rows.map(row => renderTableRow(row, block.align, 'td')).join('')}</tbody>`
+                        : '';
+                    return `<table>${head}${body}</table>`;
+                }
+                default:
+                    return '';
+            }
+        }).join('\n');
+    }
+
+    function toHTML(markdown) {
+        return render(parse(markdown));
+    }
+
+    const Markdown = {
+        parse,
+        render,
+        toHTML,
+        plainText,
+        safeUrl
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Markdown;
+    } else {
+        global.Markdown = Markdown;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,352 @@
+// Operational Transformation for plain text
+//
+// An operation is an array of components that walks the whole document:
+//   { retain: n }     keep the next n characters
+//   { insert: 'abc' } insert text at the current position
+//   { delete: n }     remove the next n characters
+//
+// Inserts and retains may carry formatting `attributes`. On an insert they
+// format the new text; on a retain they change the formatting of the text
+// kept, with null removing an attribute. The text itself is unaffected.
+//
+// Shared by the browser (window.OT) and the sync server (require('../ot')).
+(function (global) {
+    'use strict';
+
+    function isRetain(component) {
+        return typeof component.retain === 'number';
+    }
+
+    function isInsert(component) {
+        return typeof component.insert === 'string';
+    }
+
+    function isDelete(component) {
+        return typeof component.delete === 'number';
+    }
+
+    function hasAttributes(component) {
+        return Boolean(component.attributes) && Object.keys(component.attributes).length > 0;
+    }
+
+    function sameAttributes(a = {}, b = {}) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+    }
+
+    // Builds a component, leaving out empty attributes
+    function withAttributes(component, attributes) {
+        if (attributes && Object.keys(attributes).length > 0) {
+            component.attributes = attributes;
+        }
+        return component;
+    }
+
+    // Attributes of b applied on top of a. Removals (null) are kept for
+    // retains, where they still have to be applied to the text.
+    function composeAttributes(a = {}, b = {}, keepNull) {
+        const result = { ...a, ...b };
+        if (!keepNull) {
+            Object.keys(result).forEach(key => {
+                if (result[key] === null) delete result[key];
+            });
+        }
+        return result;
+    }
+
+    // b's attributes, minus those a sets too: a wins ties
+    function transformAttributes(a = {}, b = {}) {
+        const result = {};
+        Object.keys(b).forEach(key => {
+            if (!(key in a)) result[key] = b[key];
+        });
+        return result;
+    }
+
+    function componentLength(component) {
+        if (isInsert(component)) return component.insert.length;
+        return isRetain(component) ? component.retain : component.delete;
+    }
+
+    function isValid(operation) {
+        return Array.isArray(operation) && operation.every(component => {
+            if (!component || typeof component !== 'object') return false;
+            const { attributes } = component;
+            if (attributes !== undefined && (!attributes || typeof attributes !== 'object' || Array.isArray(attributes))) {
+                return false;
+            }
+            if (isInsert(component)) return true;
+            const length = isRetain(component) ? component.retain : component.delete;
+            return Number.isInteger(length) && length >= 0;
+        });
+    }
+
+    // Appends a component, merging it into the previous one where possible.
+    // Inserts are kept ahead of adjacent deletes so equal edits compare equal.
+    function push(operation, component) {
+        if (componentLength(component) === 0) return operation;
+
+        const last = operation[operation.length - 1];
+        const { attributes } = component;
+        if (isInsert(component)) {
+            const insert = () => withAttributes({ insert: component.insert }, attributes);
+            if (last && isInsert(last) && sameAttributes(last.attributes, attributes)) {
+                last.insert += component.insert;
+            } else if (last && isDelete(last)) {
+                const beforeLast = operation[operation.length - 2];
+                if (beforeLast && isInsert(beforeLast) && sameAttributes(beforeLast.attributes, attributes)) {
+                    beforeLast.insert += component.insert;
+                } else {
+                    operation.splice(operation.length - 1, 0, insert());
+                }
+            } else {
+                operation.push(insert());
+            }
+        } else if (isRetain(component)) {
+            if (last && isRetain(last) && sameAttributes(last.attributes, attributes)) {
+                last.retain += component.retain;
+            } else {
+                operation.push(withAttributes({ retain: component.retain }, attributes));
+            }
+        } else if (last && isDelete(last)) {
+            last.delete += component.delete;
+        } else {
+            operation.push({ delete: component.delete });
+        }
+        return operation;
+    }
+
+    function normalize(operation) {
+        return operation.reduce(push, []);
+    }
+
+    function baseLength(operation) {
+        return operation.reduce((length, component) => {
+            return isInsert(component) ? length : length + componentLength(component);
+        }, 0);
+    }
+
+    function targetLength(operation) {
+        return operation.reduce((length, component) => {
+            return isDelete(component) ? length : length + componentLength(component);
+        }, 0);
+    }
+
+    function isNoop(operation) {
+        return operation.every(component => isRetain(component) && !hasAttributes(component));
+    }
+
+    // Reads an operation piece by piece, splitting components on demand
+    function createIterator(operation) {
+        let index = 0;
+        let offset = 0;
+
+        return {
+            hasNext() {
+                return index < operation.length;
+            },
+            peek() {
+                return operation[index];
+            },
+            peekLength() {
+                return componentLength(operation[index]) - offset;
+            },
+            next(maxLength = Infinity) {
+                const component = operation[index];
+                const remaining = componentLength(component) - offset;
+                const length = Math.min(maxLength, remaining);
+
+                let piece;
+                if (isInsert(component)) {
+                    piece = withAttributes({ insert: component.insert.substr(offset, length) }, component.attributes);
+                } else if (isRetain(component)) {
+                    piece = withAttributes({ retain: length }, component.attributes);
+                } else {
+                    piece = { delete: length };
+                }
+
+                if (length === remaining) {
+                    index++;
+                    offset = 0;
+                } else {
+                    offset += length;
+                }
+                return piece;
+            }
+        };
+    }
+
+    function apply(text, operation) {
+        if (baseLength(operation) !== text.length) {
+            throw new Error('Operation base length does not match the text length');
+        }
+
+        const parts = [];
+        let index = 0;
+        operation.forEach(component => {
+            if (isRetain(component)) {
+                parts.push(text.slice(index, index + component.retain));
+                index += component.retain;
+            } else if (isInsert(component)) {
+                parts.push(component.insert);
+            } else {
+                index += component.delete;
+            }
+        });
+        return parts.join('');
+    }
+
+    // Given two operations made concurrently against the same text, returns
+    // [a', b'] such that apply(apply(text, a), b') === apply(apply(text, b), a').
+    // When both insert at the same position, a's text ends up first, and when
+    // both format the same text, a's attributes win.
+    function transform(a, b) {
+        if (baseLength(a) !== baseLength(b)) {
+            throw new Error('Cannot transform operations with different base lengths');
+        }
+
+        const aPrime = [];
+        const bPrime = [];
+        const iterA = createIterator(a);
+        const iterB = createIterator(b);
+
+        while (iterA.hasNext() || iterB.hasNext()) {
+            if (iterA.hasNext() && isInsert(iterA.peek())) {
+                const component = iterA.next();
+                push(aPrime, component);
+                push(bPrime, { retain: component.insert.length });
+                continue;
+            }
+            if (iterB.hasNext() && isInsert(iterB.peek())) {
+                const component = iterB.next();
+                push(aPrime, { retain: component.insert.length });
+                push(bPrime, component);
+                continue;
+            }
+
+            const length = Math.min(iterA.peekLength(), iterB.peekLength());
+            const componentA = iterA.next(length);
+            const componentB = iterB.next(length);
+
+            if (isRetain(componentA) && isRetain(componentB)) {
+                push(aPrime, withAttributes({ retain: length }, componentA.attributes));
+                push(bPrime, withAttributes({ retain: length },
+                    transformAttributes(componentA.attributes, componentB.attributes)));
+            } else if (isDelete(componentA) && isRetain(componentB)) {
+                push(aPrime, { delete: length });
+            } else if (isRetain(componentA) && isDelete(componentB)) {
+                push(bPrime, { delete: length });
+            }
+            // Both deleted the same text: nothing left to do on either side
+        }
+
+        return [aPrime, bPrime];
+    }
+
+    // Returns a single operation with the effect of applying a, then b
+    function compose(a, b) {
+        if (targetLength(a) !== baseLength(b)) {
+            throw new Error('Cannot compose operations: lengths do not line up');
+        }
+
+        const result = [];
+        const iterA = createIterator(a);
+        const iterB = createIterator(b);
+
+        while (iterA.hasNext() || iterB.hasNext()) {
+            if (iterA.hasNext() && isDelete(iterA.peek())) {
+                push(result, iterA.next());
+                continue;
+            }
+            if (iterB.hasNext() && isInsert(iterB.peek())) {
+                push(result, iterB.next());
+                continue;
+            }
+
+            const length = Math.min(iterA.peekLength(), iterB.peekLength());
+            const componentA = iterA.next(length);
+            const componentB = iterB.next(length);
+
+            if (isRetain(componentB)) {
+                const attributes = composeAttributes(componentA.attributes, componentB.attributes, isRetain(componentA));
+                if (isInsert(componentA)) {
+                    push(result, withAttributes({ insert: componentA.insert }, attributes));
+                } else {
+                    push(result, withAttributes({ retain: length }, attributes));
+                }
+            } else if (isRetain(componentA)) {
+                push(result, { delete: length });
+            }
+            // Text inserted by a and deleted by b cancels out
+        }
+
+        return result;
+    }
+
+    // Builds the operation that turns oldText into newText, assuming a single
+    // contiguous change (which is what one `input` event produces).
+    function fromDiff(oldText, newText) {
+        let prefix = 0;
+        const maxPrefix = Math.min(oldText.length, newText.length);
+        while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        const maxSuffix = maxPrefix - prefix;
+        while (suffix < maxSuffix &&
+               oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const operation = [];
+        push(operation, { retain: prefix });
+        push(operation, { insert: newText.slice(prefix, newText.length - suffix) });
+        push(operation, { delete: oldText.length - prefix - suffix });
+        push(operation, { retain: suffix });
+        return operation;
+    }
+
+    // Maps a position in the text before the operation to the text after it.
+    // Inserts exactly at the position push it forward only for our own edits.
+    function transformIndex(index, operation, isOwnOperation = false) {
+        let position = 0;
+        let newIndex = index;
+
+        for (const component of operation) {
+            if (position > index) break;
+
+            if (isRetain(component)) {
+                position += component.retain;
+            } else if (isInsert(component)) {
+                if (position < index || isOwnOperation) {
+                    newIndex += component.insert.length;
+                }
+            } else {
+                newIndex -= Math.min(component.delete, index - position);
+                position += component.delete;
+            }
+        }
+
+        return newIndex;
+    }
+
+    const OT = {
+        apply,
+        transform,
+        compose,
+        fromDiff,
+        transformIndex,
+        normalize,
+        isNoop,
+        isValid,
+        baseLength,
+        targetLength
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OT;
+    } else {
+        global.OT = OT;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
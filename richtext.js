@@ -0,0 +1,1250 @@
+// Rich text document model
+//
+// A document is a list of blocks, each holding runs of text with inline marks:
+//   { blocks: [{ type: 'paragraph', attrs: {}, content: [{ text: 'Hi', marks: { bold: true } }] }] }
+// It is plain JSON, so it can be saved, sent and compared as is.
+//
+// Block types and their attrs:
+//   paragraph, blockquote, divider (an empty line drawn as a rule)
+//   heading      { level }
+//   list-item    { list: 'bullet' | 'ordered' | 'task', indent, checked }
+//   code-block   { language }      one block per line of code
+//   table-cell   { row, header, align }
+// Any block can have an align of 'left', 'center', 'right' or 'justify'; list
+// indents go from 1 (nested once) to MAX_INDENT.
+// Runs of consecutive list items, quotes, code lines and table cells render
+// as one list, quote, code block or table.
+//
+// The text of a document is its blocks' text joined with '\n', which is the
+// same text the sync layer (ot.js, crdt.js) works on. For syncing, a document
+// converts to an insert-only operation whose newlines carry the attributes of
+// the block they end. The last block has no newline, so it travels as a plain
+// paragraph until another block follows it.
+//
+// Shared by the browser (window.RichText) and Node (require('./richtext'));
+// the DOM functions only use the nodes they are given.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const OT = isNode ? require('./ot') : global.OT;
+    const Markdown = isNode ? require('./markdown') : global.Markdown;
+
+    const ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+    const MAX_INDENT = 8;
+
+    const TEXT_NODE = 3;
+    const ELEMENT_NODE = 1;
+
+    const BLOCK_ELEMENTS = new Set([
+        'DIV', 'P', 'LI', 'UL', 'OL', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'HR',
+        'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH'
+    ]);
+
+    // Inline marks, in the order they nest when rendered. A mark with an
+    // `attribute` holds that attribute's value rather than true.
+    const MARKS = [
+        {
+            name: 'link',
+            tag: 'a',
+            elements: ['A'],
+            attribute: 'href',
+            fromStyle: () => false
+        },
+        {
+            name: 'bold',
+            tag: 'strong',
+            elements: ['B', 'STRONG'],
+            fromStyle: style => style.fontWeight === 'bold' || Number(style.fontWeight) >= 600
+        },
+        {
+            name: 'italic',
+            tag: 'em',
+            elements: ['I', 'EM'],
+            fromStyle: style => style.fontStyle === 'italic'
+        },
+        {
+            name: 'underline',
+            tag: 'u',
+            elements: ['U'],
+            fromStyle: style => /underline/.test(style.textDecoration || style.textDecorationLine || '')
+        },
+        {
+            name: 'strike',
+            tag: 's',
+            elements: ['S', 'DEL', 'STRIKE'],
+            fromStyle: style => /line-through/.test(style.textDecoration || style.textDecorationLine || '')
+        },
+        {
+            name: 'code',
+            tag: 'code',
+            elements: ['CODE'],
+            fromStyle: () => false
+        }
+    ];
+
+    const MARK_NAMES = MARKS.map(mark => mark.name);
+
+    // Formatting that applies to text; anything else is for blocks
+    function markAttributes(attributes = {}) {
+        const marks = {};
+        MARK_NAMES.forEach(name => {
+            if (name in attributes) marks[name] = attributes[name];
+        });
+        return marks;
+    }
+
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Copies attributes with their keys sorted and unset ones dropped, so
+    // equal formatting always serializes the same way
+    function canonical(attributes = {}) {
+        const result = {};
+        Object.keys(attributes).sort().forEach(key => {
+            if (attributes[key] !== null && attributes[key] !== false && attributes[key] !== undefined) {
+                result[key] = attributes[key];
+            }
+        });
+        return result;
+    }
+
+    function sameMarks(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // Models can come from other users and from files, so an alignment or
+    // indent is checked wherever it becomes a style or a nesting depth
+    function alignmentOf(block) {
+        return ALIGNMENTS.includes(block.attrs.align) ? block.attrs.align : null;
+    }
+
+    function indentOf(block) {
+        const indent = Math.floor(Number(block.attrs.indent)) || 0;
+        return Math.min(Math.max(indent, 0), MAX_INDENT);
+    }
+
+    function checkAttributes(attrs) {
+        return canonical({ ...attrs, align: alignmentOf({ attrs }), indent: indentOf({ attrs }) || null });
+    }
+
+    function createBlock(type = 'paragraph', attrs = {}) {
+        return { type, attrs: checkAttributes(attrs), content: [] };
+    }
+
+    // Appends text to a block, joining it onto the last run when the marks match
+    function appendText(block, text, marks = {}) {
+        if (!text) return;
+        const runMarks = canonical(marks);
+        const last = block.content[block.content.length - 1];
+        if (last && sameMarks(last.marks, runMarks)) {
+            last.text += text;
+        } else {
+            block.content.push({ text, marks: runMarks });
+        }
+    }
+
+    function blockText(block) {
+        return block.content.map(run => run.text).join('');
+    }
+
+    function createDocument() {
+        return { blocks: [createBlock()] };
+    }
+
+    function fromText(text) {
+        return {
+            blocks: text.split('\n').map(line => {
+                const block = createBlock();
+                appendText(block, line);
+                return block;
+            })
+        };
+    }
+
+    function toText(model) {
+        return model.blocks.map(blockText).join('\n');
+    }
+
+    function isEqual(a, b) {
+        return JSON.stringify(a.blocks) === JSON.stringify(b.blocks);
+    }
+
+    // Block types and attributes travel on newlines as { block: type, ...attrs }
+    function blockAttributes(block) {
+        return block.type === 'paragraph' && Object.keys(block.attrs).length === 0
+            ? undefined
+            : { block: block.type, ...block.attrs };
+    }
+
+    function blockFromAttributes(attributes) {
+        if (!attributes || !attributes.block) return createBlock();
+        const { block: type, ...attrs } = attributes;
+        return createBlock(type, attrs);
+    }
+
+    // The whole document as one insert-only operation
+    function toOperation(model) {
+        const operation = [];
+        model.blocks.forEach((block, index) => {
+            block.content.forEach(run => {
+                const component = { insert: run.text };
+                if (Object.keys(run.marks).length > 0) {
+                    component.attributes = { ...run.marks };
+                }
+                operation.push(component);
+            });
+            if (index < model.blocks.length - 1) {
+                const attributes = blockAttributes(block);
+                operation.push(attributes ? { insert: '\n', attributes } : { insert: '\n' });
+            }
+        });
+        return OT.normalize(operation);
+    }
+
+    function fromOperation(operation) {
+        const blocks = [];
+        let runs = [];
+        operation.forEach(component => {
+            if (typeof component.insert !== 'string') {
+                throw new Error('A document can only be built from inserts');
+            }
+            component.insert.split('\n').forEach((text, index) => {
+                if (index > 0) {
+                    const block = blockFromAttributes(component.attributes);
+                    runs.forEach(run => appendText(block, run.text, run.marks));
+                    blocks.push(block);
+                    runs = [];
+                }
+                if (text) {
+                    runs.push({ text, marks: markAttributes(component.attributes) });
+                }
+            });
+        });
+
+        const last = createBlock();
+        runs.forEach(run => appendText(last, run.text, run.marks));
+        blocks.push(last);
+        return { blocks };
+    }
+
+    // Attributes of every character: marks for text, block attributes for newlines
+    function characterAttributes(model) {
+        const attributes = [];
+        toOperation(model).forEach(component => {
+            for (let i = 0; i < component.insert.length; i++) {
+                attributes.push(component.attributes || {});
+            }
+        });
+        return attributes;
+    }
+
+    function diffAttributes(before, after) {
+        const changes = {};
+        Object.keys(after).forEach(key => {
+            if (before[key] !== after[key]) changes[key] = after[key];
+        });
+        Object.keys(before).forEach(key => {
+            if (!(key in after)) changes[key] = null;
+        });
+        return changes;
+    }
+
+    // Returns the operation that turns one document into the other: the text
+    // change, plus attribute changes on the text both share
+    function diff(before, after) {
+        const beforeText = toText(before);
+        const afterText = toText(after);
+        const beforeAttributes = characterAttributes(before);
+        const afterAttributes = characterAttributes(after);
+
+        const components = [];
+        let beforeIndex = 0;
+        let afterIndex = 0;
+        OT.fromDiff(beforeText, afterText).forEach(component => {
+            if (typeof component.retain === 'number') {
+                for (let i = 0; i < component.retain; i++) {
+                    const changes = diffAttributes(beforeAttributes[beforeIndex++], afterAttributes[afterIndex++]);
+                    components.push(Object.keys(changes).length ? { retain: 1, attributes: changes } : { retain: 1 });
+                }
+            } else if (typeof component.insert === 'string') {
+                for (let i = 0; i < component.insert.length; i++) {
+                    const attributes = afterAttributes[afterIndex++];
+                    components.push(Object.keys(attributes).length
+                        ? { insert: component.insert[i], attributes }
+                        : { insert: component.insert[i] });
+                }
+            } else {
+                components.push(component);
+                beforeIndex += component.delete;
+            }
+        });
+
+        return OT.normalize(components);
+    }
+
+    // Applies an operation (text edits and formatting) to a document. The last
+    // block has no newline for an operation to reach, so it keeps its type.
+    function applyOperation(model, operation) {
+        const result = fromOperation(OT.compose(toOperation(model), operation));
+        const lastBefore = model.blocks[model.blocks.length - 1];
+        const lastAfter = result.blocks[result.blocks.length - 1];
+        lastAfter.type = lastBefore.type;
+        lastAfter.attrs = { ...lastBefore.attrs };
+        return result;
+    }
+
+    // Replaces the text of a document, keeping the formatting of unchanged text
+    function withText(model, text) {
+        return applyOperation(model, OT.fromDiff(toText(model), text));
+    }
+
+    // Formatting
+    // These take text offsets, like a selection in the editor, and return a
+    // new document rather than changing the one they are given.
+
+    // Index of the block holding `offset`; the offset just past a block's
+    // text still belongs to it
+    function blockAt(model, offset) {
+        let end = -1;
+        for (let i = 0; i < model.blocks.length; i++) {
+            end += blockText(model.blocks[i]).length + 1;
+            if (offset <= end) return i;
+        }
+        return model.blocks.length - 1;
+    }
+
+    function copyDocument(model) {
+        return JSON.parse(JSON.stringify(model));
+    }
+
+    function mapBlocks(model, start, end, update) {
+        const result = copyDocument(model);
+        const last = blockAt(model, end);
+        for (let i = blockAt(model, start); i <= last; i++) {
+            result.blocks[i] = update(result.blocks[i]);
+        }
+        return result;
+    }
+
+    function getBlocks(model, start, end) {
+        return model.blocks.slice(blockAt(model, start), blockAt(model, end) + 1);
+    }
+
+    // Changes the type of every block in the range. Alignment is kept, and
+    // code loses its marks.
+    function setBlockType(model, start, end, type, attrs = {}) {
+        return mapBlocks(model, start, end, block => {
+            const kept = { align: block.attrs.align };
+            if (type === 'list-item' && block.type === 'list-item') {
+                kept.indent = block.attrs.indent;
+            }
+            const result = createBlock(type, { ...kept, ...attrs });
+            block.content.forEach(run => appendText(result, run.text, type === 'code-block' ? {} : run.marks));
+            return result;
+        });
+    }
+
+    // Merges attrs into every block in the range; null removes one
+    function setBlockAttributes(model, start, end, attrs) {
+        return mapBlocks(model, start, end, block => ({
+            ...block,
+            attrs: checkAttributes({ ...block.attrs, ...attrs })
+        }));
+    }
+
+    // Sets marks on the text in [start, end); null removes one. Newlines and
+    // code blocks are left alone.
+    function formatText(model, start, end, marks) {
+        const text = toText(model);
+        const codeLines = new Set();
+        let offset = 0;
+        model.blocks.forEach(block => {
+            if (block.type === 'code-block') {
+                for (let i = 0; i <= blockText(block).length; i++) codeLines.add(offset + i);
+            }
+            offset += blockText(block).length + 1;
+        });
+
+        const operation = [{ retain: start }];
+        for (let i = start; i < end; i++) {
+            const plain = text[i] === '\n' || codeLines.has(i);
+            operation.push(plain ? { retain: 1 } : { retain: 1, attributes: marks });
+        }
+        operation.push({ retain: text.length - end });
+        return applyOperation(model, OT.normalize(operation));
+    }
+
+    function insertText(model, offset, text, marks = {}) {
+        const length = toText(model).length;
+        return applyOperation(model, OT.normalize([
+            { retain: offset },
+            Object.keys(marks).length ? { insert: text, attributes: marks } : { insert: text },
+            { retain: length - offset }
+        ]));
+    }
+
+    // Replaces ranges of text in one operation. `replacements` is a list of
+    // { start, end, text }, in order and not overlapping; new text takes the
+    // marks of the text it replaces.
+    function replaceOperation(model, replacements) {
+        const attributes = characterAttributes(model);
+        const operation = [];
+        let index = 0;
+        replacements.forEach(({ start, end, text }) => {
+            operation.push({ retain: start - index });
+            if (text) {
+                const marks = markAttributes(attributes[start < end ? start : start - 1]);
+                operation.push(Object.keys(marks).length ? { insert: text, attributes: marks } : { insert: text });
+            }
+            if (end > start) operation.push({ delete: end - start });
+            index = end;
+        });
+        operation.push({ retain: attributes.length - index });
+        return OT.normalize(operation);
+    }
+
+    function replaceText(model, replacements) {
+        return applyOperation(model, replaceOperation(model, replacements));
+    }
+
+    // The formatting at a range: the first block's type and attrs, and the
+    // marks that all of its text shares. A collapsed range takes the marks
+    // of the character before it, as typing there would.
+    function getFormat(model, start, end) {
+        const block = model.blocks[blockAt(model, start)];
+        const text = toText(model);
+        const attributes = characterAttributes(model);
+
+        let marks = null;
+        const from = start === end ? start - 1 : start;
+        const to = start === end ? start : end;
+        for (let i = Math.max(0, from); i < to; i++) {
+            if (text[i] === '\n') continue;
+            const charMarks = markAttributes(attributes[i]);
+            if (marks === null) {
+                marks = charMarks;
+            } else {
+                Object.keys(marks).forEach(name => {
+                    if (marks[name] !== charMarks[name]) delete marks[name];
+                });
+            }
+        }
+        return { type: block.type, attrs: { ...block.attrs }, marks: marks || {} };
+    }
+
+    // The range [start, end) of the run around `offset` whose mark `name`
+    // has the same value, or null when the text there does not have it
+    function markRange(model, offset, name) {
+        const text = toText(model);
+        const attributes = characterAttributes(model);
+        const valueAt = i => (i >= 0 && i < text.length && text[i] !== '\n' ? attributes[i][name] : undefined);
+
+        const value = valueAt(offset) !== undefined ? valueAt(offset) : valueAt(offset - 1);
+        if (value === undefined) return null;
+
+        let start = valueAt(offset) === value ? offset : offset - 1;
+        let end = start;
+        while (valueAt(start - 1) === value) start--;
+        while (valueAt(end) === value) end++;
+        return { start, end, value };
+    }
+
+    // Rendering
+
+    function renderRun(run) {
+        let html = escapeHtml(run.text);
+        for (let i = MARKS.length - 1; i >= 0; i--) {
+            const mark = MARKS[i];
+            const value = run.marks[mark.name];
+            if (!value) continue;
+            const attribute = mark.attribute ? ` ${mark.attribute}="${escapeHtml(Markdown.safeUrl(String(value)))}"` : '';
+            html = `<${mark.tag}${attribute}>${html}</${mark.tag}>`;
+        }
+        return html;
+    }
+
+    // An empty block needs a placeholder <br> to take up a line
+    function renderContent(block) {
+        return block.content.length ? block.content.map(renderRun).join('') : '<br>';
+    }
+
+    function alignStyle(block) {
+        const align = alignmentOf(block);
+        return align ? ` style="text-align: ${align}"` : '';
+    }
+
+    function renderBlock(block) {
+        const style = alignStyle(block);
+        switch (block.type) {
+            case 'heading': {
+                const tag = `h${Math.min(6, Math.max(1, block.attrs.level || 1))}`;
+                return `<${tag}${style}>${renderContent(block)}</${tag}>`;
+            }
+            case 'code-block': {
+                const language = block.attrs.language ? ` data-language="${escapeHtml(block.attrs.language)}"` : '';
+                const code = block.content.map(run => escapeHtml(run.text)).join('');
+                return `<pre${language}>${code || '<br>'}</pre>`;
+            }
+            case 'divider':
+                // A rule has no room for text; one that gains some shows it as a paragraph
+                if (!block.content.length) return '<hr>';
+                return `<p${style}>${renderContent(block)}</p>`;
+            default:
+                return `<p${style}>${renderContent(block)}</p>`;
+        }
+    }
+
+    // Nests list items by their indent. Every open list keeps its last item
+    // open so a deeper list can go inside it; levels an item skips get an
+    // unmarked item of their own.
+    function renderList(items) {
+        const open = [];
+        let html = '';
+        items.forEach(item => {
+            const depth = indentOf(item);
+            const tag = item.attrs.list === 'ordered' ? 'ol' : 'ul';
+
+            while (open.length > depth + 1) {
+                html += `</li></${open.pop()}>`;
+            }
+            if (open.length === depth + 1 && open[depth] !== tag) {
+                html += `</li></${open.pop()}>`;
+            }
+            if (open.length === depth + 1) {
+                html += '</li>';
+            }
+            while (open.length < depth + 1) {
+                html += `<${tag}>`;
+                open.push(tag);
+                if (open.length < depth + 1) html += '<li class="list-indent">';
+            }
+
+            const checked = item.attrs.list === 'task' ? ` data-checked="${Boolean(item.attrs.checked)}"` : '';
+            html += `<li${checked}${alignStyle(item)}>${renderContent(item)}`;
+        });
+        while (open.length) {
+            html += `</li></${open.pop()}>`;
+        }
+        return html;
+    }
+
+    // A row number lower than the one before starts a new table
+    function renderTables(cells) {
+        const tables = [];
+        cells.forEach(cell => {
+            const index = cell.attrs.row || 0;
+            let table = tables[tables.length - 1];
+            let row = table && table[table.length - 1];
+            if (!row || index < row.index) {
+                table = [];
+                tables.push(table);
+                row = null;
+            }
+            if (!row || index !== row.index) {
+                row = { index, cells: [] };
+                table.push(row);
+            }
+            row.cells.push(cell);
+        });
+
+        return tables.map(rows => {
+            const body = rows.map(row => '<tr>' + row.cells.map(cell => {
+                const tag = cell.attrs.header ? 'th' : 'td';
+                return `<${tag}${alignStyle(cell)}>${renderContent(cell)}</${tag}>`;
+            }).join('') + '</tr>').join('');
+            return `<table><tbody>${body}</tbody></table>`;
+        }).join('');
+    }
+
+    function toHTML(model) {
+        const { blocks } = model;
+        let html = '';
+        let i = 0;
+        while (i < blocks.length) {
+            const type = blocks[i].type;
+            let end = i + 1;
+            if (type === 'list-item' || type === 'blockquote' || type === 'table-cell') {
+                while (end < blocks.length && blocks[end].type === type) end++;
+            }
+            const group = blocks.slice(i, end);
+
+            if (type === 'list-item') {
+                html += renderList(group);
+            } else if (type === 'blockquote') {
+                html += `<blockquote>${group.map(renderBlock).join('')}</blockquote>`;
+            } else if (type === 'table-cell') {
+                html += renderTables(group);
+            } else {
+                html += renderBlock(blocks[i]);
+            }
+            i = end;
+        }
+        return html;
+    }
+
+    // Reading the DOM
+
+    function isBlockElement(node) {
+        return node.nodeType === ELEMENT_NODE && BLOCK_ELEMENTS.has(node.nodeName);
+    }
+
+    // A <br> with nothing after it in its block only holds the line open
+    function isPlaceholderBreak(br, root) {
+        let node = br;
+        while (node !== root && !isBlockElement(node)) {
+            let next = node.nextSibling;
+            while (next && next.nodeType === TEXT_NODE && !next.data) {
+                next = next.nextSibling;
+            }
+            if (next) return false;
+            node = node.parentNode;
+        }
+        return true;
+    }
+
+    function marksOf(element, inherited) {
+        const marks = { ...inherited };
+        const style = element.style || {};
+        MARKS.forEach(mark => {
+            if (mark.attribute) {
+                if (mark.elements.includes(element.nodeName) && element.getAttribute(mark.attribute)) {
+                    marks[mark.name] = element.getAttribute(mark.attribute);
+                }
+            } else if (mark.elements.includes(element.nodeName) || mark.fromStyle(style)) {
+                marks[mark.name] = true;
+            }
+        });
+        return marks;
+    }
+
+    // Walks the text of a DOM subtree line by line, the way it is laid out:
+    // blocks start new lines, and so do <br>s that are not placeholders.
+    // The visitor's callbacks can return true to stop the walk:
+    //   text(node, marks, blockElement)  a non-empty text node
+    //   newline(parent, index)           a line break before parent.childNodes[index]
+    //   block(element)                   a block element starts
+    //   placeholder(parent, index)       an empty line's placeholder <br>
+    function walk(root, visitor) {
+        let lineOpen = false;
+        let atBlockStart = false;
+        let needBreak = false;
+        let stopped = false;
+
+        function newline(parent, index) {
+            needBreak = false;
+            return visitor.newline && visitor.newline(parent, index);
+        }
+
+        function visit(node, marks, blockElement) {
+            for (let i = 0; i < node.childNodes.length && !stopped; i++) {
+                const child = node.childNodes[i];
+                if (child.nodeType === TEXT_NODE) {
+                    if (!child.data) continue;
+                    if (needBreak && newline(node, i)) {
+                        stopped = true;
+                    } else if (visitor.text && visitor.text(child, marks, blockElement)) {
+                        stopped = true;
+                    }
+                    lineOpen = true;
+                    atBlockStart = false;
+                } else if (child.nodeName === 'BR') {
+                    if (isPlaceholderBreak(child, root)) {
+                        if (visitor.placeholder && visitor.placeholder(node, i)) stopped = true;
+                        continue;
+                    }
+                    if ((needBreak && newline(node, i)) || newline(node, i)) {
+                        stopped = true;
+                    }
+                    lineOpen = false;
+                    atBlockStart = false;
+                } else if (isBlockElement(child)) {
+                    if (lineOpen && !atBlockStart && newline(node, i)) {
+                        stopped = true;
+                        break;
+                    }
+                    needBreak = false;
+                    lineOpen = true;
+                    atBlockStart = true;
+                    if (visitor.block && visitor.block(child)) {
+                        stopped = true;
+                        break;
+                    }
+                    visit(child, marks, child);
+                    needBreak = true;
+                    atBlockStart = false;
+                } else if (child.nodeType === ELEMENT_NODE) {
+                    visit(child, marksOf(child, marks), blockElement);
+                }
+            }
+        }
+
+        visit(root, {}, null);
+    }
+
+    function getText(root) {
+        let text = '';
+        walk(root, {
+            text(node) {
+                text += node.data;
+            },
+            newline() {
+                text += '\n';
+            }
+        });
+        return text;
+    }
+
+    // Maps a text offset to a DOM position { node, offset }
+    function findPosition(root, offset) {
+        let length = 0;
+        let position = null;
+        walk(root, {
+            text(node) {
+                if (offset <= length + node.data.length) {
+                    position = { node, offset: Math.max(0, offset - length) };
+                    return true;
+                }
+                length += node.data.length;
+            },
+            newline(parent, index) {
+                if (offset <= length) {
+                    position = { node: parent, offset: index };
+                    return true;
+                }
+                length += 1;
+            },
+            placeholder(parent, index) {
+                if (offset <= length) {
+                    position = { node: parent, offset: index };
+                    return true;
+                }
+            }
+        });
+        return position || { node: root, offset: root.childNodes.length };
+    }
+
+    // Maps a DOM position inside root to a text offset
+    function getOffset(root, container, offset) {
+        const point = root.ownerDocument.createRange();
+        point.setStart(container, offset);
+
+        let length = 0;
+        walk(root, {
+            text(node) {
+                if (node === container) {
+                    length += offset;
+                    return true;
+                }
+                if (point.comparePoint(node, node.data.length) > 0) return true;
+                length += node.data.length;
+            },
+            newline(parent, index) {
+                if (point.comparePoint(parent, index) >= 0) return true;
+                length += 1;
+            }
+        });
+        return length;
+    }
+
+    // The nearest element from node up to (not including) root that passes test
+    function closest(node, root, test) {
+        for (; node && node !== root; node = node.parentNode) {
+            if (node.nodeType === ELEMENT_NODE && test(node)) return node;
+        }
+        return null;
+    }
+
+    const hasName = (...names) => node => names.includes(node.nodeName);
+
+    function listItemAttributes(item, root) {
+        let indent = -1;
+        for (let node = item.parentNode; node && node !== root; node = node.parentNode) {
+            if (node.nodeName === 'UL' || node.nodeName === 'OL') indent++;
+        }
+
+        const checkbox = [...item.children].find(child => child.nodeName === 'INPUT' && child.type === 'checkbox');
+        const isTask = item.hasAttribute('data-checked') || Boolean(checkbox);
+        const checked = checkbox ? checkbox.checked : item.getAttribute('data-checked') === 'true';
+        return {
+            list: isTask ? 'task' : (item.parentNode && item.parentNode.nodeName === 'OL' ? 'ordered' : 'bullet'),
+            indent: indent > 0 ? indent : null,
+            checked: isTask && checked
+        };
+    }
+
+    function blockFromElement(element, root) {
+        if (!element) return createBlock();
+        const align = (element.style && element.style.textAlign) || null;
+
+        const pre = closest(element, root, hasName('PRE'));
+        if (pre) {
+            return createBlock('code-block', { language: pre.getAttribute('data-language') });
+        }
+        const item = closest(element, root, hasName('LI'));
+        if (item) {
+            return createBlock('list-item', { ...listItemAttributes(item, root), align });
+        }
+        if (/^H[1-6]$/.test(element.nodeName)) {
+            return createBlock('heading', { level: Number(element.nodeName[1]), align });
+        }
+        const cell = closest(element, root, hasName('TD', 'TH'));
+        if (cell) {
+            const table = closest(cell, root, hasName('TABLE'));
+            const row = table ? [...table.rows].indexOf(cell.parentNode) : 0;
+            return createBlock('table-cell', {
+                row: Math.max(0, row),
+                header: cell.nodeName === 'TH',
+                align: (cell.style && cell.style.textAlign) || cell.getAttribute('align')
+            });
+        }
+        if (element.nodeName === 'HR') {
+            return createBlock('divider');
+        }
+        if (closest(element, root, hasName('BLOCKQUOTE'))) {
+            return createBlock('blockquote', { align });
+        }
+        return createBlock('paragraph', { align });
+    }
+
+    // Builds a document from what is on screen; its text always matches getText()
+    function fromDOM(root) {
+        const lines = [{ element: null, hasContent: false, runs: [] }];
+        let line = lines[0];
+
+        walk(root, {
+            text(node, marks, blockElement) {
+                if (!line.hasContent) {
+                    line.element = blockElement || line.element;
+                    line.hasContent = true;
+                }
+                line.runs.push({ text: node.data, marks });
+            },
+            newline() {
+                line = { element: null, hasContent: false, runs: [] };
+                lines.push(line);
+            },
+            block(element) {
+                if (!line.hasContent) line.element = element;
+            }
+        });
+
+        return {
+            blocks: lines.map(({ element, runs }) => {
+                const block = blockFromElement(element, root);
+                // Code is plain text, whatever it was pasted with
+                const plain = block.type === 'code-block';
+                runs.forEach(run => appendText(block, run.text, plain ? {} : run.marks));
+                return block;
+            })
+        };
+    }
+
+    // Elements whose contents are not part of a page's text
+    const IGNORED_ELEMENTS = new Set([
+        'HEAD', 'TITLE', 'META', 'LINK', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'OBJECT',
+        'EMBED', 'CANVAS', 'SVG', 'MATH', 'IMG', 'VIDEO', 'AUDIO', 'SELECT', 'BUTTON', 'TEXTAREA'
+    ]);
+    // Other elements that lay out as blocks, read as <div>s
+    const SECTION_ELEMENTS = new Set([
+        'ADDRESS', 'ARTICLE', 'ASIDE', 'BODY', 'CAPTION', 'DD', 'DETAILS', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION',
+        'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'MAIN', 'NAV', 'SECTION', 'SUMMARY'
+    ]);
+
+    // Turns markup as written into markup as the editor lays it out: runs of
+    // whitespace collapse as a browser would show them, and line breaks in
+    // preformatted text become <br>s. Changes the nodes it is given.
+    function normalizeMarkup(root) {
+        const ownerDocument = root.ownerDocument;
+        let lastText = null;
+        let atLineStart = true;
+
+        const endLine = () => {
+            if (lastText) lastText.data = lastText.data.replace(/ +$/, '');
+            lastText = null;
+            atLineStart = true;
+        };
+
+        (function visit(parent, preformatted) {
+            [...parent.childNodes].forEach(node => {
+                if (node.nodeType === TEXT_NODE) {
+                    if (preformatted) {
+                        const lines = node.data.split(/\r?\n/);
+                        lines.forEach((line, index) => {
+                            if (index > 0) parent.insertBefore(ownerDocument.createElement('br'), node);
+                            if (line) parent.insertBefore(ownerDocument.createTextNode(line), node);
+                        });
+                        parent.removeChild(node);
+                        lastText = null;
+                        atLineStart = false;
+                        return;
+                    }
+                    let text = node.data.replace(/[ \t\n\r\f]+/g, ' ');
+                    if (atLineStart || (lastText && lastText.data.endsWith(' '))) text = text.replace(/^ /, '');
+                    if (!text) {
+                        parent.removeChild(node);
+                        return;
+                    }
+                    node.data = text;
+                    lastText = node;
+                    atLineStart = false;
+                } else if (node.nodeType !== ELEMENT_NODE) {
+                    parent.removeChild(node);
+                } else if (IGNORED_ELEMENTS.has(node.nodeName.toUpperCase())) {
+                    parent.removeChild(node);
+                } else if (node.nodeName === 'BR') {
+                    endLine();
+                } else {
+                    let element = node;
+                    if (SECTION_ELEMENTS.has(node.nodeName)) {
+                        element = ownerDocument.createElement('div');
+                        while (node.firstChild) element.appendChild(node.firstChild);
+                        parent.replaceChild(element, node);
+                    }
+                    if (element.nodeName === 'PRE' && !element.getAttribute('data-language')) {
+                        const code = element.querySelector('code[class*="language-"]');
+                        const language = code && /language-(\S+)/.exec(code.className);
+                        if (language) element.setAttribute('data-language', language[1]);
+                    }
+                    const block = isBlockElement(element);
+                    if (block) endLine();
+                    visit(element, preformatted || element.nodeName === 'PRE');
+                    if (block) endLine();
+                }
+            });
+        })(root, false);
+        endLine();
+    }
+
+    // Builds a document from an HTML page or fragment, such as an imported
+    // file, rather than from what the editor shows. Leaves root as it was.
+    function fromHTML(root) {
+        const copy = root.cloneNode(true);
+        normalizeMarkup(copy);
+        return fromDOM(copy);
+    }
+
+    // Markdown
+
+    const INLINE_MARKS = {
+        emphasis: () => ({ italic: true }),
+        strong: () => ({ bold: true }),
+        strikethrough: () => ({ strike: true }),
+        underline: () => ({ underline: true }),
+        link: node => ({ link: node.href })
+    };
+
+    // Builds a document from Markdown (see markdown.js). Line breaks inside a
+    // paragraph or quote start a new block, as they would when typing here;
+    // elsewhere they become spaces. Containers the model cannot nest, such
+    // as a quote inside a list, keep their innermost kind of block.
+    function fromMarkdown(markdown) {
+        const blocks = [];
+
+        function addBlock(type, attrs, inlines, splitLines) {
+            let block = createBlock(type, attrs);
+            blocks.push(block);
+
+            (function append(nodes, marks) {
+                nodes.forEach(node => {
+                    if (node.type === 'text') {
+                        appendText(block, node.text, marks);
+                    } else if (node.type === 'code') {
+                        appendText(block, node.text, { ...marks, code: true });
+                    } else if (node.type === 'softbreak' || node.type === 'hardbreak') {
+                        if (splitLines) {
+                            block = createBlock(type, attrs);
+                            blocks.push(block);
+                        } else {
+                            appendText(block, ' ', marks);
+                        }
+                    } else if (node.type === 'image') {
+                        appendText(block, node.alt || node.src, { ...marks, link: node.src });
+                    } else if (INLINE_MARKS[node.type]) {
+                        append(node.children, { ...marks, ...INLINE_MARKS[node.type](node) });
+                    }
+                });
+            })(inlines, {});
+        }
+
+        function addBlocks(nodes, quoted, indent) {
+            nodes.forEach(node => {
+                switch (node.type) {
+                    case 'paragraph':
+                        addBlock(quoted ? 'blockquote' : 'paragraph', {}, node.children, true);
+                        break;
+                    case 'heading':
+                        if (quoted) {
+                            addBlock('blockquote', {}, node.children, true);
+                        } else {
+                            addBlock('heading', { level: node.level }, node.children, false);
+                        }
+                        break;
+                    case 'code': {
+                        const language = node.info.split(/\s/)[0] || null;
+                        node.text.replace(/\n$/, '').split('\n').forEach(line => {
+                            const block = createBlock('code-block', { language });
+                            appendText(block, line);
+                            blocks.push(block);
+                        });
+                        break;
+                    }
+                    case 'thematic-break':
+                        blocks.push(createBlock('divider'));
+                        break;
+                    case 'blockquote':
+                        addBlocks(node.children, true, indent);
+                        break;
+                    case 'list':
+                        node.items.forEach(item => {
+                            const attrs = {
+                                list: item.checked !== null ? 'task' : (node.ordered ? 'ordered' : 'bullet'),
+                                indent: indent || null,
+                                checked: item.checked
+                            };
+                            const [first, ...rest] = item.children;
+                            if (first && first.type === 'paragraph') {
+                                addBlock('list-item', attrs, first.children, false);
+                            } else {
+                                blocks.push(createBlock('list-item', attrs));
+                                if (first) rest.unshift(first);
+                            }
+                            addBlocks(rest, false, indent + 1);
+                        });
+                        break;
+                    case 'table':
+                        [node.header, ...node.rows].forEach((cells, row) => {
+                            cells.forEach((cell, column) => {
+                                addBlock('table-cell', { row, header: row === 0, align: node.align[column] }, cell, false);
+                            });
+                        });
+                        break;
+                }
+            });
+        }
+
+        addBlocks(Markdown.parse(markdown), false, 0);
+        return blocks.length ? { blocks } : createDocument();
+    }
+
+    // Outermost first, so they nest the same way every time
+    const MARKDOWN_DELIMITERS = [
+        { name: 'bold', open: '**', close: '**' },
+        { name: 'italic', open: '*', close: '*' },
+        { name: 'strike', open: '~~', close: '~~' },
+        { name: 'underline', open: '<u>', close: '</u>' }
+    ];
+
+    function escapeMarkdown(text) {
+        return text.replace(/[\\`*_~[\]<>&|]/g, '\\$&');
+    }
+
+    // Text that would otherwise start a heading, quote, list or rule
+    function escapeLineStart(line) {
+        return line
+            .replace(/^[#>+=-]/, '\\$&')
+            .replace(/^(\d+)([.)])/, '$1\\$2');
+    }
+
+    function codeSpan(text) {
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const pad = /^`|`$/.test(text) || /^ .* $/.test(text) ? ' ' : '';
+        return fence + pad + text + pad + fence;
+    }
+
+    function linkDestination(href) {
+        const url = href.replace(/[<>]/g, encodeURIComponent);
+        return /[\s()]/.test(url) ? `<${url}>` : url;
+    }
+
+    // Marks stay open across runs that share them, and the ones that last
+    // longest are opened outermost. Whitespace at the edges of a run is kept
+    // outside its delimiters, where Markdown can recognise them.
+    function inlineMarkdown(block) {
+        const open = [];
+        let output = '';
+        let space = '';
+
+        const closeTo = depth => {
+            while (open.length > depth) output += open.pop().close;
+        };
+        const lasting = (index, name) => {
+            let end = index;
+            while (end < block.content.length && block.content[end].marks[name] === block.content[index].marks[name]) end++;
+            return end - index;
+        };
+
+        block.content.forEach(({ text, marks }, index) => {
+            let kept = 0;
+            while (kept < open.length && marks[open[kept].name] === open[kept].value) kept++;
+            closeTo(kept);
+
+            const core = text.trim();
+            if (!core) {
+                space += text;
+                return;
+            }
+            output += space + text.slice(0, text.indexOf(core[0]));
+            space = text.slice(text.lastIndexOf(core[core.length - 1]) + 1);
+
+            const isOpen = name => open.some(mark => mark.name === name);
+            if (marks.link && !isOpen('link')) {
+                output += '[';
+                open.push({ name: 'link', value: marks.link, close: `](${linkDestination(marks.link)})` });
+            }
+            MARKDOWN_DELIMITERS
+                .filter(({ name }) => marks[name] && !isOpen(name))
+                .sort((a, b) => lasting(index, b.name) - lasting(index, a.name))
+                .forEach(({ name, open: opening, close }) => {
+                    output += opening;
+                    open.push({ name, value: marks[name], close });
+                });
+            output += marks.code ? codeSpan(core) : escapeMarkdown(core);
+        });
+        closeTo(0);
+        return output;
+    }
+
+    // Numbering restarts wherever the kind of list at a level changes
+    function listMarkdown(items) {
+        const numbers = [];
+        const kinds = [];
+        return items.map(item => {
+            const { list, checked } = item.attrs;
+            const depth = indentOf(item);
+            numbers.length = depth + 1;
+            kinds.length = depth + 1;
+            numbers[depth] = kinds[depth] === list ? numbers[depth] + 1 : 1;
+            kinds[depth] = list;
+
+            let marker = '-';
+            if (list === 'ordered') marker = numbers[depth] + '.';
+            if (list === 'task') marker = checked ? '- [x]' : '- [ ]';
+            return '    '.repeat(depth) + marker + ' ' + escapeLineStart(inlineMarkdown(item));
+        });
+    }
+
+    function tableMarkdown(cells) {
+        const rows = [];
+        cells.forEach((cell, index) => {
+            if (index === 0 || cell.attrs.row !== cells[index - 1].attrs.row) rows.push([]);
+            rows[rows.length - 1].push(cell);
+        });
+
+        const columns = Math.max(...rows.map(row => row.length));
+        const line = values => '| ' + values.join(' | ') + ' |';
+        const rowLine = row => line(Array.from({ length: columns }, (_, i) => (row[i] ? inlineMarkdown(row[i]) : '')));
+        const delimiter = Array.from({ length: columns }, (_, i) => {
+            const align = rows[0][i] && rows[0][i].attrs.align;
+            if (align === 'center') return ':---:';
+            if (align === 'right') return '---:';
+            return align === 'left' ? ':---' : '---';
+        });
+        return [rowLine(rows[0]), line(delimiter), ...rows.slice(1).map(rowLine)];
+    }
+
+    // Whether `next` belongs to the same Markdown construct as `previous`
+    function continuesChunk(previous, next) {
+        if (previous.type !== next.type) return false;
+        switch (next.type) {
+            case 'list-item':
+            case 'blockquote':
+                return true;
+            case 'code-block':
+                return previous.attrs.language === next.attrs.language;
+            case 'table-cell':
+                return next.attrs.row >= previous.attrs.row;
+            default:
+                return false;
+        }
+    }
+
+    function chunkMarkdown(blocks) {
+        const [block] = blocks;
+        switch (block.type) {
+            case 'heading':
+                return '#'.repeat(block.attrs.level || 1) + ' ' + inlineMarkdown(block).replace(/#+$/, '\\$&');
+            case 'blockquote':
+                return blocks.map(quote => ('> ' + escapeLineStart(inlineMarkdown(quote))).trimEnd()).join('\n');
+            case 'list-item':
+                return listMarkdown(blocks).join('\n');
+            case 'code-block': {
+                const lines = blocks.map(blockText);
+                const longest = Math.max(0, ...(lines.join('\n').match(/`+/g) || []).map(run => run.length));
+                const fence = '`'.repeat(Math.max(3, longest + 1));
+                return [fence + (block.attrs.language || ''), ...lines, fence].join('\n');
+            }
+            case 'divider':
+                return '---';
+            case 'table-cell':
+                return tableMarkdown(blocks).join('\n');
+            default:
+                return escapeLineStart(inlineMarkdown(block)) || null;
+        }
+    }
+
+    // Writes a document as Markdown that fromMarkdown() reads back the same.
+    // Underline is written as <u> tags, and alignment, which Markdown cannot
+    // express, is left out.
+    function toMarkdown(model) {
+        const chunks = [];
+        let index = 0;
+        while (index < model.blocks.length) {
+            const group = [model.blocks[index++]];
+            while (index < model.blocks.length && continuesChunk(group[group.length - 1], model.blocks[index])) {
+                group.push(model.blocks[index++]);
+            }
+            const chunk = chunkMarkdown(group);
+            if (chunk !== null) chunks.push(chunk);
+        }
+        return chunks.length ? chunks.join('\n\n') + '\n' : '';
+    }
+
+    const RichText = {
+        MARKS,
+        MAX_INDENT,
+        BLOCK_ELEMENTS,
+        createDocument,
+        createBlock,
+        alignmentOf,
+        indentOf,
+        appendText,
+        fromText,
+        toText,
+        isEqual,
+        toOperation,
+        fromOperation,
+        diff,
+        applyOperation,
+        withText,
+        toHTML,
+        fromMarkdown,
+        toMarkdown,
+        getBlocks,
+        setBlockType,
+        setBlockAttributes,
+        formatText,
+        insertText,
+        replaceText,
+        getFormat,
+        markRange,
+        walk,
+        getText,
+        findPosition,
+        getOffset,
+        fromDOM,
+        fromHTML
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RichText;
+    } else {
+        global.RichText = RichText;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
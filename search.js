@@ -0,0 +1,232 @@
+// Full-text search
+//
+// createIndex() keeps an inverted index of documents' titles and text: for
+// every term, the documents it appears in and how often. Documents are
+// added, updated and removed one at a time, so the index never has to be
+// rebuilt. Matches are ranked with BM25, with title matches counting for
+// more, and every word of a query has to match. The last word also matches
+// as a prefix, so results show while it is still being typed.
+//
+// Terms are words folded to lower case without accents, so "Café" finds
+// "cafe". highlight() and snippet() find the matching words in a text, with
+// offsets into the text as given.
+//
+// Shared by the browser (window.Search) and Node (require('./search')).
+(function (global) {
+    'use strict';
+
+    const WORD = /[\p{L}\p{N}]+/gu;
+    const FIELD_WEIGHTS = { title: 3, text: 1 };
+    // BM25 parameters: how quickly repeats stop counting, and how much long
+    // fields are held back
+    const K1 = 1.2;
+    const B = 0.75;
+    // A word that only starts with the query's last word counts for less
+    const PREFIX_WEIGHT = 0.5;
+    const SNIPPET_LENGTH = 160;
+    // How much of the text before the first match a snippet shows
+    const SNIPPET_LEAD = 40;
+
+    function fold(word) {
+        return word.normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase();
+    }
+
+    function tokenize(text) {
+        return Array.from(text.matchAll(WORD), match => ({
+            term: fold(match[0]),
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    // The query's terms, and the last one as a prefix unless the query ends
+    // with a space
+    function parseQuery(query) {
+        const terms = [...new Set(tokenize(query).map(token => token.term))];
+        const prefix = terms.length && !/\s$/.test(query) ? terms[terms.length - 1] : null;
+        return { terms, prefix };
+    }
+
+    function matchesTerm(term, query) {
+        return query.terms.includes(term) || (query.prefix !== null && term.startsWith(query.prefix));
+    }
+
+    function createIndex() {
+        // term -> Map(id -> { title, text }), counting occurrences per field
+        const postings = new Map();
+        // id -> { lengths: { title, text }, terms: Set }
+        const records = new Map();
+        const totalLengths = { title: 0, text: 0 };
+
+        function remove(id) {
+            const record = records.get(id);
+            if (!record) return;
+            record.terms.forEach(term => {
+                const documents = postings.get(term);
+                documents.delete(id);
+                if (documents.size === 0) postings.delete(term);
+            });
+            Object.keys(totalLengths).forEach(field => {
+                totalLengths[field] -= record.lengths[field];
+            });
+            records.delete(id);
+        }
+
+        // `fields` is { title, text }
+        function update(id, fields) {
+            remove(id);
+            const record = { lengths: {}, terms: new Set() };
+            Object.keys(FIELD_WEIGHTS).forEach(field => {
+                const tokens = tokenize(fields[field] || '');
+                record.lengths[field] = tokens.length;
+                totalLengths[field] += tokens.length;
+                tokens.forEach(({ term }) => {
+                    if (!postings.has(term)) postings.set(term, new Map());
+                    const documents = postings.get(term);
+                    if (!documents.has(id)) documents.set(id, { title: 0, text: 0 });
+                    documents.get(id)[field]++;
+                    record.terms.add(term);
+                });
+            });
+            records.set(id, record);
+        }
+
+        function clear() {
+            postings.clear();
+            records.clear();
+            totalLengths.title = 0;
+            totalLengths.text = 0;
+        }
+
+        function termScore(term, id, counts) {
+            const idf = Math.log(1 + (records.size - postings.get(term).size + 0.5) / (postings.get(term).size + 0.5));
+            const lengths = records.get(id).lengths;
+            return Object.keys(FIELD_WEIGHTS).reduce((score, field) => {
+                const frequency = counts[field];
+                if (!frequency) return score;
+                const averageLength = totalLengths[field] / records.size || 1;
+                const saturation = frequency * (K1 + 1) /
+                    (frequency + K1 * (1 - B + B * lengths[field] / averageLength));
+                return score + FIELD_WEIGHTS[field] * idf * saturation;
+            }, 0);
+        }
+
+        // Scores for the documents that contain `term`, or a word starting
+        // with it when it is the prefix
+        function scoresFor(term, isPrefix) {
+            const scores = new Map();
+            const add = (indexedTerm, weight) => {
+                postings.get(indexedTerm).forEach((counts, id) => {
+                    const score = weight * termScore(indexedTerm, id, counts);
+                    scores.set(id, Math.max(scores.get(id) || 0, score));
+                });
+            };
+            if (postings.has(term)) add(term, 1);
+            if (isPrefix) {
+                postings.forEach((documents, indexedTerm) => {
+                    if (indexedTerm !== term && indexedTerm.startsWith(term)) add(indexedTerm, PREFIX_WEIGHT);
+                });
+            }
+            return scores;
+        }
+
+        // Returns [{ id, score }], best first
+        function search(queryText) {
+            const query = parseQuery(queryText);
+            let results = null;
+            for (const term of query.terms) {
+                const scores = scoresFor(term, term === query.prefix);
+                if (results === null) {
+                    results = scores;
+                } else {
+                    results.forEach((score, id) => {
+                        if (scores.has(id)) {
+                            results.set(id, score + scores.get(id));
+                        } else {
+                            results.delete(id);
+                        }
+                    });
+                }
+                if (results.size === 0) break;
+            }
+            return Array.from(results || [], ([id, score]) => ({ id, score }))
+                .sort((a, b) => b.score - a.score);
+        }
+
+        return {
+            update,
+            remove,
+            clear,
+            search,
+            has: id => records.has(id),
+            get size() {
+                return records.size;
+            }
+        };
+    }
+
+    // The [start, end] offsets of the words in `text` that match the query
+    function highlight(text, queryText) {
+        const query = parseQuery(queryText);
+        if (!query.terms.length) return [];
+        return tokenize(text)
+            .filter(token => matchesTerm(token.term, query))
+            .map(token => [token.start, token.end]);
+    }
+
+    // The part of `text` where most of the query's words match close
+    // together, as { text, ranges, before, after }: the excerpt, its matches'
+    // offsets in it, and whether text was cut off before and after it
+    function snippet(text, queryText, length = SNIPPET_LENGTH) {
+        const query = parseQuery(queryText);
+        const tokens = tokenize(text).filter(token => matchesTerm(token.term, query));
+
+        let best = null;
+        let bestCount = 0;
+        tokens.forEach((token, index) => {
+            const seen = new Set();
+            for (let i = index; i < tokens.length && tokens[i].end - token.start <= length; i++) {
+                seen.add(tokens[i].term);
+            }
+            if (seen.size > bestCount) {
+                best = token;
+                bestCount = seen.size;
+            }
+        });
+
+        let start = 0;
+        if (best && best.start > SNIPPET_LEAD && text.length > length) {
+            start = Math.min(best.start - SNIPPET_LEAD, text.length - length);
+            // Start at a word rather than in one
+            const space = text.slice(start, best.start).search(/\s\S/);
+            if (space !== -1) start += space + 1;
+        }
+        let end = Math.min(text.length, start + length);
+        if (end < text.length) {
+            const space = text.slice(start, end).search(/\s\S*$/);
+            if (space > 0) end = start + space;
+        }
+
+        return {
+            text: text.slice(start, end),
+            ranges: tokens
+                .filter(token => token.start >= start && token.end <= end)
+                .map(token => [token.start - start, token.end - start]),
+            before: start > 0,
+            after: end < text.length
+        };
+    }
+
+    const Search = {
+        createIndex,
+        tokenize,
+        highlight,
+        snippet
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Search;
+    } else {
+        global.Search = Search;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,182 @@
+// REST API for the document library:
+//   GET    /documents       every document
+//   POST   /documents       create a document (an id is assigned if missing)
+//   GET    /documents/:id   one document
+//   PUT    /documents/:id   create or replace a document
+//   DELETE /documents/:id   delete a document
+//
+// Bodies and responses are JSON; errors look like { "error": "..." }.
+// Every stored document carries a `revision` that goes up with each save. A
+// PUT must send the revision it was loaded at; one made from an older copy
+// gets a 409 with the stored document, for the client to merge and resend.
+const VersionHistory = require('../history');
+
+const API_PATH = '/documents';
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        // Oversized bodies are drained rather than cut off, so the client
+        // still gets the 413 response
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= MAX_BODY_SIZE) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            if (size > MAX_BODY_SIZE) {
+                reject(new ApiError(413, 'Document is too large'));
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new ApiError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function validateDocument(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new ApiError(400, 'Expected a document object');
+    }
+    if (typeof doc.id !== 'string' || !doc.id) {
+        throw new ApiError(400, 'Document id must be a non-empty string');
+    }
+    if (typeof doc.title !== 'string' || typeof doc.content !== 'string') {
+        throw new ApiError(400, 'Document title and content must be strings');
+    }
+    if (doc.collaborators !== undefined && !Array.isArray(doc.collaborators)) {
+        throw new ApiError(400, 'Document collaborators must be an array');
+    }
+    // Every browser shows these, so each needs the fields they read
+    const isUser = user => Boolean(user) && typeof user.id === 'string' && typeof user.name === 'string';
+    if (doc.collaborators !== undefined && !doc.collaborators.every(isUser)) {
+        throw new ApiError(400, 'Document collaborators need a string id and name');
+    }
+    return doc;
+}
+
+// Fills in what the app expects of every document, for ones made outside it
+function withDefaults(doc) {
+    const now = Date.now();
+    return {
+        id: 'doc-' + now,
+        collaborators: [],
+        version: 1,
+        createdAt: now,
+        lastModified: now,
+        ...doc
+    };
+}
+
+// Returns false for requests outside the API so the caller can serve them
+function createApiHandler(store) {
+    async function route(req, res, id) {
+        if (id === null) {
+            if (req.method === 'GET') {
+                sendJson(res, 200, store.list());
+            } else if (req.method === 'POST') {
+                const body = await readJsonBody(req);
+                const doc = validateDocument(withDefaults(body));
+                if (store.get(doc.id)) {
+                    throw new ApiError(409, `Document ${doc.id} already exists`);
+                }
+                doc.revision = 1;
+                sendJson(res, 201, await store.put(doc));
+            } else {
+                throw new ApiError(405, 'Method not allowed');
+            }
+            return;
+        }
+
+        if (req.method === 'GET') {
+            const doc = store.get(id);
+            if (!doc) throw new ApiError(404, `Document ${id} not found`);
+            sendJson(res, 200, doc);
+        } else if (req.method === 'PUT') {
+            const doc = validateDocument(withDefaults(await readJsonBody(req)));
+            if (doc.id !== id) {
+                throw new ApiError(400, 'Document id does not match the URL');
+            }
+            if (doc.history !== undefined && !Array.isArray(doc.history)) {
+                throw new ApiError(400, 'Document history must be an array');
+            }
+            const existing = store.get(id);
+            const revision = existing ? existing.revision || 0 : 0;
+            if (existing && (doc.revision || 0) !== revision) {
+                sendJson(res, 409, {
+                    error: `Document ${id} has changed since it was loaded`,
+                    document: existing
+                });
+                return;
+            }
+            doc.revision = revision + 1;
+            // Each browser sends the version history it knows of, so snapshots
+            // recorded on other machines are kept rather than overwritten
+            if (existing && Array.isArray(existing.history)) {
+                doc.history = VersionHistory.merge(existing.history, doc.history);
+            }
+            sendJson(res, 200, await store.put(doc));
+        } else if (req.method === 'DELETE') {
+            if (!await store.remove(id)) throw new ApiError(404, `Document ${id} not found`);
+            sendJson(res, 204);
+        } else {
+            throw new ApiError(405, 'Method not allowed');
+        }
+    }
+
+    return function handleApiRequest(req, res) {
+        let pathname;
+        try {
+            ({ pathname } = new URL(req.url, 'http://localhost'));
+        } catch (err) {
+            sendJson(res, 400, { error: 'Malformed URL' });
+            return true;
+        }
+        if (pathname !== API_PATH && !pathname.startsWith(API_PATH + '/')) return false;
+
+        const handled = new Promise((resolve) => {
+            const rest = pathname.slice(API_PATH.length + 1);
+            if (rest.includes('/')) {
+                throw new ApiError(404, 'Not found');
+            }
+            resolve(route(req, res, rest ? decodeURIComponent(rest) : null));
+        });
+
+        handled.catch((error) => {
+            if (res.headersSent) return;
+            if (error instanceof ApiError) {
+                sendJson(res, error.status, { error: error.message });
+            } else if (error instanceof URIError) {
+                sendJson(res, 400, { error: 'Malformed document id' });
+            } else if (error.code === 'ENOSPC') {
+                sendJson(res, 507, { error: 'The server is out of disk space' });
+            } else {
+                console.error('API error:', error);
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        });
+        return true;
+    };
+}
+
+module.exports = { createApiHandler };
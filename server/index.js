@@ -0,0 +1,123 @@
+// CollabDocs sync server
+//
+// Serves the app, relays document edits between browsers over WebSockets and
+// keeps a shared document library behind a REST API.
+// Run with `node server` and open http://localhost:5000 in two tabs; add
+// ?storage=rest to keep documents on the server instead of in the browser.
+// DATA_FILE sets where the library is stored.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+const { createRoomManager } = require('./rooms');
+const { createDocumentStore } = require('./store');
+const { createApiHandler } = require('./api');
+
+const PORT = Number(process.env.PORT) || 5000;
+const STATIC_ROOT = path.resolve(__dirname, '..');
+// The app's own files; nothing else in the repository is served
+const PUBLIC_FILES = new Set([
+    'index.html',
+    'style.css',
+    'ot.js',
+    'markdown.js',
+    'richtext.js',
+    'commands.js',
+    'crdt.js',
+    'storage.js',
+    'diff.js',
+    'zip.js',
+    'docx.js',
+    'workspace.js',
+    'search.js',
+    'find.js',
+    'folders.js',
+    'templates.js',
+    'history.js',
+    'app.js'
+]);
+const SYNC_PATH = '/sync';
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'documents.json');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const rooms = createRoomManager();
+const store = createDocumentStore(DATA_FILE);
+const handleApiRequest = createApiHandler(store);
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    const fileName = urlPath === '/' ? 'index.html' : urlPath.slice(1);
+    if (!PUBLIC_FILES.has(fileName)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    const filePath = path.join(STATIC_ROOT, fileName);
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        const type = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (handleApiRequest(req, res)) return;
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405);
+        res.end('Method not allowed');
+        return;
+    }
+    serveStatic(req, res);
+});
+
+server.on('upgrade', (req, socket) => {
+    let urlPath;
+    try {
+        urlPath = new URL(req.url, 'http://localhost').pathname;
+    } catch (err) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (urlPath !== SYNC_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+
+    const connection = acceptWebSocket(req, socket);
+    if (connection) {
+        rooms.handleConnection(connection);
+    }
+});
+
+store.load().then(() => {
+    server.listen(PORT, () => {
+        console.log(`CollabDocs server running at http://localhost:${PORT}`);
+    });
+}).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,391 @@
+// Per-document rooms: every client editing a `doc-*` joins its room, and the
+// room orders their operations, transforming late ones against the history.
+//
+// Each room also keeps the document as a CRDT. Live operations are replayed
+// into it, and a client that rejoins after editing offline sends its own CRDT,
+// which is merged in and shared with the room as one ordinary operation.
+//
+// Formatting lives only in operation attributes (see richtext.js), so the
+// room also keeps the whole document as one insert-only operation, its
+// `delta`, for clients that join later.
+const OT = require('../ot');
+const CRDT = require('../crdt');
+
+const MAX_HISTORY = 500;
+const SERVER_SITE = 'server';
+
+// Clients heartbeat every 15s; one that misses three is considered gone
+const HEARTBEAT_TIMEOUT = 45000;
+const PRESENCE_SWEEP_INTERVAL = 15000;
+const PRESENCE_BROADCAST_DELAY = 1000;
+
+function createRoomManager() {
+    const rooms = new Map();
+    const clients = new Set();
+    let presenceTimer = null;
+
+    function getRoom(docId) {
+        return rooms.get(docId) || null;
+    }
+
+    function decodeReplica(message) {
+        try {
+            return CRDT.decode(message.crdt, SERVER_SITE);
+        } catch (e) {
+            return CRDT.fromText(typeof message.content === 'string' ? message.content : '', SERVER_SITE);
+        }
+    }
+
+    // The first client's formatting is only taken when it matches the text
+    function initialDelta(message, content) {
+        const { delta } = message;
+        const usable = OT.isValid(delta) &&
+            delta.every(component => typeof component.insert === 'string') &&
+            delta.map(component => component.insert).join('') === content;
+        return usable ? delta : (content ? [{ insert: content }] : []);
+    }
+
+    function createRoom(docId, replica, version, delta) {
+        const room = {
+            id: docId,
+            replica,
+            content: CRDT.toString(replica),
+            delta,
+            version,
+            history: [],
+            historyStart: version,
+            clients: new Set()
+        };
+        rooms.set(docId, room);
+        return room;
+    }
+
+    function broadcast(room, message, except = null) {
+        room.clients.forEach(client => {
+            if (client !== except) {
+                client.connection.send(message);
+            }
+        });
+    }
+
+    function listUsers(room) {
+        return [...room.clients].map(client => client.user);
+    }
+
+    function listCursors(room, except) {
+        return [...room.clients]
+            .filter(client => client !== except && client.cursor)
+            .map(client => ({ user: client.user, site: client.site, ...client.cursor }));
+    }
+
+    // Appends an already-transformed operation to the room's history
+    function commit(room, operation) {
+        room.delta = OT.compose(room.delta, operation);
+        room.content = OT.apply(room.content, operation);
+        room.history.push(operation);
+        room.version++;
+
+        room.clients.forEach(client => {
+            if (client.cursor) {
+                client.cursor = {
+                    anchor: OT.transformIndex(client.cursor.anchor, operation),
+                    head: OT.transformIndex(client.cursor.head, operation)
+                };
+            }
+        });
+
+        if (room.history.length > MAX_HISTORY) {
+            room.history.shift();
+            room.historyStart++;
+        }
+    }
+
+    // Folds a rejoining client's offline edits into the room
+    function mergeReplica(room, client, replica) {
+        const merged = CRDT.merge(room.replica, replica);
+        const mergedContent = CRDT.toString(merged);
+        room.replica = merged;
+        if (mergedContent === room.content) return;
+
+        const operation = OT.fromDiff(room.content, mergedContent);
+        commit(room, operation);
+        broadcast(room, {
+            type: 'operation',
+            docId: room.id,
+            operation,
+            version: room.version,
+            user: client.user,
+            crdt: CRDT.encode(room.replica)
+        }, client);
+    }
+
+    // Only the fields other clients show are passed on
+    function readUser(user) {
+        if (!user || typeof user.id !== 'string' || !user.id || typeof user.name !== 'string') return null;
+        return { id: user.id, name: user.name, color: typeof user.color === 'string' ? user.color : null };
+    }
+
+    function join(client, message) {
+        const user = readUser(message.user);
+        if (!user) {
+            client.connection.send({ type: 'error', message: 'Join needs a user with an id and a name' });
+            return;
+        }
+        if (typeof message.docId !== 'string' || !message.docId) {
+            client.connection.send({ type: 'error', message: 'Join needs a document id' });
+            return;
+        }
+        if (!Number.isInteger(message.version) || message.version < 1) {
+            client.connection.send({ type: 'error', message: 'Join needs a positive integer version' });
+            return;
+        }
+        if (client.room) {
+            leave(client);
+        }
+
+        const replica = decodeReplica(message);
+        let room = getRoom(message.docId);
+        if (!room) {
+            room = createRoom(message.docId, replica, message.version,
+                initialDelta(message, CRDT.toString(replica)));
+        }
+
+        client.user = user;
+        client.site = message.site;
+        client.room = room;
+        room.clients.add(client);
+        schedulePresenceBroadcast();
+
+        try {
+            mergeReplica(room, client, replica);
+        } catch (e) {
+            // A replica that does not share the room's history cannot be merged
+        }
+
+        client.connection.send({
+            type: 'joined',
+            docId: room.id,
+            content: room.content,
+            delta: room.delta,
+            version: room.version,
+            crdt: CRDT.encode(room.replica),
+            users: listUsers(room),
+            cursors: listCursors(room, client)
+        });
+
+        broadcast(room, { type: 'user-joined', docId: room.id, user: client.user }, client);
+    }
+
+    function leave(client) {
+        const room = client.room;
+        if (!room) return;
+
+        room.clients.delete(client);
+        client.room = null;
+        client.cursor = null;
+        schedulePresenceBroadcast();
+
+        // The next client to join brings the document back from its copy
+        if (room.clients.size === 0) {
+            rooms.delete(room.id);
+            return;
+        }
+
+        if (client.user) {
+            broadcast(room, { type: 'user-left', docId: room.id, userId: client.user.id, site: client.site });
+        }
+    }
+
+    // Cursor positions are relative to the room's current content
+    function relayCursor(client, message) {
+        const room = client.room;
+        if (!room || room.id !== message.docId) return;
+        if (!Number.isInteger(message.anchor) || !Number.isInteger(message.head)) return;
+
+        client.cursor = { anchor: message.anchor, head: message.head };
+        broadcast(room, {
+            type: 'cursor',
+            docId: room.id,
+            user: client.user,
+            site: client.site,
+            ...client.cursor
+        }, client);
+    }
+
+    function resync(client) {
+        const room = client.room;
+        client.connection.send({
+            type: 'resync',
+            docId: room.id,
+            content: room.content,
+            delta: room.delta,
+            version: room.version,
+            crdt: CRDT.encode(room.replica)
+        });
+    }
+
+    // Rebases an operation made at `version` onto the room's current content
+    function applyOperation(client, message) {
+        const room = client.room;
+        if (!room || room.id !== message.docId) return;
+
+        const { version } = message;
+        if (!OT.isValid(message.operation) || !Number.isInteger(version) ||
+            version < room.historyStart || version > room.version) {
+            resync(client);
+            return;
+        }
+
+        let operation = message.operation;
+        try {
+            room.history.slice(version - room.historyStart).forEach(applied => {
+                [operation] = OT.transform(operation, applied);
+            });
+            commit(room, operation);
+        } catch (e) {
+            resync(client);
+            return;
+        }
+
+        // Every replica replays the same operations in the same order with the
+        // author's site, so their CRDTs stay identical.
+        CRDT.applyOperation(room.replica, operation, client.site);
+
+        client.connection.send({ type: 'ack', docId: room.id, version: room.version });
+        broadcast(room, {
+            type: 'operation',
+            docId: room.id,
+            operation,
+            version: room.version,
+            user: client.user,
+            site: client.site
+        }, client);
+    }
+
+    function relayTyping(client, message) {
+        const room = client.room;
+        if (!room || room.id !== message.docId) return;
+
+        broadcast(room, {
+            type: 'typing',
+            docId: room.id,
+            user: client.user,
+            site: client.site,
+            isTyping: Boolean(message.isTyping)
+        }, client);
+    }
+
+    // Presence: who has which document open, and for how long they have been
+    // idle. Every connection gets the summary so the dashboard can show it too.
+    function handleHeartbeat(client, message) {
+        client.idleFor = Number.isFinite(message.idleFor) ? Math.max(0, message.idleFor) : 0;
+        client.heartbeatAt = Date.now();
+        if (client.room) {
+            schedulePresenceBroadcast();
+        }
+    }
+
+    function getPresenceSummary() {
+        const now = Date.now();
+        const documents = {};
+
+        rooms.forEach(room => {
+            documents[room.id] = [...room.clients].map(client => ({
+                user: client.user,
+                site: client.site,
+                idleFor: client.idleFor + (now - client.heartbeatAt)
+            }));
+        });
+        return { type: 'presence', documents };
+    }
+
+    function schedulePresenceBroadcast() {
+        if (presenceTimer) return;
+
+        presenceTimer = setTimeout(() => {
+            presenceTimer = null;
+            const summary = getPresenceSummary();
+            clients.forEach(client => client.connection.send(summary));
+        }, PRESENCE_BROADCAST_DELAY);
+    }
+
+    function sweepStaleClients() {
+        const now = Date.now();
+        clients.forEach(client => {
+            if (now - client.lastSeen > HEARTBEAT_TIMEOUT) {
+                client.connection.close(1001, 'Heartbeat timeout');
+            }
+        });
+    }
+
+    setInterval(sweepStaleClients, PRESENCE_SWEEP_INTERVAL).unref();
+
+    function handleConnection(connection) {
+        const client = {
+            connection,
+            user: null,
+            site: null,
+            room: null,
+            cursor: null,
+            lastSeen: Date.now(),
+            heartbeatAt: Date.now(),
+            idleFor: 0
+        };
+        clients.add(client);
+        connection.send(getPresenceSummary());
+
+        connection.on('message', (message) => {
+            client.lastSeen = Date.now();
+
+            // Any JSON arrives here, including null, arrays and numbers
+            if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+                connection.send({ type: 'error', message: 'Messages must be objects with a type' });
+                return;
+            }
+
+            // A message that breaks a handler ends this client's connection,
+            // not the server
+            try {
+                handleMessage(client, message);
+            } catch (error) {
+                connection.close(1011, 'Internal error');
+            }
+        });
+
+        connection.on('close', () => {
+            clients.delete(client);
+            leave(client);
+        });
+        connection.on('error', () => connection.close(1003, 'Malformed message'));
+    }
+
+    function handleMessage(client, message) {
+        const { connection } = client;
+        switch (message.type) {
+            case 'join':
+                join(client, message);
+                break;
+            case 'leave':
+                leave(client);
+                break;
+            case 'operation':
+                applyOperation(client, message);
+                break;
+            case 'cursor':
+                relayCursor(client, message);
+                break;
+            case 'typing':
+                relayTyping(client, message);
+                break;
+            case 'heartbeat':
+                handleHeartbeat(client, message);
+                break;
+            default:
+                connection.send({ type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    return { handleConnection, getRoom };
+}
+
+module.exports = { createRoomManager };
@@ -0,0 +1,64 @@
+// Document library kept in a single JSON file, so a team on the same network
+// can share one set of documents through the REST API (see api.js).
+//
+// Everything is held in memory and the file is rewritten after each change.
+// Writes go to a temporary file first and are renamed into place, so a crash
+// mid-write never leaves a truncated library behind.
+const fs = require('fs');
+const path = require('path');
+
+function createDocumentStore(filePath) {
+    const documents = new Map();
+    let writeQueue = Promise.resolve();
+
+    async function load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not read ${filePath}: ${error.message}`);
+        }
+
+        if (!Array.isArray(data.documents)) {
+            throw new Error(`${filePath} does not hold a document library`);
+        }
+        data.documents.forEach(doc => documents.set(doc.id, doc));
+    }
+
+    // Writes are chained so two quick changes never race on the same file
+    function persist() {
+        const write = async () => {
+            const tempPath = `${filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify({ documents: list() }));
+            await fs.promises.rename(tempPath, filePath);
+        };
+        writeQueue = writeQueue.then(write, write);
+        return writeQueue;
+    }
+
+    function list() {
+        return [...documents.values()];
+    }
+
+    function get(id) {
+        return documents.get(id) || null;
+    }
+
+    async function put(doc) {
+        documents.set(doc.id, doc);
+        await persist();
+        return doc;
+    }
+
+    async function remove(id) {
+        if (!documents.delete(id)) return false;
+        await persist();
+        return true;
+    }
+
+    return { load, list, get, put, remove };
+}
+
+module.exports = { createDocumentStore };
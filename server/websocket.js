@@ -0,0 +1,198 @@
+// Minimal WebSocket (RFC 6455) implementation on top of Node's http upgrade,
+// so the sync server runs with nothing but the Node standard library.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 5 * 1024 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.isOpen = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.isOpen && this.readFrame()) {
+            // Keep reading until the buffer holds no complete frame
+        }
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return false;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return false;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return false;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > MAX_PAYLOAD) {
+            this.close(1009, 'Message too big');
+            return false;
+        }
+
+        let mask = null;
+        if (masked) {
+            if (buffer.length < offset + 4) return false;
+            mask = buffer.subarray(offset, offset + 4);
+            offset += 4;
+        }
+
+        if (buffer.length < offset + length) return false;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        this.buffer = buffer.subarray(offset + length);
+        this.handleFrame(fin, opcode, payload);
+        return true;
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                // The limit is on whole messages, however they are split up
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD) {
+                    this.close(1009, 'Message too big');
+                    break;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.handleMessage(message);
+                }
+                break;
+            case OPCODES.ping:
+                this.writeFrame(OPCODES.pong, payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            default:
+                this.close(1002, 'Unsupported opcode');
+        }
+    }
+
+    handleMessage(message) {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (e) {
+            this.emit('error', new Error('Malformed message'));
+            return;
+        }
+        this.emit('message', data);
+    }
+
+    writeFrame(opcode, payload) {
+        if (!this.isOpen) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(data) {
+        this.writeFrame(OPCODES.text, Buffer.from(JSON.stringify(data), 'utf8'));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.isOpen) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.writeFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
+
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+
+    if (!key || upgrade !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto
+        .createHash('sha1')
+        .update(key + HANDSHAKE_GUID)
+        .digest('base64');
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
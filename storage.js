@@ -0,0 +1,360 @@
+// Document storage adapters
+//
+// Every adapter stores one record per document and exposes the same async
+// interface, so the app does not care where documents live:
+//   loadAll()      resolves to an array of every stored document
+//   save(doc)      writes (or overwrites) a single document
+//   saveMany(docs) writes several documents at once
+//   remove(id)     deletes a document
+//   clear()        deletes every document
+//
+// Running out of space rejects with a DocumentStore.QuotaExceededError. A REST
+// save made from an out-of-date copy rejects with a DocumentStore.ConflictError
+// holding the stored copies, to be merged and saved again.
+// Documents from older versions of the app that cannot be read reject with
+// a DocumentStore.LegacyDocumentsError and are left where they are.
+//
+// Settings that stay on this device, such as the dashboard view, go through
+// createSettingsStore(), which throws the same error when space runs out.
+(function (global) {
+    'use strict';
+
+    const LEGACY_DOCUMENTS_KEY = 'collabdocs_documents';
+
+    class QuotaExceededError extends Error {
+        constructor(message = 'Storage quota exceeded') {
+            super(message);
+            this.name = 'QuotaExceededError';
+        }
+    }
+
+    class ConflictError extends Error {
+        constructor(documents) {
+            super('Documents were changed elsewhere since they were loaded');
+            this.name = 'ConflictError';
+            this.documents = documents;
+        }
+    }
+
+    class LegacyDocumentsError extends Error {
+        constructor(message = 'Saved documents are not in a format this version understands') {
+            super(message);
+            this.name = 'LegacyDocumentsError';
+        }
+    }
+
+    function isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    function toStorageError(error) {
+        return isQuotaError(error) ? new QuotaExceededError() : error;
+    }
+
+    function createIndexedDBAdapter({ dbName = 'collabdocs', storeName = 'documents' } = {}) {
+        let dbPromise = null;
+
+        function openDatabase() {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = global.indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(storeName, { keyPath: 'id' });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+                // Allow a later call to retry after a failed open
+                dbPromise.catch(() => {
+                    dbPromise = null;
+                });
+            }
+            return dbPromise;
+        }
+
+        // Runs `callback` inside a transaction and resolves once it commits
+        async function transact(mode, callback) {
+            const db = await openDatabase();
+            return new Promise((resolve, reject) => {
+                let transaction;
+                try {
+                    transaction = db.transaction(storeName, mode);
+                } catch (error) {
+                    reject(toStorageError(error));
+                    return;
+                }
+
+                const request = callback(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request ? request.result : undefined);
+                transaction.onerror = () => reject(toStorageError(transaction.error));
+                transaction.onabort = () => reject(toStorageError(transaction.error));
+            });
+        }
+
+        return {
+            name: 'indexeddb',
+            loadAll: () => transact('readonly', store => store.getAll()),
+            save: doc => transact('readwrite', store => {
+                store.put(doc);
+            }),
+            saveMany: docs => transact('readwrite', store => {
+                docs.forEach(doc => store.put(doc));
+            }),
+            remove: id => transact('readwrite', store => {
+                store.delete(id);
+            }),
+            clear: () => transact('readwrite', store => {
+                store.clear();
+            })
+        };
+    }
+
+    function createLocalStorageAdapter({ storage = global.localStorage, prefix = 'collabdocs_doc:' } = {}) {
+        const indexKey = prefix + 'index';
+
+        function readIndex() {
+            try {
+                return JSON.parse(storage.getItem(indexKey)) || [];
+            } catch (e) {
+                return [];
+            }
+        }
+
+        function write(key, value) {
+            try {
+                storage.setItem(key, value);
+            } catch (error) {
+                throw toStorageError(error);
+            }
+        }
+
+        function writeDocument(doc, index) {
+            write(prefix + doc.id, JSON.stringify(doc));
+            if (!index.includes(doc.id)) {
+                index.push(doc.id);
+                write(indexKey, JSON.stringify(index));
+            }
+        }
+
+        return {
+            name: 'localstorage',
+            async loadAll() {
+                return readIndex()
+                    .map(id => storage.getItem(prefix + id))
+                    .filter(Boolean)
+                    .map(json => JSON.parse(json));
+            },
+            async save(doc) {
+                writeDocument(doc, readIndex());
+            },
+            async saveMany(docs) {
+                const index = readIndex();
+                docs.forEach(doc => writeDocument(doc, index));
+            },
+            async remove(id) {
+                storage.removeItem(prefix + id);
+                write(indexKey, JSON.stringify(readIndex().filter(docId => docId !== id)));
+            },
+            async clear() {
+                readIndex().forEach(id => storage.removeItem(prefix + id));
+                storage.removeItem(indexKey);
+            }
+        };
+    }
+
+    // Keeps copies rather than references, like the persistent adapters do
+    function createMemoryAdapter(initialDocuments = []) {
+        const records = new Map();
+        const copy = doc => JSON.parse(JSON.stringify(doc));
+        initialDocuments.forEach(doc => records.set(doc.id, copy(doc)));
+
+        return {
+            name: 'memory',
+            async loadAll() {
+                return [...records.values()].map(copy);
+            },
+            async save(doc) {
+                records.set(doc.id, copy(doc));
+            },
+            async saveMany(docs) {
+                docs.forEach(doc => records.set(doc.id, copy(doc)));
+            },
+            async remove(id) {
+                records.delete(id);
+            },
+            async clear() {
+                records.clear();
+            }
+        };
+    }
+
+    // Talks to the sync server's document API (server/api.js), so every
+    // browser pointed at the same server shares one library
+    function createRestAdapter({ baseUrl = '/documents', fetch = global.fetch.bind(global) } = {}) {
+        async function request(method, path, body) {
+            const response = await fetch(baseUrl + path, {
+                method,
+                headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+
+            if (response.status === 413 || response.status === 507) {
+                throw new QuotaExceededError();
+            }
+            if (!response.ok) {
+                const details = await response.json().catch(() => ({}));
+                const error = new Error(details.error || `Server responded with ${response.status}`);
+                error.status = response.status;
+                error.details = details;
+                throw error;
+            }
+            return response.status === 204 ? undefined : response.json();
+        }
+
+        const documentPath = id => '/' + encodeURIComponent(id);
+
+        // The revision of each document as last seen on the server, sent
+        // with every save so the server can turn away stale ones
+        const revisions = new Map();
+        // Saves of one document go out one at a time, or the second would
+        // be sent at the revision the first replaces
+        const saving = new Map();
+
+        function remember(docs) {
+            docs.forEach(doc => revisions.set(doc.id, doc.revision || 0));
+            return docs;
+        }
+
+        async function put(doc) {
+            try {
+                const saved = await request('PUT', documentPath(doc.id),
+                    { ...doc, revision: revisions.get(doc.id) || 0 });
+                remember([saved]);
+            } catch (error) {
+                if (error.status !== 409 || !error.details.document) throw error;
+                remember([error.details.document]);
+                throw new ConflictError([error.details.document]);
+            }
+        }
+
+        function save(doc) {
+            const previous = saving.get(doc.id) || Promise.resolve();
+            const current = previous.catch(() => {}).then(() => put(doc));
+            saving.set(doc.id, current);
+            current.catch(() => {}).then(() => {
+                if (saving.get(doc.id) === current) saving.delete(doc.id);
+            });
+            return current;
+        }
+
+        async function remove(id) {
+            try {
+                await request('DELETE', documentPath(id));
+            } catch (error) {
+                // Already gone, which is what we wanted
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        return {
+            name: 'rest',
+            loadAll: async () => remember(await request('GET', '')),
+            save,
+            saveMany: async docs => {
+                const conflicts = [];
+                for (const doc of docs) {
+                    try {
+                        await save(doc);
+                    } catch (error) {
+                        if (!(error instanceof ConflictError)) throw error;
+                        conflicts.push(...error.documents);
+                    }
+                }
+                if (conflicts.length) throw new ConflictError(conflicts);
+            },
+            remove,
+            clear: async () => {
+                const docs = await request('GET', '');
+                for (const doc of docs) {
+                    await remove(doc.id);
+                }
+            }
+        };
+    }
+
+    // Keeps each setting as JSON under its own key. read() gives null for a
+    // setting that is missing or cannot be read.
+    function createSettingsStore({ storage = global.localStorage } = {}) {
+        return {
+            read(key) {
+                try {
+                    return JSON.parse(storage.getItem(key));
+                } catch (e) {
+                    return null;
+                }
+            },
+            write(key, value) {
+                try {
+                    storage.setItem(key, JSON.stringify(value));
+                } catch (error) {
+                    throw toStorageError(error);
+                }
+            }
+        };
+    }
+
+    function createAdapter(type) {
+        switch (type) {
+            case 'rest':
+                return createRestAdapter();
+            case 'memory':
+                return createMemoryAdapter();
+            case 'localstorage':
+                return createLocalStorageAdapter();
+            case 'indexeddb':
+                return createIndexedDBAdapter();
+            default:
+                return global.indexedDB ? createIndexedDBAdapter() : createLocalStorageAdapter();
+        }
+    }
+
+    // Moves documents saved by older versions of the app (a single JSON array
+    // under one localStorage key) into the adapter. Resolves to how many moved,
+    // or null when there was nothing to migrate. The old key is only removed
+    // once the adapter has the documents.
+    async function migrateLegacyDocuments(adapter, storage = global.localStorage) {
+        const stored = storage.getItem(LEGACY_DOCUMENTS_KEY);
+        if (stored === null) return null;
+
+        let docs;
+        try {
+            docs = JSON.parse(stored);
+        } catch (e) {
+            throw new LegacyDocumentsError('Saved documents are damaged and could not be read');
+        }
+        if (!Array.isArray(docs)) {
+            throw new LegacyDocumentsError();
+        }
+
+        await adapter.saveMany(docs);
+        storage.removeItem(LEGACY_DOCUMENTS_KEY);
+        return docs.length;
+    }
+
+    global.DocumentStore = {
+        QuotaExceededError,
+        ConflictError,
+        LegacyDocumentsError,
+        createIndexedDBAdapter,
+        createLocalStorageAdapter,
+        createMemoryAdapter,
+        createRestAdapter,
+        createAdapter,
+        createSettingsStore,
+        migrateLegacyDocuments
+    };
+})(window);
@@ -0,0 +1,198 @@
+// Document templates
+//
+// BUILT_IN lists the templates every user has, written in Markdown. Users
+// save their own from documents, as a RichText model. Either way, a
+// template's title and text can hold placeholders such as {{date}} and
+// {{author}}, which fill() replaces with values given when a document is
+// made from it; placeholders without a value are left as they are.
+//
+// Shared by the browser (window.Templates) and Node (require('./templates')).
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const RichText = isNode ? require('./richtext') : global.RichText;
+
+    const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+    const BUILT_IN = [
+        {
+            id: 'meeting-notes',
+            name: 'Meeting notes',
+            description: 'Agenda, decisions and action items',
+            title: 'Meeting Notes – {{date}}',
+            markdown: [
+                '# Meeting Notes',
+                '',
+                '**Date:** {{date}}',
+                '',
+                '**Facilitator:** {{author}}',
+                '',
+                '**Attendees:** ',
+                '',
+                '## Agenda',
+                '',
+                '1. Review of last meeting\'s action items',
+                '2. ',
+                '',
+                '## Discussion',
+                '',
+                '## Decisions',
+                '',
+                '- ',
+                '',
+                '## Action Items',
+                '',
+                '- [ ] Owner – task – due date'
+            ].join('\n')
+        },
+        {
+            id: 'project-plan',
+            name: 'Project plan',
+            description: 'Goals, scope, milestones and risks',
+            title: 'Project Plan',
+            markdown: [
+                '# Project Plan',
+                '',
+                '**Owner:** {{author}}',
+                '',
+                '**Last updated:** {{date}}',
+                '',
+                '## Goals',
+                '',
+                '- ',
+                '',
+                '## Scope',
+                '',
+                '**In scope:** ',
+                '',
+                '**Out of scope:** ',
+                '',
+                '## Milestones',
+                '',
+                '| Milestone | Owner | Due |',
+                '| --- | --- | --- |',
+                '| Kickoff | {{author}} | {{date}} |',
+                '',
+                '## Risks',
+                '',
+                '| Risk | Likelihood | Mitigation |',
+                '| --- | --- | --- |',
+                '|  |  |  |'
+            ].join('\n')
+        },
+        {
+            id: 'retrospective',
+            name: 'Retrospective',
+            description: 'What went well, what didn\'t, what to change',
+            title: 'Retrospective – {{date}}',
+            markdown: [
+                '# Retrospective',
+                '',
+                '**Date:** {{date}}',
+                '',
+                '**Facilitator:** {{author}}',
+                '',
+                '## What went well',
+                '',
+                '- ',
+                '',
+                '## What didn\'t go well',
+                '',
+                '- ',
+                '',
+                '## What we will try next',
+                '',
+                '- [ ] '
+            ].join('\n')
+        },
+        {
+            id: 'design-doc',
+            name: 'Design doc',
+            description: 'Problem, proposal, alternatives and open questions',
+            title: 'Design Doc',
+            markdown: [
+                '# Design: Title',
+                '',
+                '**Author:** {{author}}',
+                '',
+                '**Status:** Draft, {{date}}',
+                '',
+                '## Context',
+                '',
+                'What problem does this solve, and for whom?',
+                '',
+                '## Goals and non-goals',
+                '',
+                '- ',
+                '',
+                '## Proposal',
+                '',
+                '## Alternatives considered',
+                '',
+                '## Open questions',
+                '',
+                '- '
+            ].join('\n')
+        }
+    ];
+
+    // Where placeholders with a value are in `text`, as [{ start, end, text }]
+    function findPlaceholders(text, values) {
+        return Array.from(text.matchAll(PLACEHOLDER))
+            .filter(match => Object.prototype.hasOwnProperty.call(values, match[1]))
+            .map(match => ({
+                start: match.index,
+                end: match.index + match[0].length,
+                text: String(values[match[1]])
+            }));
+    }
+
+    function fillText(text, values) {
+        return text.replace(PLACEHOLDER, (placeholder, name) =>
+            Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder);
+    }
+
+    // The text filled in takes the formatting of the placeholder
+    function fillModel(model, values) {
+        const replacements = findPlaceholders(RichText.toText(model), values);
+        return replacements.length ? RichText.replaceText(model, replacements) : model;
+    }
+
+    function getModel(template) {
+        return template.model || RichText.fromMarkdown(template.markdown);
+    }
+
+    // Resolves a template into { title, model } for a new document
+    function fill(template, values) {
+        return {
+            title: fillText(template.title, values).trim(),
+            model: fillModel(getModel(template), values)
+        };
+    }
+
+    // The values available to templates, as of `now`
+    function placeholderValues(author, now = new Date()) {
+        return {
+            date: now.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
+            time: now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+            year: String(now.getFullYear()),
+            author: author ? author.name : ''
+        };
+    }
+
+    const Templates = {
+        BUILT_IN,
+        findPlaceholders,
+        fillText,
+        fillModel,
+        fill,
+        placeholderValues
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Templates;
+    } else {
+        global.Templates = Templates;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
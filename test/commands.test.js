@@ -0,0 +1,78 @@
+// Tests for the undo history in commands.js
+//
+// Run with `node --test test`.
+const test = require('node:test');
+const assert = require('assert');
+const EditorCommands = require('../commands');
+const RichText = require('../richtext');
+
+// An editor whose own changes are recorded and whose collaborators' changes
+// are only passed to transform(), as app.js does
+function createEditor(text) {
+    const history = EditorCommands.createHistory();
+    const editor = {
+        model: RichText.fromText(text),
+        history,
+        local(change) {
+            const before = editor.model;
+            editor.model = change(before);
+            history.record(before, editor.model);
+        },
+        remote(operation) {
+            editor.model = RichText.applyOperation(editor.model, operation);
+            history.transform(operation);
+        },
+        undo() {
+            editor.model = history.undo(editor.model).model;
+        },
+        redo() {
+            editor.model = history.redo(editor.model).model;
+        },
+        text: () => RichText.toText(editor.model)
+    };
+    return editor;
+}
+
+test('undo takes back only our own change', () => {
+    const editor = createEditor('Hello');
+    editor.local(model => RichText.insertText(model, 5, ' there'));
+    editor.remote([{ retain: 11 }, { insert: ', friend' }]);
+
+    editor.undo();
+    assert.strictEqual(editor.text(), 'Hello, friend');
+    assert.strictEqual(editor.history.canUndo(), false);
+});
+
+test('undo finds our change after others edit before it', () => {
+    const editor = createEditor('abcdef');
+    editor.local(model => RichText.insertText(model, 3, 'X'));
+    editor.remote([{ insert: '123' }, { retain: 7 }]);
+    editor.remote([{ retain: 8 }, { delete: 1 }, { retain: 1 }]);
+
+    editor.undo();
+    assert.strictEqual(editor.text(), '123abcdf');
+    editor.redo();
+    assert.strictEqual(editor.text(), '123abcXdf');
+});
+
+test('a change others have removed is no longer undone', () => {
+    const editor = createEditor('abc');
+    editor.local(model => RichText.insertText(model, 1, 'XY'));
+    editor.local(model => RichText.insertText(model, 5, '!'));
+    editor.remote([{ retain: 1 }, { delete: 2 }, { retain: 3 }]);
+
+    editor.undo();
+    assert.strictEqual(editor.text(), 'abc');
+    assert.strictEqual(editor.history.canUndo(), false);
+});
+
+test('undoing formatting leaves text others typed inside it', () => {
+    const editor = createEditor('one two');
+    editor.local(model => RichText.formatText(model, 0, 7, { bold: true }));
+    editor.remote([{ retain: 3 }, { insert: ' and a half' }, { retain: 4 }]);
+
+    editor.undo();
+    assert.strictEqual(editor.text(), 'one and a half two');
+    assert.deepStrictEqual(RichText.getFormat(editor.model, 0, 3).marks, {});
+    assert.deepStrictEqual(RichText.getFormat(editor.model, 15, 18).marks, {});
+});
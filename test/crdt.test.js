@@ -0,0 +1,91 @@
+// Tests for the sequence CRDT in crdt.js
+//
+// Run with `node --test test`.
+const test = require('node:test');
+const assert = require('assert');
+const CRDT = require('../crdt');
+
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((item, i) =>
+        permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+}
+
+// Three replicas of one text, edited apart: two insert at the same spot,
+// and their deletes overlap
+function editedReplicas() {
+    const base = CRDT.fromText('the cat sat', 'base');
+    const a = CRDT.clone(base, 'a');
+    const b = CRDT.clone(base, 'b');
+    const c = CRDT.clone(base, 'c');
+
+    CRDT.insert(a, 4, 'big ');
+    CRDT.remove(a, 12, 3);
+    CRDT.insert(a, 12, 'ran');
+
+    CRDT.insert(b, 4, 'fat ');
+    CRDT.remove(b, 0, 4);
+
+    CRDT.remove(c, 2, 6);
+    CRDT.insert(c, 5, '!');
+    return { base, replicas: [a, b, c] };
+}
+
+test('replicas merged in any order end up the same', () => {
+    const { base, replicas } = editedReplicas();
+    const results = permutations(replicas).map(order =>
+        order.reduce((merged, replica) => CRDT.merge(merged, replica), CRDT.clone(base)));
+
+    const [first, ...rest] = results;
+    rest.forEach(result => {
+        assert.strictEqual(CRDT.toString(result), CRDT.toString(first));
+        assert.deepStrictEqual(CRDT.encode(result), CRDT.encode(first));
+    });
+    // Between them the replicas deleted every original character; each
+    // insert survives once, the two at the same spot ordered by site
+    assert.strictEqual(CRDT.toString(first), 'fat big ran!');
+});
+
+test('merging two replicas gives the same text either way round', () => {
+    const { replicas: [a, b, c] } = editedReplicas();
+    [[a, b], [a, c], [b, c]].forEach(([x, y]) => {
+        assert.strictEqual(CRDT.toString(CRDT.merge(x, y)), CRDT.toString(CRDT.merge(y, x)));
+    });
+});
+
+test('the same edits replayed as operations converge whatever order they arrive in', () => {
+    const base = CRDT.fromText('abc', 'base');
+    const edits = [
+        { site: 'a', operation: [{ retain: 1 }, { insert: 'X' }, { retain: 2 }] },
+        { site: 'b', operation: [{ retain: 1 }, { insert: 'Y' }, { retain: 2 }] },
+        { site: 'c', operation: [{ retain: 1 }, { delete: 1 }, { retain: 1 }] }
+    ];
+    // Each edit is made on its own copy of the base, then shared as that copy
+    const replicas = edits.map(({ site, operation }) => CRDT.applyOperation(CRDT.clone(base, site), operation));
+    const texts = new Set(permutations(replicas).map(order =>
+        CRDT.toString(order.reduce((merged, replica) => CRDT.merge(merged, replica), CRDT.clone(base)))));
+
+    assert.deepStrictEqual([...texts], ['aYXc']);
+});
+
+test('a character deleted on two replicas is only deleted once', () => {
+    const base = CRDT.fromText('abcd', 'base');
+    const a = CRDT.remove(CRDT.clone(base, 'a'), 1, 1);
+    const b = CRDT.remove(CRDT.clone(base, 'b'), 1, 2);
+
+    assert.strictEqual(CRDT.toString(CRDT.merge(a, b)), 'ad');
+    assert.strictEqual(CRDT.toString(CRDT.merge(b, a)), 'ad');
+});
+
+test('merging the same deletes again changes nothing', () => {
+    const { base, replicas: [a, b] } = editedReplicas();
+    const merged = CRDT.merge(a, b);
+    const again = CRDT.merge(CRDT.merge(merged, b), a);
+
+    assert.deepStrictEqual(CRDT.encode(again), CRDT.encode(merged));
+    assert.deepStrictEqual(CRDT.encode(CRDT.merge(merged, merged)), CRDT.encode(merged));
+    // Also after a round trip through the stored form
+    const stored = CRDT.decode(CRDT.encode(b), 'b');
+    assert.deepStrictEqual(CRDT.encode(CRDT.merge(merged, stored)), CRDT.encode(merged));
+    assert.deepStrictEqual(CRDT.encode(CRDT.merge(merged, base)), CRDT.encode(merged));
+});
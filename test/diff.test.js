@@ -0,0 +1,82 @@
+// Tests for the word-level diff in diff.js
+//
+// Run with `node --test test`.
+const test = require('node:test');
+const assert = require('assert');
+const Diff = require('../diff');
+
+// The runs of a diff spell out the old text without the inserts and the new
+// text without the deletes
+function checkRebuilds(oldText, newText, segments) {
+    const text = skip => segments.filter(segment => segment.type !== skip).map(segment => segment.text).join('');
+    assert.strictEqual(text('insert'), oldText);
+    assert.strictEqual(text('delete'), newText);
+}
+
+function diff(oldText, newText) {
+    const segments = Diff.diffWords(oldText, newText);
+    checkRebuilds(oldText, newText, segments);
+    return segments;
+}
+
+test('identical texts are one unchanged run', () => {
+    assert.deepStrictEqual(diff('the same words', 'the same words'), [
+        { type: 'equal', text: 'the same words' }
+    ]);
+});
+
+test('empty texts have no runs', () => {
+    assert.deepStrictEqual(diff('', ''), []);
+    assert.deepStrictEqual(diff('', 'new text'), [{ type: 'insert', text: 'new text' }]);
+    assert.deepStrictEqual(diff('old text', ''), [{ type: 'delete', text: 'old text' }]);
+});
+
+test('inserts at either end', () => {
+    assert.deepStrictEqual(diff('middle', 'start middle'), [
+        { type: 'insert', text: 'start ' },
+        { type: 'equal', text: 'middle' }
+    ]);
+    assert.deepStrictEqual(diff('middle', 'middle end'), [
+        { type: 'equal', text: 'middle' },
+        { type: 'insert', text: ' end' }
+    ]);
+});
+
+test('deletes at either end', () => {
+    assert.deepStrictEqual(diff('start middle', 'middle'), [
+        { type: 'delete', text: 'start ' },
+        { type: 'equal', text: 'middle' }
+    ]);
+    assert.deepStrictEqual(diff('middle end', 'middle'), [
+        { type: 'equal', text: 'middle' },
+        { type: 'delete', text: ' end' }
+    ]);
+});
+
+test('a word replaced in a sentence is deleted, then inserted, whole', () => {
+    assert.deepStrictEqual(diff('the quick brown fox', 'the quick red fox'), [
+        { type: 'equal', text: 'the quick ' },
+        { type: 'delete', text: 'brown' },
+        { type: 'insert', text: 'red' },
+        { type: 'equal', text: ' fox' }
+    ]);
+    assert.deepStrictEqual(diff('catalog', 'cat'), [
+        { type: 'delete', text: 'catalog' },
+        { type: 'insert', text: 'cat' }
+    ]);
+});
+
+test('changes are credited to the version that made them', () => {
+    const alice = { id: 'alice' };
+    const bob = { id: 'bob' };
+    const segments = Diff.attributeChanges([
+        { content: 'one two three', author: alice },
+        { content: 'one two three four', author: alice },
+        { content: 'one three four', author: bob }
+    ]);
+    checkRebuilds('one two three', 'one three four', segments);
+    assert.deepStrictEqual(segments.filter(segment => segment.type !== 'equal'), [
+        { type: 'delete', text: 'two ', author: bob },
+        { type: 'insert', text: ' four', author: alice }
+    ]);
+});
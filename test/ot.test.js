@@ -0,0 +1,273 @@
+// Randomized convergence tests for ot.js
+//
+// Each property is checked against many random operations on random text,
+// with formatting. Run with `node --test test`; a failure prints the seed,
+// and OT_SEED=<seed> runs the same operations again.
+const test = require('node:test');
+const assert = require('assert');
+const OT = require('../ot');
+
+const RUNS = Number(process.env.OT_RUNS) || 500;
+const SEED = Number(process.env.OT_SEED) || Date.now() % 2147483647;
+const ATTRIBUTES = [{ bold: true }, { italic: true }, { bold: null }, { bold: true, italic: null }, { link: 'a' }];
+
+// mulberry32, so a failing seed can be replayed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomInt(random, max) {
+    return Math.floor(random() * max);
+}
+
+function randomText(random, maxLength) {
+    const length = randomInt(random, maxLength + 1);
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        text += 'abcxyz \n'[randomInt(random, 8)];
+    }
+    return text;
+}
+
+function randomAttributes(random) {
+    return random() < 0.7 ? undefined : { ...ATTRIBUTES[randomInt(random, ATTRIBUTES.length)] };
+}
+
+function withRandomAttributes(random, component) {
+    const attributes = randomAttributes(random);
+    return attributes ? { ...component, attributes } : component;
+}
+
+// A document is a list of characters, each with the formatting it carries
+function randomDocument(random) {
+    return Array.from(randomText(random, 12), char => {
+        const attributes = randomAttributes(random);
+        return { char, attributes: applyAttributes({}, attributes) };
+    });
+}
+
+function randomOperation(random, length) {
+    const operation = [];
+    let remaining = length;
+    while (remaining > 0 || random() < 0.3) {
+        const kind = randomInt(random, 3);
+        const size = 1 + randomInt(random, Math.max(1, remaining));
+        if (kind === 0 || remaining === 0) {
+            operation.push(withRandomAttributes(random, { insert: randomText(random, 4) || 'q' }));
+        } else if (kind === 1) {
+            operation.push(withRandomAttributes(random, { retain: size }));
+            remaining -= size;
+        } else {
+            operation.push({ delete: size });
+            remaining -= size;
+        }
+    }
+    return OT.normalize(operation);
+}
+
+function applyAttributes(current, attributes = {}) {
+    const result = { ...current, ...attributes };
+    Object.keys(result).forEach(key => {
+        if (result[key] === null) delete result[key];
+    });
+    return result;
+}
+
+// OT.apply with formatting, to compare what operations do to a document
+function applyToDocument(doc, operation) {
+    const result = [];
+    let index = 0;
+    operation.forEach(component => {
+        if (typeof component.retain === 'number') {
+            doc.slice(index, index + component.retain).forEach(({ char, attributes }) => {
+                result.push({ char, attributes: applyAttributes(attributes, component.attributes) });
+            });
+            index += component.retain;
+        } else if (typeof component.insert === 'string') {
+            Array.from(component.insert).forEach(char => {
+                result.push({ char, attributes: applyAttributes({}, component.attributes) });
+            });
+        } else {
+            index += component.delete;
+        }
+    });
+    assert.strictEqual(index, doc.length, 'operation does not cover the whole document');
+    return result;
+}
+
+function toText(doc) {
+    return doc.map(({ char }) => char).join('');
+}
+
+// Runs `check` on RUNS random cases, naming the seed when one fails
+function forAll(check) {
+    const random = createRandom(SEED);
+    for (let run = 0; run < RUNS; run++) {
+        try {
+            check(random);
+        } catch (error) {
+            error.message = `${error.message} (OT_SEED=${SEED}, run ${run})`;
+            throw error;
+        }
+    }
+}
+
+test('transformed operations converge', () => {
+    forAll(random => {
+        const doc = randomDocument(random);
+        const a = randomOperation(random, doc.length);
+        const b = randomOperation(random, doc.length);
+        const [aPrime, bPrime] = OT.transform(a, b);
+
+        assert.ok(OT.isValid(aPrime) && OT.isValid(bPrime));
+        assert.deepStrictEqual(
+            applyToDocument(applyToDocument(doc, a), bPrime),
+            applyToDocument(applyToDocument(doc, b), aPrime));
+        assert.strictEqual(
+            OT.apply(OT.apply(toText(doc), a), bPrime),
+            OT.apply(OT.apply(toText(doc), b), aPrime));
+    });
+});
+
+test('a composed operation does what its parts do in turn', () => {
+    forAll(random => {
+        const doc = randomDocument(random);
+        const a = randomOperation(random, doc.length);
+        const b = randomOperation(random, OT.targetLength(a));
+        const composed = OT.compose(a, b);
+
+        assert.ok(OT.isValid(composed));
+        assert.deepStrictEqual(applyToDocument(doc, composed), applyToDocument(applyToDocument(doc, a), b));
+    });
+});
+
+// The sync protocol in small: the server transforms each operation against
+// those applied since the version it was made at (server/rooms.js), and each
+// client keeps one operation in flight and composes later edits into a
+// buffer, transforming both against what the server sends (app.js)
+function createClient(doc) {
+    return { doc, version: 0, inflight: null, buffered: null, inbox: [] };
+}
+
+function editClient(random, client, outbox) {
+    const operation = randomOperation(random, client.doc.length);
+    client.doc = applyToDocument(client.doc, operation);
+    if (client.inflight) {
+        client.buffered = client.buffered ? OT.compose(client.buffered, operation) : operation;
+    } else {
+        client.inflight = operation;
+        outbox.push({ client, operation, version: client.version });
+    }
+}
+
+function receiveOnClient(client, outbox) {
+    const message = client.inbox.shift();
+    client.version = message.version;
+    if (message.ack) {
+        client.inflight = null;
+        if (client.buffered) {
+            client.inflight = client.buffered;
+            client.buffered = null;
+            outbox.push({ client, operation: client.inflight, version: client.version });
+        }
+        return;
+    }
+    let remote = message.operation;
+    if (client.inflight) {
+        [client.inflight, remote] = OT.transform(client.inflight, remote);
+    }
+    if (client.buffered) {
+        [client.buffered, remote] = OT.transform(client.buffered, remote);
+    }
+    client.doc = applyToDocument(client.doc, remote);
+}
+
+function receiveOnServer(server, clients, { client, operation, version }) {
+    server.history.slice(version).forEach(applied => {
+        [operation] = OT.transform(operation, applied);
+    });
+    server.doc = applyToDocument(server.doc, operation);
+    server.history.push(operation);
+    clients.forEach(other => other.inbox.push(other === client
+        ? { ack: true, version: server.history.length }
+        : { operation, version: server.history.length }));
+}
+
+test('clients editing at once end up with the server\'s document', () => {
+    forAll(random => {
+        const doc = randomDocument(random);
+        const server = { doc, history: [] };
+        const clients = [createClient(doc), createClient(doc), createClient(doc)];
+        const outbox = [];
+
+        for (let step = 0; step < 20; step++) {
+            const client = clients[randomInt(random, clients.length)];
+            const choice = random();
+            if (choice < 0.4) {
+                editClient(random, client, outbox);
+            } else if (choice < 0.7 && client.inbox.length) {
+                receiveOnClient(client, outbox);
+            } else if (outbox.length) {
+                receiveOnServer(server, clients, outbox.shift());
+            }
+        }
+        while (outbox.length || clients.some(client => client.inbox.length)) {
+            if (outbox.length) receiveOnServer(server, clients, outbox.shift());
+            clients.forEach(client => {
+                while (client.inbox.length) receiveOnClient(client, outbox);
+            });
+        }
+
+        clients.forEach(client => assert.deepStrictEqual(client.doc, server.doc));
+    });
+});
+
+test('compose is associative', () => {
+    forAll(random => {
+        const doc = randomDocument(random);
+        const a = randomOperation(random, doc.length);
+        const b = randomOperation(random, OT.targetLength(a));
+        const c = randomOperation(random, OT.targetLength(b));
+
+        assert.deepStrictEqual(
+            applyToDocument(doc, OT.compose(OT.compose(a, b), c)),
+            applyToDocument(doc, OT.compose(a, OT.compose(b, c))));
+    });
+});
+
+test('fromDiff turns the old text into the new one', () => {
+    forAll(random => {
+        const oldText = randomText(random, 12);
+        const newText = randomText(random, 12);
+        const operation = OT.fromDiff(oldText, newText);
+
+        assert.strictEqual(OT.apply(oldText, operation), newText);
+    });
+});
+
+test('transformIndex keeps a caret between the characters around it', () => {
+    forAll(random => {
+        const text = randomText(random, 12);
+        const operation = randomOperation(random, text.length);
+        const index = randomInt(random, text.length + 1);
+
+        // Tag every character with where it was, to find it afterwards
+        const doc = Array.from(text, (char, i) => ({ char, attributes: { at: i } }));
+        const after = applyToDocument(doc, operation).map(({ attributes }) => attributes.at);
+        const lowest = after.reduce((low, at, i) => (at < index ? i + 1 : low), 0);
+        const highest = after.findIndex(at => at >= index);
+
+        [false, true].forEach(isOwnOperation => {
+            const newIndex = OT.transformIndex(index, operation, isOwnOperation);
+            assert.ok(newIndex >= lowest && newIndex <= (highest === -1 ? after.length : highest),
+                `caret at ${index} moved to ${newIndex}`);
+        });
+    });
+});
@@ -0,0 +1,240 @@
+// Workspace backups
+//
+// A backup holds every document in a workspace, with its history and
+// comments, as one versioned JSON object:
+//   { format: 'collabdocs-workspace', version: 1, exportedAt, exportedBy, documents }
+// The app saves it as workspace.json inside a ZIP archive, next to a
+// Markdown copy of each document for reading elsewhere. read() takes either
+// the archive or the bare JSON, checks it against the schema below and
+// rejects anything else with a Workspace.WorkspaceError saying what is wrong.
+//
+// Shared by the browser (window.Workspace) and Node (require('./workspace')).
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Zip = isNode ? require('./zip') : global.Zip;
+
+    const FORMAT = 'collabdocs-workspace';
+    const VERSION = 1;
+    const MANIFEST = 'workspace.json';
+
+    class WorkspaceError extends Error {
+        constructor(message = 'Not a workspace backup') {
+            super(message);
+            this.name = 'WorkspaceError';
+        }
+    }
+
+    // Schema
+    //
+    // A small part of JSON Schema: type, required, properties, items, enum
+    // and minLength. Properties not listed are kept as they are, so backups
+    // carry fields this version does not know about.
+
+    const USER = {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string' },
+            color: { type: 'string' }
+        }
+    };
+
+    const MODEL = {
+        type: 'object',
+        required: ['blocks'],
+        properties: {
+            blocks: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['type', 'attrs', 'content'],
+                    properties: {
+                        type: { type: 'string', minLength: 1 },
+                        attrs: { type: 'object' },
+                        content: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['text', 'marks'],
+                                properties: {
+                                    text: { type: 'string' },
+                                    marks: { type: 'object' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    const VERSION_ENTRY = {
+        type: 'object',
+        required: ['id', 'content', 'timestamp'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            version: { type: 'number' },
+            title: { type: 'string' },
+            content: { type: 'string' },
+            model: MODEL,
+            author: USER,
+            startedAt: { type: 'number' },
+            timestamp: { type: 'number' }
+        }
+    };
+
+    const DOCUMENT = {
+        type: 'object',
+        required: ['id', 'title', 'content', 'lastModified', 'collaborators', 'version'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            title: { type: 'string' },
+            content: { type: 'string' },
+            model: MODEL,
+            crdt: { type: 'object' },
+            createdAt: { type: 'number' },
+            lastModified: { type: 'number' },
+            version: { type: 'number' },
+            ownerId: { type: 'string' },
+            folder: { type: 'array', items: { type: 'string' } },
+            tags: { type: 'array', items: { type: 'string' } },
+            organizedAt: { type: 'number' },
+            deletedAt: { type: 'number' },
+            collaborators: { type: 'array', items: USER },
+            history: { type: 'array', items: VERSION_ENTRY },
+            comments: { type: 'array', items: { type: 'object' } }
+        }
+    };
+
+    const SCHEMA = {
+        type: 'object',
+        required: ['format', 'version', 'exportedAt', 'documents'],
+        properties: {
+            format: { type: 'string', enum: [FORMAT] },
+            version: { type: 'number' },
+            exportedAt: { type: 'number' },
+            exportedBy: USER,
+            documents: { type: 'array', items: DOCUMENT }
+        }
+    };
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return typeOf(value) === type;
+    }
+
+    // Returns the first problem found, as a message naming where it is, or
+    // null when the value fits
+    function check(value, schema, path) {
+        if (!matchesType(value, schema.type)) {
+            return `${path} should be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return `${path} should be ${schema.enum.map(option => JSON.stringify(option)).join(' or ')}`;
+        }
+        if (schema.minLength && value.length < schema.minLength) {
+            return `${path} should not be empty`;
+        }
+        if (schema.type === 'object') {
+            const missing = (schema.required || []).find(key => !(key in value));
+            if (missing) return `${path}.${missing} is missing`;
+            for (const key of Object.keys(schema.properties || {})) {
+                if (!(key in value)) continue;
+                const problem = check(value[key], schema.properties[key], `${path}.${key}`);
+                if (problem) return problem;
+            }
+        }
+        if (schema.type === 'array' && schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const problem = check(value[i], schema.items, `${path}[${i}]`);
+                if (problem) return problem;
+            }
+        }
+        return null;
+    }
+
+    // Throws a WorkspaceError unless `data` is a backup this version can read
+    function validate(data) {
+        if (typeOf(data) !== 'object' || data.format !== FORMAT) {
+            throw new WorkspaceError();
+        }
+        if (typeof data.version === 'number' && data.version > VERSION) {
+            throw new WorkspaceError('This backup was made by a newer version of the app');
+        }
+
+        const problem = check(data, SCHEMA, 'backup');
+        if (problem) throw new WorkspaceError(`The backup is damaged: ${problem}`);
+
+        const ids = new Set();
+        data.documents.forEach(doc => {
+            if (ids.has(doc.id)) throw new WorkspaceError(`The backup is damaged: document ${doc.id} appears twice`);
+            ids.add(doc.id);
+        });
+        return data;
+    }
+
+    function create(documents, { exportedBy = null, now = Date.now() } = {}) {
+        const backup = { format: FORMAT, version: VERSION, exportedAt: now, documents };
+        if (exportedBy) {
+            backup.exportedBy = { id: exportedBy.id, name: exportedBy.name, color: exportedBy.color };
+        }
+        return backup;
+    }
+
+    function isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    // `bytes` is a backup archive or its JSON, as a Uint8Array or ArrayBuffer.
+    // Resolves to the validated backup.
+    async function read(bytes) {
+        bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+        let text;
+        if (isZip(bytes)) {
+            let manifest;
+            try {
+                manifest = Zip.read(bytes).find(file => file.name === MANIFEST);
+                text = manifest && await manifest.text();
+            } catch (error) {
+                throw new WorkspaceError('The backup archive is damaged');
+            }
+            if (!manifest) throw new WorkspaceError(`The archive has no ${MANIFEST}`);
+        } else {
+            text = new TextDecoder().decode(bytes);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new WorkspaceError();
+        }
+        return validate(data);
+    }
+
+    const Workspace = {
+        FORMAT,
+        VERSION,
+        MANIFEST,
+        WorkspaceError,
+        create,
+        validate,
+        read
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Workspace;
+    } else {
+        global.Workspace = Workspace;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
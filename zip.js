@@ -0,0 +1,249 @@
+// ZIP archives
+//
+// create() packs files into a ZIP archive. Entries are stored rather than
+// compressed: the archives made here hold a few small text files, and it
+// keeps this free of a deflate implementation.
+//
+// read() lists the entries of an archive; their contents are read on
+// demand, and deflated ones are inflated with the platform's
+// DecompressionStream. Archives that cannot be read reject with a
+// Zip.ZipError.
+//
+// Shared by the browser (window.Zip) and Node (require('./zip')).
+(function (global) {
+    'use strict';
+
+    const LOCAL_FILE_HEADER = 0x04034b50;
+    const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    const VERSION = 20;
+    // General purpose flags
+    const ENCRYPTED = 0x0001;
+    const UTF8_NAMES = 0x0800;
+    // Compression methods
+    const STORED = 0;
+    const DEFLATED = 8;
+    // The end record is followed by a comment of at most this many bytes
+    const MAX_COMMENT_LENGTH = 0xffff;
+
+    class ZipError extends Error {
+        constructor(message = 'Not a valid ZIP archive') {
+            super(message);
+            this.name = 'ZipError';
+        }
+    }
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function toBytes(data) {
+        return typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    }
+
+    // MS-DOS time and date, which have two-second precision and start in 1980
+    function dosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // Little-endian fields written one after another
+    function writer(size) {
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        return {
+            bytes,
+            u16(value) {
+                view.setUint16(offset, value, true);
+                offset += 2;
+            },
+            u32(value) {
+                view.setUint32(offset, value, true);
+                offset += 4;
+            },
+            raw(data) {
+                bytes.set(data, offset);
+                offset += data.length;
+            }
+        };
+    }
+
+    // `files` is a list of { name, data, date }, where data is a string
+    // (written as UTF-8) or a Uint8Array. Returns the archive's bytes.
+    function create(files, now = new Date()) {
+        const entries = files.map(file => {
+            const data = toBytes(file.data);
+            return { name: toBytes(file.name), data, crc: crc32(data), ...dosDateTime(file.date || now) };
+        });
+
+        const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+        const out = writer(localSize + centralSize + 22);
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            out.u32(LOCAL_FILE_HEADER);
+            out.u16(VERSION);
+            out.u16(UTF8_NAMES);
+            out.u16(0);
+            out.u16(entry.time);
+            out.u16(entry.date);
+            out.u32(entry.crc);
+            out.u32(entry.data.length);
+            out.u32(entry.data.length);
+            out.u16(entry.name.length);
+            out.u16(0);
+            out.raw(entry.name);
+            out.raw(entry.data);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        entries.forEach(entry => {
+            out.u32(CENTRAL_DIRECTORY_HEADER);
+            out.u16(VERSION);
+            out.u16(VERSION);
+            out.u16(UTF8_NAMES);
+            out.u16(0);
+            out.u16(entry.time);
+            out.u16(entry.date);
+            out.u32(entry.crc);
+            out.u32(entry.data.length);
+            out.u32(entry.data.length);
+            out.u16(entry.name.length);
+            out.u16(0);
+            out.u16(0);
+            out.u16(0);
+            out.u16(0);
+            out.u32(0);
+            out.u32(entry.offset);
+            out.raw(entry.name);
+        });
+
+        out.u32(END_OF_CENTRAL_DIRECTORY);
+        out.u16(0);
+        out.u16(0);
+        out.u16(entries.length);
+        out.u16(entries.length);
+        out.u32(centralSize);
+        out.u32(localSize);
+        out.u16(0);
+        return out.bytes;
+    }
+
+    // Reading
+
+    function findEndOfCentralDirectory(bytes, view) {
+        const last = bytes.length - 22;
+        const first = Math.max(0, last - MAX_COMMENT_LENGTH);
+        for (let offset = last; offset >= first; offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+        }
+        throw new ZipError();
+    }
+
+    async function inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new ZipError('Compressed ZIP entries cannot be read here');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        try {
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            throw new ZipError('A ZIP entry is corrupt');
+        }
+    }
+
+    function readEntry(bytes, view, entry) {
+        if (entry.flags & ENCRYPTED) throw new ZipError('Encrypted ZIP entries cannot be read');
+        if (entry.method !== STORED && entry.method !== DEFLATED) {
+            throw new ZipError(`Unsupported ZIP compression method ${entry.method}`);
+        }
+        if (entry.offset + 30 > bytes.length || view.getUint32(entry.offset, true) !== LOCAL_FILE_HEADER) {
+            throw new ZipError();
+        }
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        if (start + entry.compressedSize > bytes.length) throw new ZipError();
+        return bytes.subarray(start, start + entry.compressedSize);
+    }
+
+    // `bytes` is a Uint8Array or ArrayBuffer. Returns the archive's files as
+    // { name, size, bytes(), text() }, where bytes() and text() resolve to the
+    // file's contents. Directories are left out.
+    function read(bytes) {
+        bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        if (bytes.length < 22) throw new ZipError();
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        const end = findEndOfCentralDirectory(bytes, view);
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+
+        const files = [];
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new ZipError();
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const entry = {
+                flags: view.getUint16(offset + 8, true),
+                method: view.getUint16(offset + 10, true),
+                crc: view.getUint32(offset + 16, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                offset: view.getUint32(offset + 42, true),
+                name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+            };
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+            if (entry.name.endsWith('/')) continue;
+
+            const contents = async () => {
+                const data = readEntry(bytes, view, entry);
+                const result = entry.method === DEFLATED ? await inflate(data) : data;
+                if (crc32(result) !== entry.crc) throw new ZipError('A ZIP entry is corrupt');
+                return result;
+            };
+            files.push({
+                name: entry.name,
+                size: entry.size,
+                bytes: contents,
+                text: async () => decoder.decode(await contents())
+            });
+        }
+        return files;
+    }
+
+    const Zip = {
+        ZipError,
+        crc32,
+        create,
+        read
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Zip;
+    } else {
+        global.Zip = Zip;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);